@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { describeData, completeAttachment, checkAttachment } = require('../src/utils/attachment');
+
+describe('Lens content attachment', () => {
+  const script = 'function enhance(epi) { return epi; }';
+  const data = Buffer.from(script).toString('base64');
+  const hash = crypto.createHash('sha1').update(script).digest('base64');
+
+  test('gives the size in bytes and the base64 SHA-1 of the decoded data', () => {
+    expect(describeData(Buffer.from('é').toString('base64'))).toEqual({
+      size: 2,
+      hash: crypto.createHash('sha1').update('é').digest('base64')
+    });
+  });
+
+  test('fills in the content type, size and hash of attachments with data', () => {
+    expect(completeAttachment({ data, size: 3, hash: 'c3RhbGU=' })).toEqual({
+      contentType: 'application/javascript',
+      data,
+      size: Buffer.byteLength(script),
+      hash
+    });
+    expect(completeAttachment({ contentType: 'text/javascript', data }).contentType).toBe('text/javascript');
+    expect(completeAttachment({ url: 'http://example.org/lens.js' })).toEqual({ url: 'http://example.org/lens.js' });
+  });
+
+  test('reports a size or hash that does not match the data', () => {
+    expect(checkAttachment({ data, hash, size: Buffer.byteLength(script) }, 'Library.content[0]')).toEqual([]);
+    expect(checkAttachment({ data }, 'Library.content[0]')).toEqual([]);
+
+    const issues = checkAttachment({ data, hash: 'c3RhbGU=', size: 1 }, 'Library.content[1]');
+
+    expect(issues.map((issue) => issue.expression[0])).toEqual(['Library.content[1].hash', 'Library.content[1].size']);
+    expect(issues[1]).toMatchObject({ severity: 'error', code: 'value', diagnostics: `Library.content[1].size is 1 but the data is ${Buffer.byteLength(script)} bytes` });
+  });
+});
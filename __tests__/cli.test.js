@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, parseArgs } = require('../src/cli');
+
+const LIBRARY_TYPE = {
+  coding: [{ system: 'http://terminology.hl7.org/CodeSystem/library-type', code: 'logic-library' }]
+};
+
+const lens = (name, overrides = {}) => ({
+  resourceType: 'Library',
+  id: name,
+  url: `http://example.com/Library/${name}`,
+  name,
+  version: '1.0.0',
+  status: 'active',
+  type: LIBRARY_TYPE,
+  content: [{ contentType: 'application/javascript' }],
+  ...overrides
+});
+
+/**
+ * Run the CLI and capture what it prints
+ * @param {Array<string>} argv - Arguments
+ * @returns {Promise<Object>} { code, out, err }
+ */
+async function runCli(argv) {
+  let out = '';
+  let err = '';
+  const code = await run(argv, {
+    out: (text) => { out += text; },
+    err: (text) => { err += text; }
+  });
+  return { code, out, err };
+}
+
+describe('lens-selector CLI', () => {
+  let dir;
+  let outDir;
+
+  const write = (file, content) => {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lens-cli-'));
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lens-cli-out-'));
+    write('lenses/pregnancy.json', lens('pregnancy'));
+    write('lenses/pregnancy.js', 'function enhance(epi, ips) { return epi; }');
+    write('package.json', { name: 'my-lenses' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  describe('parseArgs', () => {
+    test('reads the command, folder and options', () => {
+      expect(parseArgs(['build', 'lenses', '--out', 'dist', '--verbose'])).toMatchObject({
+        command: 'build', dir: 'lenses', out: 'dist', verbose: true
+      });
+      expect(parseArgs(['build', 'lenses', '--out=dist']).out).toBe('dist');
+      expect(parseArgs(['validate', 'lenses', '--strict']).strict).toBe(true);
+    });
+
+    test('rejects unknown options and a missing --out value', () => {
+      expect(() => parseArgs(['list', 'x', '--nope'])).toThrow('Unknown option --nope');
+      expect(() => parseArgs(['build', 'x', '--out'])).toThrow('--out needs a folder');
+    });
+  });
+
+  describe('validate', () => {
+    test('reports every file and exits 0 when all lenses are valid', async () => {
+      const { code, out } = await runCli(['validate', dir]);
+
+      expect(code).toBe(0);
+      expect(out).toContain(`OK    ${path.join('lenses', 'pregnancy.json')} (pregnancy): enhanced`);
+      expect(out).toContain('[exact-match]');
+      expect(out).toContain('SKIP  package.json: not a FHIR Library');
+      expect(out).toContain('1 valid, 0 with errors, 1 skipped');
+    });
+
+    test('lists the errors of invalid lenses and exits 1', async () => {
+      write('lenses/broken.json', lens('broken', { url: undefined, content: [{ data: 'SGVsbG8=' }] }));
+      write('lenses/unparsable.json', '{ "resourceType": ');
+
+      const { code, out } = await runCli(['validate', dir]);
+
+      expect(code).toBe(1);
+      expect(out).toContain(`ERROR ${path.join('lenses', 'broken.json')} (broken): invalid`);
+      expect(out).toContain('- Library.url is required');
+      expect(out).toContain(`ERROR ${path.join('lenses', 'unparsable.json')}: parse-error`);
+      expect(out).toContain('1 valid, 2 with errors, 1 skipped');
+    });
+
+    test('refuses ambiguous enhance script fallbacks with --strict', async () => {
+      write('lenses/allergy.json', lens('allergy'));
+      write('lenses/highlight.js', 'function enhance(epi) { return epi; }');
+      write('lenses/collapse.js', 'function enhance(epi) { return epi; }');
+
+      const loose = await runCli(['validate', dir]);
+      const strict = await runCli(['validate', dir, '--strict']);
+
+      expect(loose.code).toBe(0);
+      expect(loose.out).toMatch(/! Several scripts could enhance this lens \((collapse|highlight)\.js, (collapse|highlight)\.js\)/);
+      expect(strict.code).toBe(1);
+      expect(strict.out).toContain(`ERROR ${path.join('lenses', 'allergy.json')} (allergy): ambiguous-script`);
+    });
+
+    test('prints JSON with --json', async () => {
+      const { code, out } = await runCli(['validate', dir, '--json']);
+      const report = JSON.parse(out);
+
+      expect(code).toBe(0);
+      expect(report).toMatchObject({ valid: 1, errors: 0, skipped: 1 });
+      expect(report.files).toContainEqual(expect.objectContaining({
+        path: path.join('lenses', 'pregnancy.json'),
+        result: 'ok',
+        enhancedWithJs: path.join('lenses', 'pregnancy.js')
+      }));
+    });
+
+    test('keeps the discovery log quiet without touching the console', async () => {
+      write('lenses/broken.json', lens('broken', { status: 'unknown' }));
+      const methods = ['log', 'debug', 'warn', 'error'];
+      const spies = methods.map((method) => jest.spyOn(console, method).mockImplementation(() => {}));
+
+      const pending = runCli(['validate', dir]);
+      const during = methods.map((method) => console[method]);
+      const quiet = await pending;
+
+      expect(quiet.code).toBe(1);
+      expect(during).toEqual(spies);
+      spies.forEach((spy) => expect(spy).not.toHaveBeenCalled());
+
+      await runCli(['validate', dir, '--verbose']);
+      expect(spies[0]).toHaveBeenCalledWith(expect.stringContaining('Enhancing lens pregnancy'));
+      expect(spies[1]).toHaveBeenCalledWith(expect.stringContaining('Invalid lens in file'));
+      spies.forEach((spy) => spy.mockRestore());
+    });
+  });
+
+  describe('list', () => {
+    test('lists the lenses found', async () => {
+      const { code, out } = await runCli(['list', dir]);
+
+      expect(code).toBe(0);
+      expect(out.split('\n')[0]).toMatch(/^NAME\s+VERSION\s+STATUS\s+PATH$/);
+      expect(out).toMatch(/pregnancy\s+1\.0\.0\s+active\s+lenses/);
+    });
+
+    test('prints JSON with --json', async () => {
+      const { out } = await runCli(['list', dir, '--json']);
+
+      expect(JSON.parse(out)).toEqual([{
+        name: 'pregnancy',
+        version: '1.0.0',
+        status: 'active',
+        url: 'http://example.com/Library/pregnancy',
+        path: path.join('lenses', 'pregnancy.json'),
+        enhanceSource: 'exact-match'
+      }]);
+    });
+  });
+
+  describe('build', () => {
+    test('writes the final Library JSON with the enhance JS embedded', async () => {
+      const { code } = await runCli(['build', dir, '--out', outDir]);
+      const built = JSON.parse(fs.readFileSync(path.join(outDir, 'lenses', 'pregnancy.json'), 'utf8'));
+
+      expect(code).toBe(0);
+      expect(built.name).toBe('pregnancy');
+      expect(Buffer.from(built.content[0].data, 'base64').toString()).toBe('function enhance(epi, ips) { return epi; }');
+      expect(fs.existsSync(path.join(outDir, 'package.json'))).toBe(false);
+    });
+
+    test('writes nothing while a lens has errors', async () => {
+      write('lenses/broken.json', lens('broken', { status: 'finished' }));
+
+      const { code, err } = await runCli(['build', dir, '--out', outDir]);
+
+      expect(code).toBe(1);
+      expect(err).toContain('Nothing written: 1 file(s) with errors');
+      expect(fs.readdirSync(outDir)).toEqual([]);
+    });
+
+    test('refuses to build into the lens folder', async () => {
+      const { code, err } = await runCli(['build', dir, '--out', `${dir}${path.sep}.`]);
+
+      expect(code).toBe(2);
+      expect(err).toContain(`must be outside the lens folder ${dir}`);
+    });
+
+    test('refuses to build into a folder inside the lens folder', async () => {
+      const { code, err } = await runCli(['build', dir, '--out', path.join(dir, 'lenses', '..', 'dist')]);
+
+      expect(code).toBe(2);
+      expect(err).toContain('must be outside the lens folder');
+      expect(fs.existsSync(path.join(dir, 'dist'))).toBe(false);
+    });
+
+    test('requires --out', async () => {
+      const { code, err } = await runCli(['build', dir]);
+
+      expect(code).toBe(2);
+      expect(err).toContain('build needs --out <dir>');
+    });
+  });
+
+  test('exits 2 on an unknown command or a missing folder', async () => {
+    expect((await runCli(['publish', dir])).code).toBe(2);
+    const missing = await runCli(['list', path.join(dir, 'missing')]);
+    expect(missing.code).toBe(2);
+    expect(missing.err).toContain('is not a folder');
+  });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { prepareTrust, verifyFileCommits } = require('../src/utils/commitSignatures');
+
+describe('Commit signatures', () => {
+  let root;
+  let repo;
+  let trustedKey;
+  let untrustedKey;
+  let allowedSigners;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8' }).trim();
+
+  const commitFile = (name, content, signingKey) => {
+    fs.writeFileSync(path.join(repo, name), content);
+    git('add', name);
+    const signing = signingKey
+      ? ['-c', 'gpg.format=ssh', '-c', `user.signingkey=${signingKey}`, '-c', 'commit.gpgsign=true']
+      : ['-c', 'commit.gpgsign=false'];
+    git(...signing, 'commit', '-q', '-m', `Change ${name}`);
+    return git('rev-parse', 'HEAD');
+  };
+
+  const sshKey = (name) => {
+    const keyFile = path.join(root, name);
+    execFileSync('ssh-keygen', ['-q', '-t', 'ed25519', '-N', '', '-C', name, '-f', keyFile]);
+    return keyFile;
+  };
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'lens-signatures-'));
+    repo = path.join(root, 'repo');
+    fs.mkdirSync(repo);
+    git('init', '-q');
+    git('config', 'user.name', 'Lens Author');
+    git('config', 'user.email', 'author@example.org');
+
+    trustedKey = sshKey('trusted');
+    untrustedKey = sshKey('untrusted');
+    allowedSigners = path.join(root, 'allowed_signers');
+    const publicKey = fs.readFileSync(`${trustedKey}.pub`, 'utf8').split(' ').slice(0, 2).join(' ');
+    fs.writeFileSync(allowedSigners, `author@example.org ${publicKey}\n`);
+  });
+
+  afterAll(() => {
+    // Key generation starts a gpg-agent for the test keyring
+    try {
+      execFileSync('gpgconf', ['--homedir', path.join(root, 'gnupg'), '--kill', 'gpg-agent'], { stdio: 'ignore' });
+    } catch (error) {
+      // No agent was started
+    }
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('accepts files last changed by commits signed with a trusted SSH key', async () => {
+    const lensCommit = commitFile('signed-lens.json', '{}', trustedKey);
+    const scriptCommit = commitFile('signed-lens.js', 'function enhance() {}', trustedKey);
+    const trust = await prepareTrust({ allowedSignersFile: allowedSigners });
+
+    const result = await verifyFileCommits(repo, ['signed-lens.json', 'signed-lens.js'], trust);
+
+    expect(result.errors).toEqual([]);
+    expect(result.commits.map((c) => [c.sha, c.files, c.format])).toEqual([
+      [lensCommit, ['signed-lens.json'], 'ssh'],
+      [scriptCommit, ['signed-lens.js'], 'ssh']
+    ]);
+    expect(result.commits[0].signer).toBe('author@example.org');
+    expect(result.commits[0].key).toMatch(/^SHA256:/);
+    expect(result.commits[0].signature).toMatch(/^-----BEGIN SSH SIGNATURE-----/);
+    expect(new Date(result.commits[0].date).toString()).not.toBe('Invalid Date');
+  });
+
+  test('reports unsigned, untrusted and uncommitted files', async () => {
+    const unsigned = commitFile('unsigned-lens.json', '{}');
+    const untrusted = commitFile('untrusted-lens.json', '{}', untrustedKey);
+    fs.writeFileSync(path.join(repo, 'new-lens.json'), '{}');
+    const trust = await prepareTrust({ allowedSignersFile: allowedSigners });
+
+    const result = await verifyFileCommits(repo, ['unsigned-lens.json', 'untrusted-lens.json', 'new-lens.json'], trust);
+
+    expect(result.commits).toEqual([]);
+    expect(result.errors).toEqual([
+      'new-lens.json is not committed',
+      `Commit ${unsigned.slice(0, 7)}, the last change to unsigned-lens.json, is not signed`,
+      expect.stringMatching(new RegExp(`^Commit ${untrusted.slice(0, 7)}, the last change to untrusted-lens.json, is signed with a key that is not trusted \\(key SHA256:`))
+    ]);
+  });
+
+  test('refuses shallow clones, whose boundary commit hides older changes', async () => {
+    commitFile('old-lens.json', '{}');
+    commitFile('newest.json', '{}', trustedKey);
+    const shallow = path.join(root, 'shallow');
+    execFileSync('git', ['clone', '-q', '--depth', '1', `file://${repo}`, shallow]);
+    const trust = await prepareTrust({ allowedSignersFile: allowedSigners });
+
+    await expect(verifyFileCommits(shallow, ['old-lens.json'], trust)).rejects.toThrow('is a shallow clone');
+  });
+
+  test('trusts no SSH key without an allowed signers file', async () => {
+    commitFile('ssh-only.json', '{}', trustedKey);
+    const trust = await prepareTrust({});
+
+    const result = await verifyFileCommits(repo, ['ssh-only.json'], trust);
+
+    expect(result.commits).toEqual([]);
+    expect(result.errors[0]).toContain('is signed with a key that is not trusted');
+    await expect(prepareTrust({ allowedSignersFile: path.join(root, 'missing') })).rejects.toThrow('not found');
+  });
+
+  test('accepts commits signed with a trusted GPG key', async () => {
+    const gnupgHome = path.join(root, 'gnupg');
+    fs.mkdirSync(gnupgHome, { mode: 0o700 });
+    const gpg = (...args) => execFileSync('gpg', ['--batch', '--quiet', '--homedir', gnupgHome, ...args], { encoding: 'utf8' });
+    gpg('--passphrase', '', '--quick-gen-key', 'Lens Author <author@example.org>', 'ed25519', 'sign', 'never');
+    const keysFile = path.join(root, 'trusted.asc');
+    fs.writeFileSync(keysFile, gpg('--armor', '--export'));
+
+    fs.writeFileSync(path.join(repo, 'gpg-lens.json'), '{}');
+    git('add', 'gpg-lens.json');
+    execFileSync('git', ['-c', 'gpg.format=openpgp', '-c', 'user.signingkey=author@example.org', 'commit', '-q', '-S', '-m', 'GPG signed'], {
+      cwd: repo,
+      env: { ...process.env, GNUPGHOME: gnupgHome }
+    });
+    const trust = await prepareTrust({ gpgKeysFile: keysFile });
+
+    const result = await verifyFileCommits(repo, ['gpg-lens.json'], trust);
+
+    expect(result.errors).toEqual([]);
+    expect(result.commits[0]).toMatchObject({ signer: 'Lens Author <author@example.org>', format: 'gpg' });
+    expect(result.commits[0].fingerprint).toMatch(/^[0-9A-F]{40}$/);
+    expect(result.commits[0].signature).toMatch(/^-----BEGIN PGP SIGNATURE-----/);
+
+    // The same commit is not trusted without the key
+    const untrustedResult = await verifyFileCommits(repo, ['gpg-lens.json'], await prepareTrust({ allowedSignersFile: allowedSigners }));
+    expect(untrustedResult.errors).toHaveLength(1);
+  });
+});
@@ -0,0 +1,183 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the fhirService BEFORE importing routes
+jest.mock('../src/services/fhirService', () => ({
+  ...jest.requireActual('../src/services/fhirService'),
+  readLibrary: jest.fn(),
+  readProvenance: jest.fn(),
+  searchLibraries: jest.fn(),
+  searchProvenance: jest.fn()
+}));
+
+const fhirRouter = require('../src/routes/fhir');
+const { readLibrary, readProvenance, searchLibraries, searchProvenance } = require('../src/services/fhirService');
+
+const statusError = (statusCode, issueCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.issueCode = issueCode;
+  return error;
+};
+
+describe('FHIR API Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/', fhirRouter);
+    jest.clearAllMocks();
+  });
+
+  describe('GET /metadata', () => {
+    test('returns the CapabilityStatement as FHIR JSON', async () => {
+      const response = await request(app).get('/metadata');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^application\/fhir\+json/);
+      expect(response.body.resourceType).toBe('CapabilityStatement');
+      expect(response.body.implementation.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+      expect(response.body.rest[0].resource.map((r) => r.type)).toEqual(['Library']);
+    });
+
+    test('lists Provenance when a source requires signed commits', async () => {
+      process.env.LENS_SOURCES = JSON.stringify([{ url: 'https://a.example/x.git', requireSignedCommits: true }]);
+
+      const response = await request(app).get('/metadata');
+
+      expect(response.body.rest[0].resource.map((r) => r.type)).toEqual(['Library', 'Provenance']);
+      delete process.env.LENS_SOURCES;
+    });
+  });
+
+  describe('GET /Library', () => {
+    test('returns the searchset Bundle', async () => {
+      searchLibraries.mockResolvedValue({ resourceType: 'Bundle', type: 'searchset', total: 0, entry: [] });
+
+      const response = await request(app).get('/Library?name=pregnancy&status=active,draft');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^application\/fhir\+json/);
+      expect(response.body.type).toBe('searchset');
+      const [, query, options] = searchLibraries.mock.calls[0];
+      expect(query).toEqual({ name: 'pregnancy', status: 'active,draft' });
+      expect(options.strict).toBe(false);
+    });
+
+    test('passes strict handling from the Prefer header', async () => {
+      searchLibraries.mockRejectedValue(statusError(400, 'not-supported', "Unknown search parameter 'foo' for Library"));
+
+      const response = await request(app).get('/Library?foo=bar').set('Prefer', 'handling=strict');
+
+      expect(searchLibraries.mock.calls[0][2].strict).toBe(true);
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        resourceType: 'OperationOutcome',
+        issue: [{ severity: 'error', code: 'not-supported', diagnostics: "Unknown search parameter 'foo' for Library" }]
+      });
+    });
+
+    test('uses FHIR_BASE_URL for links when set', async () => {
+      process.env.FHIR_BASE_URL = 'https://fosps.gravitatehealth.eu/lens-selector/';
+      searchLibraries.mockResolvedValue({ resourceType: 'Bundle' });
+
+      await request(app).get('/Library');
+
+      expect(searchLibraries.mock.calls[0][2].baseUrl).toBe('https://fosps.gravitatehealth.eu/lens-selector');
+      delete process.env.FHIR_BASE_URL;
+    });
+
+    test('returns 500 with an OperationOutcome when discovery fails', async () => {
+      searchLibraries.mockRejectedValue(new Error('Repository not found'));
+
+      const response = await request(app).get('/Library');
+
+      expect(response.status).toBe(500);
+      expect(response.body.issue[0]).toMatchObject({ code: 'exception', diagnostics: 'Repository not found' });
+    });
+  });
+
+  describe('content negotiation', () => {
+    test('sends FHIR XML when asked', async () => {
+      readLibrary.mockResolvedValue({ resourceType: 'Library', id: 'pregnancy', status: 'active' });
+
+      const response = await request(app).get('/Library/pregnancy').set('Accept', 'application/fhir+xml');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^application\/fhir\+xml/);
+      expect(response.text).toContain('<Library xmlns="http://hl7.org/fhir"><id value="pregnancy"/><status value="active"/></Library>');
+    });
+
+    test('serializes searchsets, the CapabilityStatement and errors as XML with _format', async () => {
+      searchLibraries.mockResolvedValue({ resourceType: 'Bundle', type: 'searchset', total: 0 });
+      readLibrary.mockRejectedValue(statusError(404, 'not-found', 'Library/nope is not known'));
+
+      const bundle = await request(app).get('/Library?_format=xml');
+      const metadata = await request(app).get('/metadata?_format=application/fhir%2Bxml');
+      const error = await request(app).get('/Library/nope?_format=xml');
+
+      expect(bundle.text).toContain('<Bundle xmlns="http://hl7.org/fhir"><type value="searchset"/><total value="0"/></Bundle>');
+      expect(metadata.text).toContain('<CapabilityStatement xmlns="http://hl7.org/fhir">');
+      expect(error.status).toBe(404);
+      expect(error.text).toContain('<OperationOutcome xmlns="http://hl7.org/fhir"><issue><severity value="error"/><code value="not-found"/>');
+    });
+
+    test('returns 406 with a JSON OperationOutcome for unsupported formats', async () => {
+      const response = await request(app).get('/Library/pregnancy').set('Accept', 'text/html');
+
+      expect(response.status).toBe(406);
+      expect(response.headers['content-type']).toMatch(/^application\/fhir\+json/);
+      expect(response.body.issue[0].code).toBe('not-supported');
+      expect(readLibrary).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /Library/:id', () => {
+    test('returns the Library', async () => {
+      readLibrary.mockResolvedValue({ resourceType: 'Library', id: 'pregnancy' });
+
+      const response = await request(app).get('/Library/pregnancy');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ resourceType: 'Library', id: 'pregnancy' });
+      expect(readLibrary.mock.calls[0][1]).toBe('pregnancy');
+    });
+
+    test('returns 404 with an OperationOutcome for unknown ids', async () => {
+      readLibrary.mockRejectedValue(statusError(404, 'not-found', 'Library/nope is not known'));
+
+      const response = await request(app).get('/Library/nope');
+
+      expect(response.status).toBe(404);
+      expect(response.headers['content-type']).toMatch(/^application\/fhir\+json/);
+      expect(response.body.issue[0].code).toBe('not-found');
+    });
+  });
+
+  describe('GET /Provenance', () => {
+    test('searches and reads the Provenance of lenses', async () => {
+      searchProvenance.mockResolvedValue({ resourceType: 'Bundle', type: 'searchset', total: 0, entry: [] });
+      readProvenance.mockResolvedValue({ resourceType: 'Provenance', id: 'pregnancy', target: [{ reference: 'Library/pregnancy' }] });
+
+      const search = await request(app).get('/Provenance?target=Library/pregnancy').set('Prefer', 'handling=strict');
+      const read = await request(app).get('/Provenance/pregnancy');
+
+      expect(search.status).toBe(200);
+      expect(searchProvenance.mock.calls[0][1]).toEqual({ target: 'Library/pregnancy' });
+      expect(searchProvenance.mock.calls[0][2].strict).toBe(true);
+      expect(read.status).toBe(200);
+      expect(read.body.target).toEqual([{ reference: 'Library/pregnancy' }]);
+      expect(readProvenance.mock.calls[0][1]).toBe('pregnancy');
+    });
+
+    test('returns 404 with an OperationOutcome for lenses without signed commits', async () => {
+      readProvenance.mockRejectedValue(statusError(404, 'not-found', 'Provenance/nope is not known'));
+
+      const response = await request(app).get('/Provenance/nope');
+
+      expect(response.status).toBe(404);
+      expect(response.body.issue[0].diagnostics).toBe('Provenance/nope is not known');
+    });
+  });
+});
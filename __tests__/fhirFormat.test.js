@@ -0,0 +1,47 @@
+const { formatResource, negotiateFormat } = require('../src/utils/fhirFormat');
+
+const req = (accept, query = {}) => ({
+  query,
+  get: (name) => (name === 'Accept' ? accept : undefined)
+});
+
+describe('FHIR Format', () => {
+  describe('negotiateFormat', () => {
+    test('uses the default JSON type without a preference', () => {
+      expect(negotiateFormat(req(undefined), 'application/json')).toBe('application/json');
+      expect(negotiateFormat(req('*/*'), 'application/fhir+json')).toBe('application/fhir+json');
+      expect(negotiateFormat(req('application/*'), 'application/json')).toBe('application/json');
+    });
+
+    test('honours the Accept header and its q values', () => {
+      expect(negotiateFormat(req('application/fhir+xml'), 'application/json')).toBe('application/fhir+xml');
+      expect(negotiateFormat(req('application/fhir+json;fhirVersion=4.0'), 'application/json')).toBe('application/fhir+json');
+      expect(negotiateFormat(req('text/xml'), 'application/json')).toBe('text/xml');
+      expect(negotiateFormat(req('application/fhir+json;q=0.5, application/fhir+xml'), 'application/json')).toBe('application/fhir+xml');
+      expect(negotiateFormat(req('application/*;q=0.8, application/json;q=0'), 'application/json')).toBe('application/fhir+json');
+    });
+
+    test('lets _format win over Accept', () => {
+      expect(negotiateFormat(req('application/json', { _format: 'xml' }), 'application/json')).toBe('application/fhir+xml');
+      expect(negotiateFormat(req(undefined, { _format: 'json' }), 'application/json')).toBe('application/fhir+json');
+      expect(negotiateFormat(req(undefined, { _format: 'application/fhir xml' }), 'application/json')).toBe('application/fhir+xml');
+      expect(negotiateFormat(req(undefined, { _format: 'application/xml' }), 'application/json')).toBe('application/xml');
+    });
+
+    test('rejects unsupported formats with 406', () => {
+      expect(() => negotiateFormat(req('text/html'), 'application/json')).toThrow(expect.objectContaining({ statusCode: 406 }));
+      expect(() => negotiateFormat(req('application/json;q=0'), 'application/json')).toThrow(/None of the accepted formats/);
+      expect(() => negotiateFormat(req(undefined, { _format: 'turtle' }), 'application/json')).toThrow(expect.objectContaining({ statusCode: 406, issueCode: 'not-supported' }));
+    });
+  });
+
+  describe('formatResource', () => {
+    test('serializes to JSON or FHIR XML', () => {
+      const library = { resourceType: 'Library', status: 'active' };
+
+      expect(formatResource(library, 'application/fhir+json')).toBe(JSON.stringify(library));
+      expect(formatResource(library, 'application/fhir+xml')).toContain('<Library xmlns="http://hl7.org/fhir"><status value="active"/></Library>');
+      expect(formatResource(library, 'text/xml')).toContain('<Library');
+    });
+  });
+});
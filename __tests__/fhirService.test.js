@@ -0,0 +1,303 @@
+// Mock the lensService BEFORE importing the FHIR service
+jest.mock('../src/services/lensService', () => ({
+  getCatalogue: jest.fn(),
+  getCatalogueRevision: jest.requireActual('../src/services/lensService').getCatalogueRevision,
+  getLenses: jest.fn()
+}));
+
+const {
+  readLibrary,
+  searchLibraries,
+  getLensBundle,
+  getLensBundleWithRevision,
+  getCapabilityStatement,
+  getLibraryId,
+  getLibraryIds,
+  errorOutcome,
+  toProvenance,
+  readProvenance,
+  searchProvenance
+} = require('../src/services/fhirService');
+const { getCatalogue, getLenses } = require('../src/services/lensService');
+
+const library = (overrides) => ({
+  resourceType: 'Library',
+  url: `http://hl7.eu/fhir/ig/gravitate-health/Library/${overrides.name}`,
+  status: 'active',
+  version: '1.0.0',
+  content: [{ contentType: 'application/javascript', data: 'ZnVuY3Rpb24gZW5oYW5jZSgpIHt9' }],
+  ...overrides
+});
+
+const LENSES = [
+  { name: 'pregnancy-lens', lens: library({ id: 'pregnancy', name: 'pregnancy-lens' }) },
+  { name: 'Allergy Lens', lens: library({ name: 'Allergy Lens', status: 'draft', version: '0.2.0' }) },
+  { name: 'allergy-intolerance', lens: library({ id: 'allergy-intolerance', name: 'allergy-intolerance', status: 'retired' }) },
+  { name: 'Diabète', lens: library({ id: 'diabetes', name: 'Diabète' }) }
+];
+
+const ids = (bundle) => bundle.entry.map((e) => e.resource.id);
+
+describe('FHIR Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getLenses.mockResolvedValue(LENSES);
+  });
+
+  describe('getLibraryId', () => {
+    test('uses Library.id, or derives a valid id from the lens name', () => {
+      expect(getLibraryId(LENSES[0])).toBe('pregnancy');
+      expect(getLibraryId(LENSES[1])).toBe('Allergy-Lens');
+      expect(getLibraryId({ name: `${'x'.repeat(70)}/lens`, lens: {} })).toHaveLength(64);
+    });
+
+    test('keeps ids unique when lenses of several sources would share one', async () => {
+      const clashes = [
+        { name: 'a b', source: { id: 'main' }, lens: library({ name: 'a b' }) },
+        { name: 'a-b', source: { id: 'main' }, lens: library({ name: 'a-b' }) },
+        { name: 'pregnancy-lens', source: { id: 'main' }, lens: library({ id: 'pregnancy', name: 'pregnancy-lens' }) },
+        { name: 'other-pregnancy', source: { id: 'extra' }, lens: library({ id: 'pregnancy', name: 'other-pregnancy' }) },
+        { name: `${'x'.repeat(70)}`, source: { id: 'main' }, lens: {} },
+        { name: `${'x'.repeat(70)}/lens`, source: { id: 'main' }, lens: {} }
+      ];
+      getLenses.mockResolvedValue(clashes);
+
+      const assigned = Array.from(getLibraryIds(clashes).values());
+      const bundle = await searchLibraries(undefined, {});
+
+      expect(assigned.slice(0, 4)).toEqual(['a-b', expect.stringMatching(/^a-b-[0-9a-f]{8}$/), 'pregnancy', expect.stringMatching(/^pregnancy-[0-9a-f]{8}$/)]);
+      expect(assigned[5]).toMatch(/^x{55}-[0-9a-f]{8}$/);
+      expect(new Set(assigned).size).toBe(clashes.length);
+      expect(getLibraryIds(clashes)).toEqual(getLibraryIds(clashes));
+      expect(ids(bundle)).toEqual(assigned);
+      expect((await readLibrary(undefined, assigned[3])).name).toBe('other-pregnancy');
+      expect((await readLibrary(undefined, 'pregnancy')).name).toBe('pregnancy-lens');
+    });
+  });
+
+  describe('readLibrary', () => {
+    test('returns the Library with its id first', async () => {
+      const result = await readLibrary(undefined, 'Allergy-Lens');
+
+      expect(Object.keys(result).slice(0, 2)).toEqual(['resourceType', 'id']);
+      expect(result).toMatchObject({ resourceType: 'Library', id: 'Allergy-Lens', name: 'Allergy Lens' });
+    });
+
+    test('throws 404 not-found for unknown ids', async () => {
+      await expect(readLibrary(undefined, 'nope')).rejects.toMatchObject({ statusCode: 404, issueCode: 'not-found' });
+    });
+  });
+
+  describe('searchLibraries', () => {
+    test('returns all lenses as a searchset Bundle', async () => {
+      const bundle = await searchLibraries(undefined, {}, { baseUrl: 'https://lenses.example.org' });
+
+      expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 4 });
+      expect(bundle.link).toEqual([{ relation: 'self', url: 'https://lenses.example.org/Library' }]);
+      expect(bundle.entry[0]).toEqual({
+        fullUrl: 'https://lenses.example.org/Library/pregnancy',
+        resource: expect.objectContaining({ id: 'pregnancy' }),
+        search: { mode: 'match' }
+      });
+    });
+
+    test('searches name case and accent insensitively, by prefix', async () => {
+      expect(ids(await searchLibraries(undefined, { name: 'allergy' }))).toEqual(['Allergy-Lens', 'allergy-intolerance']);
+      expect(ids(await searchLibraries(undefined, { name: 'diabete' }))).toEqual(['diabetes']);
+      expect(ids(await searchLibraries(undefined, { 'name:exact': 'Allergy Lens' }))).toEqual(['Allergy-Lens']);
+      expect(ids(await searchLibraries(undefined, { 'name:contains': 'lens' }))).toEqual(['pregnancy', 'Allergy-Lens']);
+    });
+
+    test('matches url, version, status and _id exactly', async () => {
+      expect(ids(await searchLibraries(undefined, { url: 'http://hl7.eu/fhir/ig/gravitate-health/Library/pregnancy-lens' }))).toEqual(['pregnancy']);
+      expect(ids(await searchLibraries(undefined, { url: 'http://hl7.eu/fhir/ig/gravitate-health/Library/pregnancy' }))).toEqual([]);
+      expect(ids(await searchLibraries(undefined, { version: '0.2.0' }))).toEqual(['Allergy-Lens']);
+      expect(ids(await searchLibraries(undefined, { status: 'active' }))).toEqual(['pregnancy', 'diabetes']);
+      expect(ids(await searchLibraries(undefined, { _id: 'diabetes' }))).toEqual(['diabetes']);
+    });
+
+    test('combines comma separated values with OR and parameters with AND', async () => {
+      expect(ids(await searchLibraries(undefined, { status: 'draft,retired' }))).toEqual(['Allergy-Lens', 'allergy-intolerance']);
+      expect(ids(await searchLibraries(undefined, { status: 'draft,retired', name: 'allergy-' }))).toEqual(['allergy-intolerance']);
+      expect(ids(await searchLibraries(undefined, { name: ['allergy', 'allergy lens'] }))).toEqual(['Allergy-Lens']);
+      expect(ids(await searchLibraries(undefined, { 'status:not': 'active' }))).toEqual(['Allergy-Lens', 'allergy-intolerance']);
+    });
+
+    test('lists the parameters used in the self link and ignores unknown ones', async () => {
+      const bundle = await searchLibraries(undefined, { status: 'active', publisher: 'x' }, { baseUrl: 'http://h' });
+
+      expect(bundle.total).toBe(2);
+      expect(bundle.link[0].url).toBe('http://h/Library?status=active');
+    });
+
+    test('rejects unknown parameters with strict handling, and unsupported modifiers', async () => {
+      await expect(searchLibraries(undefined, { publisher: 'x' }, { strict: true }))
+        .rejects.toMatchObject({ statusCode: 400, issueCode: 'not-supported' });
+      await expect(searchLibraries(undefined, { _format: 'json' }, { strict: true })).resolves.toMatchObject({ total: 4 });
+      await expect(searchLibraries(undefined, { 'status:exact': 'active' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(searchLibraries(undefined, { name: '' }))
+        .rejects.toMatchObject({ statusCode: 400, issueCode: 'invalid' });
+    });
+  });
+
+  describe('getLensBundle', () => {
+    beforeEach(() => {
+      getCatalogue.mockResolvedValue({
+        lenses: LENSES,
+        reports: [{ commit: 'a'.repeat(40), committedAt: '2024-06-12T14:00:00+02:00' }]
+      });
+    });
+
+    test('returns a collection of Libraries stamped with the newest commit date', async () => {
+      const bundle = await getLensBundle(undefined, 'collection', { baseUrl: 'https://lenses.example.org' });
+
+      expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection', timestamp: '2024-06-12T12:00:00.000Z' });
+      expect(bundle.entry).toHaveLength(4);
+      expect(bundle.entry[0]).toEqual({
+        fullUrl: 'https://lenses.example.org/Library/pregnancy',
+        resource: expect.objectContaining({ resourceType: 'Library', id: 'pregnancy' })
+      });
+    });
+
+    test('returns a transaction of conditional updates on url and version', async () => {
+      const bundle = await getLensBundle(undefined, 'transaction');
+      const [entry] = bundle.entry;
+
+      expect(bundle.type).toBe('transaction');
+      expect(entry.request).toEqual({
+        method: 'PUT',
+        url: 'Library?url=http%3A%2F%2Fhl7.eu%2Ffhir%2Fig%2Fgravitate-health%2FLibrary%2Fpregnancy-lens&version=1.0.0'
+      });
+      expect(entry.fullUrl).toMatch(/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(entry.resource).not.toHaveProperty('id');
+      expect(entry.resource.name).toBe('pregnancy-lens');
+      expect((await getLensBundle(undefined, 'transaction')).entry[0].fullUrl).toBe(entry.fullUrl);
+    });
+
+    test('updates lenses without a url by id and leaves out repeated conditional URLs', async () => {
+      getCatalogue.mockResolvedValue({
+        lenses: [
+          { name: 'no-url', lens: { resourceType: 'Library', id: 'no-url', status: 'draft' } },
+          LENSES[0],
+          { name: 'copy', lens: { ...LENSES[0].lens, id: 'copy' } }
+        ],
+        reports: []
+      });
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const bundle = await getLensBundle(undefined, 'transaction');
+
+      expect(bundle.entry.map((e) => e.request.url)).toEqual([
+        'Library/no-url',
+        expect.stringMatching(/^Library\?url=/)
+      ]);
+      expect(bundle.entry[0].resource.id).toBe('no-url');
+      expect(bundle).not.toHaveProperty('timestamp');
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("Lens 'copy' is left out"));
+      warn.mockRestore();
+    });
+
+    test('returns the revision of the catalogue the Bundle is built from', async () => {
+      const { bundle, revision } = await getLensBundleWithRevision(undefined, 'collection');
+
+      expect(revision).toEqual({ commits: ['a'.repeat(40)], lastModified: '2024-06-12T12:00:00.000Z' });
+      expect(bundle.timestamp).toBe(revision.lastModified);
+      expect(getCatalogue).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects other Bundle types with 400', async () => {
+      await expect(getLensBundle(undefined, 'batch')).rejects.toMatchObject({ statusCode: 400 });
+      expect(getCatalogue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Provenance', () => {
+    const commit = (sha, date, files, signer) => ({
+      sha: sha.repeat(40),
+      date,
+      files,
+      signer,
+      key: `SHA256:${signer}`,
+      format: 'ssh',
+      signature: '-----BEGIN SSH SIGNATURE-----\nU1NIU0lH\n-----END SSH SIGNATURE-----'
+    });
+    const signed = {
+      ...LENSES[0],
+      source: { id: 'pregnancy', url: 'https://example.org/lenses.git', branch: 'main' },
+      signedCommits: [
+        commit('a', '2024-06-12T14:00:00+02:00', ['pregnancy.json'], 'author@example.org'),
+        commit('b', '2024-06-13T09:00:00+02:00', ['pregnancy.js'], 'author@example.org')
+      ]
+    };
+
+    test('names the signed commits of a lens and their signer', () => {
+      const provenance = toProvenance(signed);
+
+      expect(provenance).toMatchObject({
+        resourceType: 'Provenance',
+        id: 'pregnancy',
+        target: [{ reference: 'Library/pregnancy' }],
+        recorded: '2024-06-13T07:00:00.000Z'
+      });
+      expect(provenance.agent).toEqual([{
+        type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type', code: 'author', display: 'Author' }] },
+        who: { identifier: { value: 'SHA256:author@example.org' }, display: 'author@example.org' }
+      }]);
+      expect(provenance.entity[1]).toEqual({
+        role: 'source',
+        what: { identifier: { value: 'b'.repeat(40) }, display: `Commit ${'b'.repeat(40)} of https://example.org/lenses.git (pregnancy.js)` }
+      });
+      expect(provenance.signature[0]).toMatchObject({
+        type: [{ system: 'urn:iso-astm:E1762-95:2013', code: '1.2.840.10065.1.12.1.1' }],
+        when: '2024-06-12T14:00:00+02:00',
+        sigFormat: 'application/x-ssh-signature'
+      });
+      expect(Buffer.from(provenance.signature[0].data, 'base64').toString()).toMatch(/^-----BEGIN SSH SIGNATURE-----/);
+      expect(toProvenance(LENSES[1])).toBeNull();
+    });
+
+    test('reads and searches Provenance by target', async () => {
+      getLenses.mockResolvedValue([signed, ...LENSES.slice(1)]);
+
+      expect((await readProvenance(undefined, 'pregnancy')).id).toBe('pregnancy');
+      await expect(readProvenance(undefined, 'Allergy-Lens')).rejects.toMatchObject({ statusCode: 404, issueCode: 'not-found' });
+      expect(ids(await searchProvenance(undefined, {}))).toEqual(['pregnancy']);
+      expect(ids(await searchProvenance(undefined, { target: 'Library/pregnancy' }))).toEqual(['pregnancy']);
+      expect(ids(await searchProvenance(undefined, { target: 'https://lenses.example.org/fhir/Library/pregnancy' }))).toEqual(['pregnancy']);
+      expect(ids(await searchProvenance(undefined, { target: 'Library/diabetes' }))).toEqual([]);
+      await expect(searchProvenance(undefined, { name: 'x' }, { strict: true }))
+        .rejects.toMatchObject({ statusCode: 400, message: "Unknown search parameter 'name' for Provenance" });
+    });
+  });
+
+  describe('getCapabilityStatement', () => {
+    test('declares read and search on Library with the supported search parameters', () => {
+      const capabilities = getCapabilityStatement('https://lenses.example.org', { signedCommits: true });
+      const [resource] = capabilities.rest[0].resource;
+
+      expect(capabilities).toMatchObject({ resourceType: 'CapabilityStatement', kind: 'instance', fhirVersion: '4.0.1' });
+      expect(capabilities.implementation.url).toBe('https://lenses.example.org');
+      expect(resource.type).toBe('Library');
+      expect(resource.interaction.map((i) => i.code)).toEqual(['read', 'search-type']);
+      expect(resource.searchParam.map((p) => p.name)).toEqual(['_id', 'name', 'url', 'version', 'status']);
+      expect(capabilities.rest[0].resource[1].type).toBe('Provenance');
+      expect(capabilities.rest[0].resource[1].searchParam.map((p) => p.name)).toEqual(['_id', 'target']);
+    });
+
+    test('only lists Provenance when a source requires signed commits', () => {
+      const capabilities = getCapabilityStatement('https://lenses.example.org');
+
+      expect(capabilities.rest[0].resource.map((r) => r.type)).toEqual(['Library']);
+    });
+  });
+
+  describe('errorOutcome', () => {
+    test('wraps errors in an OperationOutcome', () => {
+      expect(errorOutcome(new Error('boom'))).toEqual({
+        resourceType: 'OperationOutcome',
+        issue: [{ severity: 'error', code: 'exception', diagnostics: 'boom' }]
+      });
+    });
+  });
+});
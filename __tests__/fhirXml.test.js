@@ -0,0 +1,119 @@
+const { toFhirXml } = require('../src/utils/fhirXml');
+
+const body = (xml) => xml.replace('<?xml version="1.0" encoding="UTF-8"?>', '');
+
+describe('FHIR XML', () => {
+  test('writes the resource in the FHIR namespace with primitives as value attributes', () => {
+    const xml = toFhirXml({ resourceType: 'Library', id: 'pregnancy', status: 'active', experimental: false });
+
+    expect(xml).toBe('<?xml version="1.0" encoding="UTF-8"?><Library xmlns="http://hl7.org/fhir"><id value="pregnancy"/><status value="active"/><experimental value="false"/></Library>');
+  });
+
+  test('orders elements as the Library definition does, not as the JSON does', () => {
+    const xml = toFhirXml({
+      resourceType: 'Library',
+      content: [{ data: 'ZnVuY3Rpb24gZW5oYW5jZSgpIHt9', contentType: 'application/javascript' }],
+      type: { coding: [{ code: 'logic-library', system: 'http://terminology.hl7.org/CodeSystem/library-type' }] },
+      status: 'draft',
+      name: 'pregnancy-lens',
+      url: 'http://hl7.eu/fhir/ig/gravitate-health/Library/pregnancy-lens',
+      extension: [{ url: 'http://hl7.eu/fhir/ig/gravitate-health/StructureDefinition/lens-script', valueString: 'pregnancy' }],
+      meta: { profile: ['http://hl7.eu/fhir/ig/gravitate-health/StructureDefinition/lens'] },
+      id: 'pregnancy'
+    });
+
+    expect(body(xml)).toBe([
+      '<Library xmlns="http://hl7.org/fhir">',
+      '<id value="pregnancy"/>',
+      '<meta><profile value="http://hl7.eu/fhir/ig/gravitate-health/StructureDefinition/lens"/></meta>',
+      '<extension url="http://hl7.eu/fhir/ig/gravitate-health/StructureDefinition/lens-script"><valueString value="pregnancy"/></extension>',
+      '<url value="http://hl7.eu/fhir/ig/gravitate-health/Library/pregnancy-lens"/>',
+      '<name value="pregnancy-lens"/>',
+      '<status value="draft"/>',
+      '<type><coding><system value="http://terminology.hl7.org/CodeSystem/library-type"/><code value="logic-library"/></coding></type>',
+      '<content><contentType value="application/javascript"/><data value="ZnVuY3Rpb24gZW5oYW5jZSgpIHt9"/></content>',
+      '</Library>'
+    ].join(''));
+  });
+
+  test('orders Provenance agents, entities and signatures as their definitions do', () => {
+    const xml = toFhirXml({
+      resourceType: 'Provenance',
+      signature: [{ data: 'U1NIU0lH', sigFormat: 'application/x-ssh-signature', who: { display: 'author@example.org' }, when: '2024-06-12T14:00:00+02:00', type: [{ code: '1.2.840.10065.1.12.1.1' }] }],
+      entity: [{ what: { identifier: { value: 'abc' } }, role: 'source' }],
+      agent: [{ who: { display: 'author@example.org' }, type: { text: 'Author' } }],
+      recorded: '2024-06-12T12:00:00.000Z',
+      target: [{ reference: 'Library/pregnancy' }],
+      id: 'pregnancy'
+    });
+
+    expect(body(xml)).toBe([
+      '<Provenance xmlns="http://hl7.org/fhir">',
+      '<id value="pregnancy"/>',
+      '<target><reference value="Library/pregnancy"/></target>',
+      '<recorded value="2024-06-12T12:00:00.000Z"/>',
+      '<agent><type><text value="Author"/></type><who><display value="author@example.org"/></who></agent>',
+      '<entity><role value="source"/><what><identifier><value value="abc"/></identifier></what></entity>',
+      '<signature><type><code value="1.2.840.10065.1.12.1.1"/></type><when value="2024-06-12T14:00:00+02:00"/>',
+      '<who><display value="author@example.org"/></who><sigFormat value="application/x-ssh-signature"/><data value="U1NIU0lH"/></signature>',
+      '</Provenance>'
+    ].join(''));
+  });
+
+  test('writes datatype ids as attributes and primitive extensions inside the element', () => {
+    const xml = toFhirXml({
+      resourceType: 'Library',
+      status: 'draft',
+      _status: { id: 's1', extension: [{ url: 'http://example.org/reason', valueCode: 'review' }] },
+      jurisdiction: [{ id: 'j1', coding: [{ system: 'urn:iso:std:iso:3166', code: 'ES' }] }]
+    });
+
+    expect(body(xml)).toContain('<status id="s1" value="draft"><extension url="http://example.org/reason"><valueCode value="review"/></extension></status>');
+    expect(body(xml)).toContain('<jurisdiction id="j1"><coding><system value="urn:iso:std:iso:3166"/><code value="ES"/></coding></jurisdiction>');
+  });
+
+  test('repeats elements for arrays and escapes attribute values', () => {
+    const xml = toFhirXml({
+      resourceType: 'Library',
+      description: 'Highlights "pregnancy" & <breastfeeding>\nsections',
+      topic: [{ text: 'Pregnancy' }, { text: 'Breastfeeding' }]
+    });
+
+    expect(xml).toContain('<description value="Highlights &quot;pregnancy&quot; &amp; &lt;breastfeeding&gt;&#xA;sections"/>');
+    expect(xml).toContain('<topic><text value="Pregnancy"/></topic><topic><text value="Breastfeeding"/></topic>');
+  });
+
+  test('keeps the narrative XHTML and nests resources in their type element', () => {
+    const xml = toFhirXml({
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: 1,
+      entry: [{
+        search: { mode: 'match' },
+        resource: {
+          resourceType: 'Library',
+          text: { status: 'generated', div: '<div xmlns="http://www.w3.org/1999/xhtml"><p>Pregnancy lens</p></div>' },
+          status: 'active'
+        },
+        fullUrl: 'https://lenses.example.org/Library/pregnancy'
+      }]
+    });
+
+    expect(body(xml)).toBe([
+      '<Bundle xmlns="http://hl7.org/fhir"><type value="searchset"/><total value="1"/>',
+      '<entry><fullUrl value="https://lenses.example.org/Library/pregnancy"/>',
+      '<resource><Library><text><status value="generated"/><div xmlns="http://www.w3.org/1999/xhtml"><p>Pregnancy lens</p></div></text><status value="active"/></Library></resource>',
+      '<search><mode value="match"/></search></entry></Bundle>'
+    ].join(''));
+  });
+
+  test('writes elements without a definition after the known ones', () => {
+    const xml = toFhirXml({ resourceType: 'Library', notInR4: { code: 'x' }, status: 'active' });
+
+    expect(body(xml)).toBe('<Library xmlns="http://hl7.org/fhir"><status value="active"/><notInR4><code value="x"/></notInR4></Library>');
+  });
+
+  test('refuses objects that are not resources', () => {
+    expect(() => toFhirXml({ name: 'lens' })).toThrow(/resourceType/);
+  });
+});
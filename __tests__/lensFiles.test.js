@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { walkLensFiles } = require('../src/utils/lensFiles');
+
+describe('Lens file traversal', () => {
+  let root;
+
+  const writeFile = (name, content = '{}') => {
+    const filePath = path.join(root, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  const relative = (files) => files.map((file) => path.relative(root, file).split(path.sep).join('/')).sort();
+
+  beforeEach(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'lens-files-')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('finds lens JSON and scripts, skipping .git and node_modules', () => {
+    writeFile('lenses/a.json');
+    writeFile('lenses/a.js', 'function enhance(epi) { return epi; }');
+    writeFile('lenses/b.ts', 'export function enhance(epi: object) { return epi; }');
+    writeFile('lenses/epi.d.ts', 'export interface Bundle {}');
+    writeFile('README.md', '# lenses');
+    writeFile('.git/config.json');
+    writeFile('node_modules/lib/package.json');
+    writeFile('node_modules/lib/index.js');
+
+    const files = walkLensFiles(root);
+
+    expect(relative(files.json)).toEqual(['lenses/a.json']);
+    expect(relative(files.scripts)).toEqual(['lenses/a.js', 'lenses/b.ts']);
+  });
+
+  test('applies .lensignore files with gitignore syntax', () => {
+    writeFile('.lensignore', '# test data\nfixtures/\n*.draft.json\n');
+    writeFile('lenses/.lensignore', 'old-*\n!old-keep.json\n');
+    writeFile('lenses/a.json');
+    writeFile('lenses/b.draft.json');
+    writeFile('lenses/old-a.json');
+    writeFile('lenses/old-keep.json');
+    writeFile('fixtures/epi.json');
+    writeFile('other/old-b.json');
+
+    const files = walkLensFiles(root);
+
+    expect(relative(files.json)).toEqual(['lenses/a.json', 'lenses/old-keep.json', 'other/old-b.json']);
+  });
+
+  test('reads .lensignore files above the folder walked, up to baseDir', () => {
+    writeFile('.lensignore', 'lenses/drafts/\n');
+    writeFile('lenses/a.json');
+    writeFile('lenses/drafts/b.json');
+
+    expect(relative(walkLensFiles(path.join(root, 'lenses'), { baseDir: root }).json)).toEqual(['lenses/a.json']);
+    expect(relative(walkLensFiles(path.join(root, 'lenses')).json)).toEqual(['lenses/a.json', 'lenses/drafts/b.json']);
+  });
+
+  test('applies include globs to lens JSON and exclude globs to every file', () => {
+    writeFile('lenses/a.json');
+    writeFile('lenses/a.js');
+    writeFile('lenses/test/a.test.js');
+    writeFile('package.json');
+    writeFile('tsconfig.json');
+
+    const files = walkLensFiles(root, { include: ['lenses/**/*.json'], exclude: ['test/'] });
+
+    expect(relative(files.json)).toEqual(['lenses/a.json']);
+    expect(relative(files.scripts)).toEqual(['lenses/a.js']);
+  });
+
+  test('lists files above the size limit instead of returning them', () => {
+    writeFile('small.json', '{}');
+    const big = writeFile('big.json', JSON.stringify({ data: 'x'.repeat(2048) }));
+
+    const files = walkLensFiles(root, { maxFileSize: 1024 });
+
+    expect(relative(files.json)).toEqual(['small.json']);
+    expect(files.tooLarge).toEqual([{ path: big, size: fs.statSync(big).size }]);
+  });
+
+  test('ends on symlink loops and skips links leaving the folder', () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'lens-files-outside-'));
+    try {
+      fs.writeFileSync(path.join(outside, 'secret.json'), '{}');
+      writeFile('lenses/a.json');
+      fs.symlinkSync(root, path.join(root, 'lenses', 'loop'));
+      fs.symlinkSync(path.join(root, 'lenses'), path.join(root, 'again'));
+      fs.symlinkSync(outside, path.join(root, 'outside'));
+      fs.symlinkSync(path.join(root, 'missing'), path.join(root, 'dangling.json'));
+
+      const files = walkLensFiles(root);
+
+      expect(relative(files.json)).toEqual(['lenses/a.json']);
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+});
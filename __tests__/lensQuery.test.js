@@ -0,0 +1,138 @@
+const { isListQuery, parseLensQuery, applyLensQuery, summarizeLens } = require('../src/utils/lensQuery');
+
+const lens = (name, resource) => ({
+  name,
+  url: `http://hl7.eu/fhir/ig/gravitate-health/Library/${name}`,
+  version: resource.version,
+  status: resource.status,
+  enhanceSource: 'exact-match',
+  source: { id: 'lenses', url: 'https://example.org/lenses.git' },
+  lens: {
+    resourceType: 'Library',
+    name,
+    content: [{ contentType: 'application/javascript', data: 'ZnVuY3Rpb24gZW5oYW5jZSgpIHt9', hash: 'UO2qEBo5zoOoA1DKBo+BkT+ZE9A=' }],
+    ...resource
+  }
+});
+
+const LENSES = [
+  lens('pregnancy-lens', {
+    title: 'Pregnancy lens',
+    description: 'Highlights sections relevant during pregnancy',
+    status: 'active',
+    version: '1.10.0',
+    publisher: 'Gravitate Health',
+    jurisdiction: [{ coding: [{ system: 'urn:iso:std:iso:3166', code: 'ES' }] }]
+  }),
+  lens('allergy-lens', {
+    title: 'Allergy lens',
+    purpose: 'Warns about allergènes in the medication',
+    status: 'draft',
+    version: '1.9.0',
+    publisher: 'Universidad Politécnica de Madrid',
+    jurisdiction: [{ text: 'Europe' }]
+  }),
+  lens('diabetes-lens', {
+    title: 'Diabetes lens',
+    status: 'active',
+    version: '2.0.0',
+    jurisdiction: [{ coding: [{ system: 'urn:iso:std:iso:3166', code: 'NO' }] }]
+  })
+];
+
+const names = (query) => applyLensQuery(LENSES, parseLensQuery(query)).lenses;
+
+describe('Lens Query', () => {
+  describe('isListQuery', () => {
+    test('is true for filters, sorting, pagination and detail only', () => {
+      expect(isListQuery({})).toBe(false);
+      expect(isListQuery({ ref: 'v1.0.0' })).toBe(false);
+      expect(isListQuery({ status: 'active' })).toBe(true);
+      expect(isListQuery({ detail: 'summary' })).toBe(true);
+      expect(isListQuery({ limit: '10' })).toBe(true);
+    });
+  });
+
+  describe('filters', () => {
+    test('match status and version exactly, with comma separated alternatives', () => {
+      expect(names({ status: 'active' })).toEqual(['pregnancy-lens', 'diabetes-lens']);
+      expect(names({ status: 'draft,retired' })).toEqual(['allergy-lens']);
+      expect(names({ version: '2.0.0' })).toEqual(['diabetes-lens']);
+      expect(names({ version: '2.0' })).toEqual([]);
+    });
+
+    test('match publisher as a case and accent insensitive substring', () => {
+      expect(names({ publisher: 'politecnica' })).toEqual(['allergy-lens']);
+      expect(names({ publisher: 'gravitate' })).toEqual(['pregnancy-lens']);
+    });
+
+    test('match jurisdiction by code, system|code or text', () => {
+      expect(names({ jurisdiction: 'es' })).toEqual(['pregnancy-lens']);
+      expect(names({ jurisdiction: 'urn:iso:std:iso:3166|NO' })).toEqual(['diabetes-lens']);
+      expect(names({ jurisdiction: 'urn:other|NO' })).toEqual([]);
+      expect(names({ jurisdiction: 'europe,NO' })).toEqual(['allergy-lens', 'diabetes-lens']);
+    });
+
+    test('match every word of q in title, description or purpose', () => {
+      expect(names({ q: 'pregnancy sections' })).toEqual(['pregnancy-lens']);
+      expect(names({ q: 'allergenes medication' })).toEqual(['allergy-lens']);
+      expect(names({ q: 'lens' })).toHaveLength(3);
+      expect(names({ q: 'pregnancy allergy' })).toEqual([]);
+    });
+
+    test('combine filters with AND', () => {
+      expect(names({ status: 'active', jurisdiction: 'ES' })).toEqual(['pregnancy-lens']);
+    });
+  });
+
+  describe('sorting and pagination', () => {
+    test('sorts versions in natural order, descending with a leading -', () => {
+      expect(names({ sort: 'version' })).toEqual(['allergy-lens', 'pregnancy-lens', 'diabetes-lens']);
+      expect(names({ sort: '-version' })).toEqual(['diabetes-lens', 'pregnancy-lens', 'allergy-lens']);
+      expect(names({ sort: 'status,-name' })).toEqual(['pregnancy-lens', 'diabetes-lens', 'allergy-lens']);
+    });
+
+    test('puts lenses without the sort field last', () => {
+      expect(names({ sort: 'publisher' })).toEqual(['pregnancy-lens', 'allergy-lens', 'diabetes-lens']);
+      expect(names({ sort: '-publisher' })).toEqual(['allergy-lens', 'pregnancy-lens', 'diabetes-lens']);
+    });
+
+    test('pages with offset and limit and reports the total of matching lenses', () => {
+      const result = applyLensQuery(LENSES, parseLensQuery({ sort: 'name', offset: '1', limit: '1' }));
+
+      expect(result).toEqual({ lenses: ['diabetes-lens'], total: 3, offset: 1, limit: 1 });
+      expect(applyLensQuery(LENSES, parseLensQuery({ offset: '5' }))).toEqual({ lenses: [], total: 3, offset: 5 });
+    });
+  });
+
+  describe('summary', () => {
+    test('returns lens metadata without the content', () => {
+      const [summary] = names({ detail: 'summary', limit: '1' });
+
+      expect(summary).toEqual({
+        name: 'pregnancy-lens',
+        title: 'Pregnancy lens',
+        url: 'http://hl7.eu/fhir/ig/gravitate-health/Library/pregnancy-lens',
+        version: '1.10.0',
+        status: 'active',
+        publisher: 'Gravitate Health',
+        description: 'Highlights sections relevant during pregnancy',
+        enhanceSource: 'exact-match',
+        contentHash: 'UO2qEBo5zoOoA1DKBo+BkT+ZE9A=',
+        source: 'lenses'
+      });
+      expect(summarizeLens(LENSES[1])).not.toHaveProperty('content');
+    });
+  });
+
+  describe('parseLensQuery', () => {
+    test('rejects invalid parameters with 400', () => {
+      expect(() => parseLensQuery({ detail: 'full' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => parseLensQuery({ sort: 'content' })).toThrow(/Cannot sort on 'content'/);
+      expect(() => parseLensQuery({ limit: '-1' })).toThrow(/non-negative integer/);
+      expect(() => parseLensQuery({ offset: 'abc' })).toThrow(/non-negative integer/);
+      expect(() => parseLensQuery({ status: ['active', 'draft'] })).toThrow(/given once/);
+      expect(() => parseLensQuery({ status: ',' })).toThrow(/needs a value/);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { runEnhance } = require('../src/utils/lensSandbox');
+
+const inputs = {
+  epi: { resourceType: 'Bundle', type: 'document' },
+  ips: { resourceType: 'Bundle', type: 'document' },
+  pv: {},
+  html: '<p>Leaflet</p>'
+};
+
+describe('Lens Sandbox', () => {
+  describe('runEnhance', () => {
+    test('runs lenses written as a function body returning { enhance }', async () => {
+      const code = [
+        'let enhance = async () => {',
+        '  console.log("focusing", ips.type);',
+        '  return html + "<p>Focused</p>";',
+        '};',
+        'return { enhance: enhance };'
+      ].join('\n');
+
+      const result = await runEnhance(code, inputs);
+
+      expect(result.errors).toEqual([]);
+      expect(result.result).toBe('<p>Leaflet</p><p>Focused</p>');
+      expect(result.logs).toEqual([{ level: 'log', message: 'focusing document' }]);
+    });
+
+    test('runs scripts declaring enhance(epi, ips, pv, html)', async () => {
+      const code = 'function enhance(originalContent) { console.log("Not Enhancing"); return originalContent; }';
+
+      const result = await runEnhance(code, inputs);
+
+      expect(result.errors).toEqual([]);
+      expect(result.result).toEqual(inputs.epi);
+    });
+
+    test('runs CommonJS lens scripts', async () => {
+      const result = await runEnhance('exports.enhance = (epi, ips, pv, html) => html.toUpperCase();', inputs);
+
+      expect(result.result).toBe('<P>LEAFLET</P>');
+    });
+
+    test('reports errors thrown by the lens', async () => {
+      const result = await runEnhance('function enhance() { console.warn("about to fail"); throw new Error("boom"); }', inputs);
+
+      expect(result.result).toBeUndefined();
+      expect(result.logs).toEqual([{ level: 'warn', message: 'about to fail' }]);
+      expect(result.errors[0]).toMatchObject({ name: 'Error', message: 'boom' });
+    });
+
+    test('reports syntax errors without running anything', async () => {
+      const result = await runEnhance('function enhance( {', inputs);
+
+      expect(result.errors[0].name).toBe('SyntaxError');
+    });
+
+    test('stops lenses that exceed the time limit', async () => {
+      const result = await runEnhance('function enhance() { while (true) {} }', inputs, { timeoutMs: 300 });
+
+      expect(result.errors[0]).toMatchObject({ name: 'TimeoutError' });
+    });
+
+    test('stops lenses that exceed the memory limit', async () => {
+      const code = 'function enhance() { const chunks = []; while (true) { chunks.push(new Array(100000).fill(1)); } }';
+
+      const result = await runEnhance(code, inputs, { timeoutMs: 10000, memoryMb: 16 });
+
+      expect(result.errors[0]).toMatchObject({ name: 'MemoryLimitError' });
+    });
+
+    test('does not expose the host environment', async () => {
+      const code = [
+        'function enhance() {',
+        '  const probes = [typeof require, typeof process, typeof module.require];',
+        '  try { probes.push(this.constructor.constructor("return typeof process")()); } catch (e) { probes.push(e.name); }',
+        '  return probes.join(",");',
+        '}'
+      ].join('\n');
+
+      const result = await runEnhance(code, inputs);
+
+      expect(result.result).toBe('undefined,undefined,undefined,EvalError');
+    });
+  });
+});
@@ -1,6 +1,26 @@
 const { validateFHIRLens, discoverLenses, jsToBase64 } = require('../src/utils/lensValidator');
+const { ENHANCE_SCRIPT_EXTENSION } = require('../src/utils/scriptMapping');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+
+const LIBRARY_TYPE = {
+  coding: [{ system: 'http://terminology.hl7.org/CodeSystem/library-type', code: 'logic-library' }]
+};
+
+const validLens = (overrides = {}) => ({
+  resourceType: 'Library',
+  id: 'test-lens',
+  url: 'http://example.com/Library/test-lens',
+  name: 'test-lens',
+  status: 'draft',
+  type: LIBRARY_TYPE,
+  content: [{ contentType: 'application/javascript', data: 'SGVsbG8gV29ybGQh' }],
+  ...overrides
+});
+
+const expressionsOf = (result) => result.outcome.issue.flatMap((issue) => issue.expression || []);
 
 describe('FHIR Lens Validator', () => {
   describe('validateFHIRLens', () => {
@@ -11,6 +31,7 @@ describe('FHIR Lens Validator', () => {
         url: 'http://example.com/Library/test-lens',
         name: 'Test Lens',
         status: 'draft',
+        type: LIBRARY_TYPE,
         content: [
           {
             data: 'SGVsbG8gV29ybGQh' // base64 encoded "Hello World!"
@@ -21,6 +42,8 @@ describe('FHIR Lens Validator', () => {
       const result = validateFHIRLens(validLens);
       expect(result.isValid).toBe(true);
       expect(result.errors).toHaveLength(0);
+      expect(result.outcome.resourceType).toBe('OperationOutcome');
+      expect(result.outcome.issue[0].severity).toBe('information');
     });
 
     test('rejects lens with missing resourceType', () => {
@@ -34,7 +57,7 @@ describe('FHIR Lens Validator', () => {
 
       const result = validateFHIRLens(invalidLens);
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('resourceType must be "Library"');
+      expect(result.errors).toContain('Library.resourceType is required');
     });
 
     test('rejects lens with wrong resourceType', () => {
@@ -49,7 +72,7 @@ describe('FHIR Lens Validator', () => {
 
       const result = validateFHIRLens(invalidLens);
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('resourceType must be "Library"');
+      expect(result.errors).toContain('Library.resourceType must be "Library"');
     });
 
     test('rejects lens with missing url', () => {
@@ -63,7 +86,7 @@ describe('FHIR Lens Validator', () => {
 
       const result = validateFHIRLens(invalidLens);
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('url is required and must be a string');
+      expect(result.errors).toContain('Library.url is required');
     });
 
     test('rejects lens with missing name', () => {
@@ -77,7 +100,7 @@ describe('FHIR Lens Validator', () => {
 
       const result = validateFHIRLens(invalidLens);
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('name is required and must be a string');
+      expect(result.errors).toContain('Library.name is required');
     });
 
     test('rejects lens with missing status', () => {
@@ -91,7 +114,7 @@ describe('FHIR Lens Validator', () => {
 
       const result = validateFHIRLens(invalidLens);
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('status is required and must be a string');
+      expect(result.errors).toContain('Library.status is required');
     });
 
     test('rejects lens with missing content array', () => {
@@ -105,7 +128,7 @@ describe('FHIR Lens Validator', () => {
 
       const result = validateFHIRLens(invalidLens);
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('content must be an array');
+      expect(result.errors).toContain('Library.content is required');
     });
 
     test('rejects lens with empty content array', () => {
@@ -120,7 +143,7 @@ describe('FHIR Lens Validator', () => {
 
       const result = validateFHIRLens(invalidLens);
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('content must include at least one item with base64 encoded data');
+      expect(result.errors).toContain('Library.content must NOT have fewer than 1 items');
     });
 
     test('rejects lens with missing data in content', () => {
@@ -135,7 +158,7 @@ describe('FHIR Lens Validator', () => {
 
       const result = validateFHIRLens(invalidLens);
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('content must include at least one item with base64 encoded data');
+      expect(result.errors).toContain('Library.content[0].data is required');
     });
 
     test('rejects null lens', () => {
@@ -149,6 +172,85 @@ describe('FHIR Lens Validator', () => {
       expect(result.isValid).toBe(false);
       expect(result.errors).toContain('Lens must be a JSON object');
     });
+
+    test('rejects lens without the logic-library type', () => {
+      const result = validateFHIRLens(validLens({
+        type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/library-type', code: 'asset-collection' }] }
+      }));
+      expect(result.isValid).toBe(false);
+      expect(expressionsOf(result)).toContain('Library.type.coding');
+
+      const missing = validateFHIRLens(validLens({ type: undefined }));
+      expect(missing.errors).toContain('Library.type is required');
+    });
+
+    test('rejects unknown status codes', () => {
+      const result = validateFHIRLens(validLens({ status: 'published' }));
+      expect(result.isValid).toBe(false);
+      expect(expressionsOf(result)).toEqual(['Library.status']);
+      expect(result.outcome.issue[0].code).toBe('value');
+    });
+
+    test('rejects elements that are not part of Library', () => {
+      const result = validateFHIRLens(validLens({ enhance: 'function enhance() {}' }));
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Library.enhance is not an element of the Lens profile');
+    });
+
+    test('validates parameter definitions', () => {
+      const result = validateFHIRLens(validLens({
+        parameter: [
+          { name: 'epi', use: 'in', min: 1, max: '1', type: 'Bundle' },
+          { name: 'html', use: 'sideways', max: 'many' }
+        ]
+      }));
+      expect(result.isValid).toBe(false);
+      expect(expressionsOf(result)).toEqual(expect.arrayContaining([
+        'Library.parameter[1].use',
+        'Library.parameter[1].max',
+        'Library.parameter[1].type'
+      ]));
+      expect(expressionsOf(result).some((e) => e.startsWith('Library.parameter[0]'))).toBe(false);
+    });
+
+    test('requires the javascript content type', () => {
+      const result = validateFHIRLens(validLens({ content: [{ contentType: 'text/plain', data: 'SGVsbG8gV29ybGQh' }] }));
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Library.content[0].contentType must be "application/javascript"');
+    });
+
+    test('rejects data that is not valid base64', () => {
+      const result = validateFHIRLens(validLens({ content: [{ data: 'not base64!' }] }));
+      expect(result.isValid).toBe(false);
+      expect(result.outcome.issue).toEqual([{
+        severity: 'error',
+        code: 'value',
+        diagnostics: 'Library.content[0].data must be valid base64Binary',
+        expression: ['Library.content[0].data']
+      }]);
+    });
+
+    test('validates extensions', () => {
+      const valid = validateFHIRLens(validLens({
+        extension: [{ url: 'http://example.com/ext', valueString: 'ok' }]
+      }));
+      expect(valid.isValid).toBe(true);
+
+      const result = validateFHIRLens(validLens({
+        extension: [
+          { valueString: 'no url' },
+          { url: 'http://example.com/ext' },
+          { url: 'http://example.com/ext', valueString: 'x', extension: [{ url: 'nested', valueBoolean: true }] }
+        ]
+      }));
+      expect(result.isValid).toBe(false);
+      expect(expressionsOf(result)).toEqual(expect.arrayContaining([
+        'Library.extension[0].url',
+        'Library.extension[1]',
+        'Library.extension[2]'
+      ]));
+      expect(result.outcome.issue.filter((i) => i.code === 'invariant')).toHaveLength(2);
+    });
   });
 
   describe('jsToBase64', () => {
@@ -192,6 +294,312 @@ describe('FHIR Lens Validator', () => {
     });
   });
 
+  describe('discoverLenses', () => {
+    let repoDir;
+
+    const writeFile = (name, content) => {
+      const filePath = path.join(repoDir, name);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content), 'utf8');
+      return filePath;
+    };
+
+    beforeEach(() => {
+      repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lens-discovery-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoDir, { recursive: true, force: true });
+    });
+
+    test('completes lenses that only miss their content with the enhance JS', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'my-lens' });
+      writeFile('my-lens.json', withoutContent);
+      const jsPath = writeFile('my-lens.js', 'function enhance(epi) { return epi; }');
+
+      const lenses = await discoverLenses(repoDir);
+
+      expect(lenses).toHaveLength(1);
+      expect(lenses[0].enhancedWithJs).toBe(jsPath);
+      expect(lenses[0].enhanceSource).toBe('exact-match');
+      expect(Buffer.from(lenses[0].lens.content[0].data, 'base64').toString('utf8')).toContain('function enhance');
+    });
+
+    test('does not enhance lenses with profile errors outside content', async () => {
+      const { content, type, ...lens } = validLens({ name: 'untyped-lens' });
+      writeFile('untyped-lens.json', lens);
+      writeFile('untyped-lens.js', 'function enhance(epi) { return epi; }');
+
+      const lenses = await discoverLenses(repoDir);
+
+      expect(lenses).toHaveLength(0);
+    });
+
+    test('describes the embedded script with its content type, size and SHA-1 hash', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'hashed-lens' });
+      writeFile('hashed-lens.json', { ...withoutContent, content: [{ size: 1, hash: 'c3RhbGU=' }] });
+      const script = 'function enhance(epi) { return epi; }';
+      writeFile('hashed-lens.js', script);
+
+      const lenses = await discoverLenses(repoDir);
+
+      expect(lenses[0].lens.content[0]).toEqual({
+        contentType: 'application/javascript',
+        data: Buffer.from(script).toString('base64'),
+        size: Buffer.byteLength(script),
+        hash: crypto.createHash('sha1').update(script).digest('base64')
+      });
+    });
+
+    test('rejects lenses whose precomputed hash does not match their content', async () => {
+      const hash = crypto.createHash('sha1').update('Hello World!').digest('base64');
+      writeFile('good-lens.json', validLens({ name: 'good-lens', content: [{ data: 'SGVsbG8gV29ybGQh', hash, size: 12 }] }));
+      writeFile('plain-lens.json', validLens({ name: 'plain-lens' }));
+      writeFile('stale-lens.json', validLens({ name: 'stale-lens', content: [{ data: 'SGVsbG8gV29ybGQh', hash: 'c3RhbGU=', size: 5 }] }));
+
+      const files = [];
+      const lenses = await discoverLenses(repoDir, { onFile: (entry) => files.push(entry) });
+      const stale = files.find((entry) => entry.name === 'stale-lens');
+
+      expect(lenses.map((lens) => lens.name).sort()).toEqual(['good-lens', 'plain-lens']);
+      expect(lenses.find((lens) => lens.name === 'plain-lens').lens.content[0]).toMatchObject({ size: 12, hash });
+      expect(stale).toMatchObject({ status: 'rejected', reason: 'hash-mismatch' });
+      expect(stale.errors).toEqual([
+        `Library.content[0].hash is "c3RhbGU=" but the SHA-1 of the data is "${hash}"`,
+        'Library.content[0].size is 5 but the data is 12 bytes'
+      ]);
+      expect(stale.outcome.issue[0].expression).toEqual(['Library.content[0].hash']);
+    });
+
+    test('records the signature of the enhance script', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'esm-lens' });
+      writeFile('esm-lens.json', withoutContent);
+      writeFile('esm-lens.js', 'export const enhance = async (epi, ips) => epi;');
+
+      const lenses = await discoverLenses(repoDir);
+
+      // ES module exports are served as the declarations the focusing engine runs
+      expect(lenses[0].enhanceScript).toEqual({ exportStyle: 'global', params: ['epi', 'ips'], async: true });
+      expect(Buffer.from(lenses[0].lens.content[0].data, 'base64').toString()).toBe('const enhance = async (epi, ips) => epi;');
+    });
+
+    test('rejects lenses whose enhance script does not parse', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'broken-lens' });
+      writeFile('broken-lens.json', withoutContent);
+      writeFile('broken-lens.js', 'function enhance(epi {\n  return epi;\n}');
+      writeFile('other.js', 'function enhance(epi) { return epi; }');
+
+      const files = [];
+      const lenses = await discoverLenses(repoDir, { onFile: (entry) => files.push(entry) });
+
+      expect(lenses).toHaveLength(0);
+      expect(files[0]).toMatchObject({ status: 'rejected', reason: 'script-error' });
+      expect(files[0].errors[0]).toMatch(/^broken-lens\.js: Unexpected token at line 1/);
+    });
+
+    test('bundles the files an enhance script imports', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'split-lens' });
+      writeFile('lenses/split-lens.json', withoutContent);
+      writeFile('lenses/split-lens.js', 'const { mark } = require("../shared/html");\nfunction enhance(epi) { return mark(epi); }');
+      const helper = writeFile('shared/html.js', 'exports.mark = (html) => `<mark>${html}</mark>`;');
+
+      const lenses = await discoverLenses(path.join(repoDir, 'lenses'), { baseDir: repoDir });
+      const code = Buffer.from(lenses[0].lens.content[0].data, 'base64').toString('utf8');
+
+      expect(lenses[0].enhanceImports).toEqual([helper]);
+      expect(code).toContain('"shared/html.js": function (module, exports)');
+      expect(code).toContain('__lensRequire("shared/html.js")');
+    });
+
+    test('rejects lenses whose enhance script imports are missing or circular', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'cyclic-lens' });
+      writeFile('cyclic-lens.json', withoutContent);
+      writeFile('cyclic-lens.js', 'require("./a");\nfunction enhance(epi) { return epi; }');
+      writeFile('a.js', 'require("./cyclic-lens");');
+
+      const files = [];
+      const lenses = await discoverLenses(repoDir, { onFile: (entry) => files.push(entry) });
+
+      expect(lenses).toHaveLength(0);
+      expect(files[0]).toMatchObject({ status: 'rejected', reason: 'import-error', errors: ['Circular import: cyclic-lens.js -> a.js -> cyclic-lens.js'] });
+    });
+
+    test('compiles TypeScript enhance scripts', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'typed-lens' });
+      writeFile('typed-lens.json', withoutContent);
+      writeFile('typed-lens.js', 'function enhance(epi) { return "stale build output"; }');
+      const tsPath = writeFile('typed-lens.ts', 'interface Bundle { entry?: object[] }\nexport function enhance(epi: Bundle): Bundle {\n  return epi;\n}');
+
+      const lenses = await discoverLenses(repoDir, { minify: true });
+      const code = Buffer.from(lenses[0].lens.content[0].data, 'base64').toString('utf8');
+
+      expect(lenses[0].enhancedWithJs).toBe(tsPath);
+      expect(lenses[0].enhanceScript).toEqual({ exportStyle: 'global', params: ['epi'], async: false });
+      expect(code).toBe('function enhance(n){return n}\n');
+    });
+
+    test('rejects lenses whose TypeScript does not compile', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'typo-lens' });
+      writeFile('typo-lens.json', withoutContent);
+      writeFile('typo-lens.ts', 'export function enhance(epi: Bundle {\n  return epi;\n}');
+      writeFile('typo-lens.js', 'function enhance(epi) { return epi; }');
+
+      const files = [];
+      const lenses = await discoverLenses(repoDir, { onFile: (entry) => files.push(entry) });
+
+      expect(lenses).toHaveLength(0);
+      expect(files[0]).toMatchObject({ status: 'rejected', reason: 'compile-error' });
+      expect(files[0].errors).toEqual(['typo-lens.ts: Expected ")" but found "{" at line 1, column 37']);
+    });
+
+    test('ignores scripts that only mention enhance in comments', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'plain-lens' });
+      writeFile('plain-lens.json', withoutContent);
+      writeFile('plain-lens.js', '// function enhance(epi) {}\nconst options = { enhance: true };');
+
+      const lenses = await discoverLenses(repoDir, { defaultEnhance: true });
+
+      expect(lenses[0].enhanceSource).toBe('default');
+      expect(lenses[0].enhancedWithJs).toBeUndefined();
+    });
+
+    test('refuses lenses without an enhance script unless the default function is allowed', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'bare-lens' });
+      writeFile('bare-lens.json', withoutContent);
+
+      const files = [];
+      const lenses = await discoverLenses(repoDir, { onFile: (entry) => files.push(entry) });
+
+      expect(lenses).toHaveLength(0);
+      expect(files[0]).toMatchObject({ status: 'rejected', reason: 'missing-script' });
+      expect(files[0].errors[0]).toMatch(/^No enhance script found: add bare-lens\.js next to the lens/);
+    });
+
+    test('leaves the scripts of other lenses out of the fallback', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'first-lens' });
+      writeFile('first-lens.json', withoutContent);
+      writeFile('second-lens.json', { ...withoutContent, name: 'second-lens' });
+      writeFile('first-lens.js', 'function enhance(epi) { return "first"; }');
+      const shared = writeFile('shared.js', 'function enhance(epi) { return "shared"; }');
+
+      const lenses = await discoverLenses(repoDir);
+      const second = lenses.find((lens) => lens.name === 'second-lens');
+
+      expect(second).toMatchObject({ enhanceSource: 'fallback', enhancedWithJs: shared });
+    });
+
+    test('warns about ambiguous fallbacks and refuses them under strict', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'loose-lens' });
+      writeFile('loose-lens.json', withoutContent);
+      writeFile('a.js', 'function enhance(epi) { return "a"; }');
+      writeFile('b.js', 'function enhance(epi) { return "b"; }');
+
+      const files = [];
+      await discoverLenses(repoDir, { onFile: (entry) => files.push(entry) });
+      const strictFiles = [];
+      const strictLenses = await discoverLenses(repoDir, { strict: true, onFile: (entry) => strictFiles.push(entry) });
+
+      expect(files[0]).toMatchObject({ status: 'enhanced', enhanceSource: 'fallback' });
+      expect(files[0].warnings[0]).toMatch(/^Several scripts could enhance this lens \(a\.js, b\.js\); name one in lens-manifest\.json/);
+      expect(strictLenses).toHaveLength(0);
+      expect(strictFiles[0]).toMatchObject({ status: 'rejected', reason: 'ambiguous-script' });
+    });
+
+    test('uses the script named by the enhance-script extension of the lens', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'named-lens' });
+      writeFile('lenses/named-lens.json', {
+        ...withoutContent,
+        extension: [{ url: ENHANCE_SCRIPT_EXTENSION, valueString: '../scripts/named.js' }]
+      });
+      writeFile('lenses/named-lens.js', 'function enhance(epi) { return "same name"; }');
+      const script = writeFile('scripts/named.js', 'function enhance(epi) { return "named"; }');
+
+      const lenses = await discoverLenses(path.join(repoDir, 'lenses'), { baseDir: repoDir });
+
+      expect(lenses[0]).toMatchObject({ enhanceSource: 'extension', enhancedWithJs: script });
+      expect(lenses[0].enhanceScript).toEqual({ exportStyle: 'global', params: ['epi'], async: false });
+      expect(lenses[0].enhanceManifests).toBeUndefined();
+    });
+
+    test('uses the scripts mapped in lens-manifest.json', async () => {
+      const { content, ...withoutContent } = validLens({ name: 'by-file' });
+      writeFile('lenses/by-file.json', withoutContent);
+      writeFile('lenses/other.json', { ...withoutContent, name: 'by-name' });
+      writeFile('lenses/gone.json', { ...withoutContent, name: 'gone' });
+      const fileScript = writeFile('scripts/one.js', 'function enhance(epi) { return 1; }');
+      const nameScript = writeFile('scripts/two.ts', 'export function enhance(epi: object) { return 2; }');
+      writeFile('lens-manifest.json', {
+        scripts: { 'lenses/by-file.json': 'scripts/one.js', 'by-name': 'scripts/two.ts', gone: 'scripts/gone.js' }
+      });
+      writeFile('lenses/lens-manifest.json', { scripts: ['not', 'a', 'map'] });
+
+      const files = [];
+      const lenses = await discoverLenses(repoDir, { onFile: (entry) => files.push(entry) });
+      const byFile = Object.fromEntries(files.map((f) => [path.relative(repoDir, f.path), f]));
+
+      expect(lenses.map((lens) => [lens.name, lens.enhanceSource, lens.enhancedWithJs])).toEqual([
+        ['by-file', 'manifest', fileScript],
+        ['by-name', 'manifest', nameScript]
+      ]);
+      // The invalid manifest maps nothing, so only the valid one is a file of the lens
+      expect(lenses[0].enhanceManifests).toEqual([path.join(repoDir, 'lens-manifest.json')]);
+      expect(byFile[path.join('lenses', 'gone.json')]).toMatchObject({
+        status: 'rejected',
+        reason: 'missing-script',
+        errors: ['Script scripts/gone.js named by lens-manifest.json does not exist']
+      });
+      expect(byFile[path.join('lenses', 'lens-manifest.json')]).toMatchObject({ status: 'rejected', reason: 'invalid-manifest' });
+      expect(byFile['lens-manifest.json']).toBeUndefined();
+    });
+
+    test('rejects files above the size limit without reading them', async () => {
+      writeFile('big-lens.json', validLens({ name: 'big-lens', description: 'x'.repeat(4096) }));
+      const { content, ...withoutContent } = validLens({ name: 'scripted-lens' });
+      writeFile('scripted-lens.json', withoutContent);
+      writeFile('scripted-lens.js', `function enhance(epi) { return epi; }\n// ${'x'.repeat(4096)}`);
+      writeFile('other.js', 'function enhance(epi) { return epi; }');
+
+      const files = [];
+      const lenses = await discoverLenses(repoDir, { maxFileSize: 2048, onFile: (entry) => files.push(entry) });
+      const byFile = Object.fromEntries(files.map((f) => [path.basename(f.path), f]));
+
+      expect(lenses).toHaveLength(0);
+      expect(byFile['big-lens.json']).toMatchObject({ status: 'rejected', reason: 'too-large' });
+      expect(byFile['big-lens.json'].errors[0]).toMatch(/above the limit of 2048 bytes; list it in \.lensignore/);
+      expect(byFile['scripted-lens.json']).toMatchObject({ status: 'rejected', reason: 'script-error' });
+    });
+
+    test('skips files listed in .lensignore', async () => {
+      writeFile('.lensignore', 'test-data/\n');
+      writeFile('valid-lens.json', validLens({ name: 'valid-lens' }));
+      writeFile('test-data/epi.json', { resourceType: 'Bundle' });
+
+      const files = [];
+      await discoverLenses(repoDir, { onFile: (entry) => files.push(entry) });
+
+      expect(files.map((f) => path.basename(f.path))).toEqual(['valid-lens.json']);
+    });
+
+    test('reports the outcome of every JSON file scanned', async () => {
+      writeFile('valid-lens.json', validLens({ name: 'valid-lens' }));
+      const { content, ...withoutContent } = validLens({ name: 'default-lens' });
+      writeFile('sub/default-lens.json', withoutContent);
+      writeFile('broken.json', '{ not json');
+      writeFile('package.json', { name: 'not-a-lens' });
+
+      const files = [];
+      await discoverLenses(repoDir, { defaultEnhance: true, onFile: (entry) => files.push(entry) });
+      const byFile = Object.fromEntries(files.map((f) => [path.relative(repoDir, f.path), f]));
+
+      expect(byFile['valid-lens.json']).toMatchObject({ status: 'accepted', name: 'valid-lens' });
+      expect(byFile[path.join('sub', 'default-lens.json')]).toMatchObject({ status: 'enhanced', enhanceSource: 'default' });
+      expect(byFile['broken.json']).toMatchObject({ status: 'rejected', reason: 'parse-error' });
+      expect(byFile['package.json']).toMatchObject({ status: 'rejected', reason: 'invalid', name: 'not-a-lens' });
+      expect(byFile['package.json'].outcome.resourceType).toBe('OperationOutcome');
+      expect(byFile['package.json'].errors).toContain('Library.resourceType is required');
+    });
+  });
+
   describe('discoverLenses - Real Repository', () => {
     // This test requires network access and takes time
     test(
@@ -4,13 +4,30 @@ const express = require('express');
 // Mock the lensService BEFORE importing routes
 jest.mock('../src/services/lensService', () => ({
   getLenses: jest.fn(),
+  getDiscoveryReport: jest.fn(),
+  getLensAtCommit: jest.fn(),
   getLensByName: jest.fn(),
-  getLensNames: jest.fn(),
+  getLensHistory: jest.fn(),
+  getLensListing: jest.fn(),
+  getLensWithRevision: jest.fn(),
   clearCache: jest.fn()
 }));
 
+jest.mock('../src/services/fhirService', () => ({
+  getLensBundleWithRevision: jest.fn()
+}));
+
+jest.mock('../src/services/previewService', () => ({
+  previewLens: jest.fn()
+}));
+
 const lensesRouter = require('../src/routes/lenses');
-const { getLenses, getLensByName, getLensNames, clearCache } = require('../src/services/lensService');
+const { clearLastModified } = require('../src/utils/httpCache');
+const { getLensBundleWithRevision } = require('../src/services/fhirService');
+const { previewLens } = require('../src/services/previewService');
+const { getLenses, getDiscoveryReport, getLensAtCommit, getLensByName, getLensHistory, getLensListing, getLensWithRevision, clearCache } = require('../src/services/lensService');
+
+const REVISION = { commits: ['3f2c1e9a6b0d4c7e8f9a0b1c2d3e4f5a6b7c8d9e'], lastModified: '2024-06-12T12:00:00.000Z' };
 
 describe('Lenses API Routes', () => {
   let app;
@@ -21,23 +38,25 @@ describe('Lenses API Routes', () => {
     app.use('/lenses', lensesRouter);
     jest.clearAllMocks();
     clearCache();
+    clearLastModified();
   });
 
   describe('GET /lenses', () => {
     test('returns list of lens names', async () => {
       const mockLensNames = ['pregnancy-lens', 'drug-interaction-lens'];
-      getLensNames.mockResolvedValue(mockLensNames);
+      getLensListing.mockResolvedValue({ body: { lenses: mockLensNames }, revision: REVISION });
 
       const response = await request(app).get('/lenses');
 
       expect(response.status).toBe(200);
+      expect(getLensListing.mock.calls[0][1]).toBeUndefined();
       expect(response.body).toHaveProperty('lenses');
       expect(Array.isArray(response.body.lenses)).toBe(true);
       expect(response.body.lenses).toEqual(mockLensNames);
     });
 
     test('handles error when getting lenses', async () => {
-      getLensNames.mockRejectedValue(new Error('Repository not found'));
+      getLensListing.mockRejectedValue(new Error('Repository not found'));
 
       const response = await request(app).get('/lenses');
 
@@ -47,7 +66,7 @@ describe('Lenses API Routes', () => {
     });
 
     test('handles missing GIT_REPO_URL', async () => {
-      getLensNames.mockRejectedValue(new Error('GIT_REPO_URL environment variable is required'));
+      getLensListing.mockRejectedValue(new Error('GIT_REPO_URL environment variable is required'));
 
       const response = await request(app).get('/lenses');
 
@@ -56,6 +75,159 @@ describe('Lenses API Routes', () => {
       expect(response.body).toHaveProperty('message');
       expect(response.body.message).toContain('GIT_REPO_URL');
     });
+
+    test('searches lenses when filters, sorting or paging are given', async () => {
+      getLensListing.mockResolvedValue({ body: { lenses: [{ name: 'pregnancy-lens', status: 'active' }], total: 3, offset: 0, limit: 1 }, revision: REVISION });
+
+      const response = await request(app).get('/lenses?status=active&detail=summary&sort=-version&limit=1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ lenses: [{ name: 'pregnancy-lens', status: 'active' }], total: 3, offset: 0, limit: 1 });
+      expect(getLensListing.mock.calls[0][1]).toEqual({ status: 'active', detail: 'summary', sort: '-version', limit: '1' });
+    });
+
+    test('returns 400 for an invalid query', async () => {
+      const error = new Error("Cannot sort on 'content'");
+      error.statusCode = 400;
+      getLensListing.mockRejectedValue(error);
+
+      const response = await request(app).get('/lenses?sort=content');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid query', message: "Cannot sort on 'content'" });
+    });
+  });
+
+  describe('ref query parameter', () => {
+    const refError = (statusCode, message) => {
+      const error = new Error(message);
+      error.statusCode = statusCode;
+      error.ref = 'v1.0.0';
+      return error;
+    };
+
+    test('points the only git source at the requested ref', async () => {
+      process.env.GIT_REPO_URL = 'https://repo.git';
+      getLensListing.mockResolvedValue({ body: { lenses: ['lens1'] }, revision: REVISION });
+      getLensWithRevision.mockResolvedValue({ lens: { name: 'lens1' }, revision: REVISION });
+
+      await request(app).get('/lenses?ref=v1.0.0');
+      await request(app).get('/lenses/lens1?ref=feature/new-lens');
+
+      expect(getLensListing.mock.calls[0][0]).toEqual([expect.objectContaining({ url: 'https://repo.git', ref: 'v1.0.0' })]);
+      expect(getLensWithRevision.mock.calls[0][0]).toEqual([expect.objectContaining({ ref: 'feature/new-lens' })]);
+      delete process.env.GIT_REPO_URL;
+    });
+
+    test('points only the source named by ?source= at the ref', async () => {
+      process.env.LENS_SOURCES = JSON.stringify([
+        { id: 'pregnancy', url: 'https://a.example/pregnancy.git' },
+        { id: 'diabetes', url: 'https://a.example/diabetes.git' }
+      ]);
+      getLensListing.mockResolvedValue({ body: { lenses: ['lens1'] }, revision: REVISION });
+
+      await request(app).get('/lenses?source=diabetes&ref=v1.0.0');
+      const ambiguous = await request(app).get('/lenses?ref=v1.0.0');
+
+      expect(getLensListing).toHaveBeenCalledTimes(1);
+      expect(getLensListing.mock.calls[0][0].map((source) => [source.id, source.ref])).toEqual([
+        ['pregnancy', undefined],
+        ['diabetes', 'v1.0.0']
+      ]);
+      expect(ambiguous.status).toBe(400);
+      expect(ambiguous.body).toHaveProperty('error', 'Invalid ref');
+      expect(ambiguous.body.message).toContain('?source=');
+      delete process.env.LENS_SOURCES;
+    });
+
+    test('returns 404 for unknown refs', async () => {
+      getLensListing.mockRejectedValue(refError(404, "Ref 'v1.0.0' not found in source repo"));
+
+      const response = await request(app).get('/lenses?ref=v1.0.0');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error', 'Ref not found');
+    });
+
+    test('returns 400 for invalid refs', async () => {
+      getLensWithRevision.mockRejectedValue(refError(400, "Invalid ref '--help'"));
+
+      const response = await request(app).get('/lenses/lens1?ref=--help');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Invalid ref');
+    });
+  });
+
+  describe('GET /lenses/_report', () => {
+    test('returns the discovery report', async () => {
+      const mockReport = {
+        sources: [{
+          source: { id: 'pregnancy-lens', url: 'https://repo.git', branch: 'main' },
+          commit: 'abc123',
+          scannedAt: '2024-06-12T12:23:10.005Z',
+          files: [
+            { path: 'pregnancy-lens.json', status: 'enhanced', name: 'pregnancy-lens', enhanceSource: 'exact-match' },
+            { path: 'package.json', status: 'rejected', reason: 'invalid', errors: ['Library.resourceType is required'] }
+          ]
+        }],
+        conflicts: []
+      };
+      getDiscoveryReport.mockResolvedValue(mockReport);
+
+      const response = await request(app).get('/lenses/_report');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockReport);
+      expect(getLensWithRevision).not.toHaveBeenCalled();
+    });
+
+    test('returns 500 when discovery fails', async () => {
+      getDiscoveryReport.mockRejectedValue(new Error('Repository not found'));
+
+      const response = await request(app).get('/lenses/_report');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toHaveProperty('error', 'Failed to build discovery report');
+    });
+  });
+
+  describe('GET /lenses/_bundle', () => {
+    const BUNDLE = { resourceType: 'Bundle', type: 'transaction', entry: [] };
+
+    test('returns the Bundle of the requested type', async () => {
+      getLensBundleWithRevision.mockResolvedValue({ bundle: BUNDLE, revision: REVISION });
+
+      const response = await request(app).get('/lenses/_bundle?type=transaction');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(BUNDLE);
+      expect(response.headers.etag).toBeDefined();
+      expect(getLensBundleWithRevision.mock.calls[0][1]).toBe('transaction');
+      expect(getLensBundleWithRevision.mock.calls[0][2].baseUrl).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+      expect(getLensWithRevision).not.toHaveBeenCalled();
+    });
+
+    test('builds a collection by default and serves FHIR XML when asked', async () => {
+      getLensBundleWithRevision.mockResolvedValue({ bundle: { resourceType: 'Bundle', type: 'collection' }, revision: REVISION });
+
+      const response = await request(app).get('/lenses/_bundle').set('Accept', 'application/fhir+xml');
+
+      expect(getLensBundleWithRevision.mock.calls[0][1]).toBe('collection');
+      expect(response.headers['content-type']).toMatch(/^application\/fhir\+xml/);
+      expect(response.text).toContain('<Bundle xmlns="http://hl7.org/fhir"><type value="collection"/></Bundle>');
+    });
+
+    test('returns 400 for unsupported Bundle types', async () => {
+      const error = new Error("Bundle type 'batch' is not supported; use one of: collection, transaction");
+      error.statusCode = 400;
+      getLensBundleWithRevision.mockRejectedValue(error);
+
+      const response = await request(app).get('/lenses/_bundle?type=batch');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid bundle type');
+    });
   });
 
   describe('GET /lenses/:name', () => {
@@ -68,7 +240,7 @@ describe('Lenses API Routes', () => {
         content: [{ data: 'base64content' }]
       };
 
-      getLensByName.mockResolvedValue(mockLens);
+      getLensWithRevision.mockResolvedValue({ lens: mockLens, revision: REVISION });
 
       const response = await request(app).get('/lenses/pregnancy-lens');
 
@@ -81,7 +253,7 @@ describe('Lenses API Routes', () => {
     test('returns 404 when lens not found', async () => {
       const error = new Error('Lens not found');
       error.statusCode = 404;
-      getLensByName.mockRejectedValue(error);
+      getLensWithRevision.mockRejectedValue(error);
 
       const response = await request(app).get('/lenses/non-existent-lens');
 
@@ -90,7 +262,7 @@ describe('Lenses API Routes', () => {
     });
 
     test('returns 500 on server error', async () => {
-      getLensByName.mockRejectedValue(new Error('Server error'));
+      getLensWithRevision.mockRejectedValue(new Error('Server error'));
 
       const response = await request(app).get('/lenses/some-lens');
 
@@ -99,9 +271,302 @@ describe('Lenses API Routes', () => {
     });
   });
 
+  describe('GET /lenses/:name/history', () => {
+    test('returns the commits of the lens', async () => {
+      const history = {
+        name: 'pregnancy-lens',
+        source: { id: 'lenses', url: 'https://repo.git', branch: 'main' },
+        files: { lens: 'pregnancy-lens.json', script: 'pregnancy-lens.js' },
+        commits: [{
+          sha: '3f2c1e9a6b0d4c7e8f9a0b1c2d3e4f5a6b7c8d9e',
+          author: { name: 'Reviewer', email: 'reviewer@example.com' },
+          date: '2024-06-12T12:23:10+02:00',
+          message: 'Highlight pregnancy warnings',
+          files: [{ path: 'pregnancy-lens.js', role: 'script' }]
+        }]
+      };
+      getLensHistory.mockResolvedValue(history);
+
+      const response = await request(app).get('/lenses/pregnancy-lens/history');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(history);
+      expect(getLensHistory.mock.calls[0][3]).toBe('pregnancy-lens');
+    });
+
+    test('returns 404 when lens not found', async () => {
+      const error = new Error("Lens 'nope' not found");
+      error.statusCode = 404;
+      getLensHistory.mockRejectedValue(error);
+
+      const response = await request(app).get('/lenses/nope/history');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error', 'Lens not found');
+    });
+
+    test('returns 500 on server error', async () => {
+      getLensHistory.mockRejectedValue(new Error('git log failed'));
+
+      const response = await request(app).get('/lenses/pregnancy-lens/history');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toHaveProperty('error', 'Failed to fetch lens history');
+    });
+  });
+
+  describe('GET /lenses/:name/history/:commit', () => {
+    test('returns the lens at the commit', async () => {
+      getLensAtCommit.mockResolvedValue({ resourceType: 'Library', name: 'pregnancy-lens', version: '1.0.0' });
+
+      const response = await request(app).get('/lenses/pregnancy-lens/history/3f2c1e9');
+
+      expect(response.status).toBe(200);
+      expect(response.body.version).toBe('1.0.0');
+      expect(getLensAtCommit.mock.calls[0].slice(3)).toEqual(['pregnancy-lens', '3f2c1e9']);
+    });
+
+    test('returns 404 for commits outside the lens history', async () => {
+      const error = new Error("Commit 'abcdef0' is not in the history of lens 'pregnancy-lens'");
+      error.statusCode = 404;
+      getLensAtCommit.mockRejectedValue(error);
+
+      const response = await request(app).get('/lenses/pregnancy-lens/history/abcdef0');
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toContain('not in the history');
+    });
+
+    test('returns 422 when the lens was invalid at the commit', async () => {
+      const error = new Error("Lens 'pregnancy-lens' was not valid at commit 3f2c1e9: Library.status is required");
+      error.statusCode = 422;
+      getLensAtCommit.mockRejectedValue(error);
+
+      const response = await request(app).get('/lenses/pregnancy-lens/history/3f2c1e9');
+
+      expect(response.status).toBe(422);
+      expect(response.body).toHaveProperty('error', 'Invalid lens at commit');
+    });
+  });
+
+  describe('POST /lenses/:name/$preview', () => {
+    const body = {
+      epi: { resourceType: 'Bundle', type: 'document' },
+      ips: { resourceType: 'Bundle', type: 'document' }
+    };
+
+    test('previews the lens served by GET /lenses/:name', async () => {
+      const mockLens = { resourceType: 'Library', name: 'pregnancy-lens', content: [{ data: 'ZnVuY3Rpb24gZW5oYW5jZSgpIHt9' }] };
+      const mockPreview = { epi: body.epi, logs: [{ level: 'log', message: 'Not Enhancing' }], errors: [], durationMs: 12 };
+      getLensByName.mockResolvedValue(mockLens);
+      previewLens.mockResolvedValue(mockPreview);
+
+      const response = await request(app).post('/lenses/pregnancy-lens/$preview').send(body);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockPreview);
+      expect(getLensByName.mock.calls[0][3]).toBe('pregnancy-lens');
+      expect(previewLens).toHaveBeenCalledWith(mockLens, body);
+    });
+
+    test('returns 404 when lens not found', async () => {
+      const error = new Error('Lens not found');
+      error.statusCode = 404;
+      getLensByName.mockRejectedValue(error);
+
+      const response = await request(app).post('/lenses/missing/$preview').send(body);
+
+      expect(response.status).toBe(404);
+      expect(previewLens).not.toHaveBeenCalled();
+    });
+
+    test('returns 400 for invalid preview input', async () => {
+      const error = new Error('Request body must contain an "epi" Bundle');
+      error.statusCode = 400;
+      getLensByName.mockResolvedValue({ name: 'pregnancy-lens' });
+      previewLens.mockRejectedValue(error);
+
+      const response = await request(app).post('/lenses/pregnancy-lens/$preview').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Invalid preview request');
+    });
+  });
+
+  describe('conditional GET', () => {
+    const LENS = { resourceType: 'Library', name: 'pregnancy-lens', content: [{ data: 'ZnVuY3Rpb24gZW5oYW5jZSgpIHt9' }] };
+
+    beforeEach(() => {
+      getLensWithRevision.mockResolvedValue({ lens: LENS, revision: REVISION });
+      getLensListing.mockResolvedValue({ body: { lenses: ['pregnancy-lens'] }, revision: REVISION });
+    });
+
+    test('sends ETag, Last-Modified and Cache-Control', async () => {
+      const response = await request(app).get('/lenses/pregnancy-lens');
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toMatch(/^"[0-9a-f]{40}"$/);
+      expect(response.headers['last-modified']).toBe('Wed, 12 Jun 2024 12:00:00 GMT');
+      expect(response.headers['cache-control']).toBe('no-cache');
+      expect(getLensWithRevision.mock.calls[0][1]).toBe('pregnancy-lens');
+    });
+
+    test('answers 304 when If-None-Match matches', async () => {
+      const { headers } = await request(app).get('/lenses/pregnancy-lens');
+
+      const response = await request(app).get('/lenses/pregnancy-lens').set('If-None-Match', headers.etag);
+
+      expect(response.status).toBe(304);
+      expect(response.text).toBe('');
+    });
+
+    test('answers 304 when nothing changed since If-Modified-Since', async () => {
+      const response = await request(app).get('/lenses').set('If-Modified-Since', 'Wed, 12 Jun 2024 12:00:00 GMT');
+
+      expect(response.status).toBe(304);
+    });
+
+    test('lets the ETag alone decide when both validators are sent', async () => {
+      const { headers } = await request(app).get('/lenses/pregnancy-lens');
+
+      const sameETag = await request(app).get('/lenses/pregnancy-lens')
+        .set('If-None-Match', headers.etag)
+        .set('If-Modified-Since', 'Mon, 10 Jun 2024 12:00:00 GMT');
+      const otherETag = await request(app).get('/lenses/pregnancy-lens')
+        .set('If-None-Match', '"0000"')
+        .set('If-Modified-Since', headers['last-modified']);
+
+      expect(sameETag.status).toBe(304);
+      expect(otherETag.status).toBe(200);
+    });
+
+    test('leaves the request validators as they are', async () => {
+      const { headers } = await request(app).get('/lenses/pregnancy-lens');
+      let seen;
+      app = express();
+      app.use((req, res, next) => {
+        seen = req;
+        next();
+      });
+      app.use('/lenses', lensesRouter);
+
+      const response = await request(app).get('/lenses/pregnancy-lens')
+        .set('If-None-Match', headers.etag)
+        .set('If-Modified-Since', 'Mon, 10 Jun 2024 12:00:00 GMT');
+
+      expect(response.status).toBe(304);
+      expect(response.headers).not.toHaveProperty('content-type');
+      expect(seen.headers['if-none-match']).toBe(headers.etag);
+      expect(seen.headers['if-modified-since']).toBe('Mon, 10 Jun 2024 12:00:00 GMT');
+    });
+
+    test('matches weak and wildcard If-None-Match, and not when the client asks for no-cache', async () => {
+      const { headers } = await request(app).get('/lenses/pregnancy-lens');
+
+      const weak = await request(app).get('/lenses/pregnancy-lens').set('If-None-Match', `"0000", W/${headers.etag}`);
+      const wildcard = await request(app).get('/lenses/pregnancy-lens').set('If-None-Match', '*');
+      const noCache = await request(app).get('/lenses/pregnancy-lens').set('If-None-Match', headers.etag).set('Cache-Control', 'no-cache');
+
+      expect(weak.status).toBe(304);
+      expect(wildcard.status).toBe(304);
+      expect(noCache.status).toBe(200);
+    });
+
+    test('never moves Last-Modified backwards', async () => {
+      const first = await request(app).get('/lenses');
+
+      // A revert serves an older commit with other content
+      getLensListing.mockResolvedValue({
+        body: { lenses: ['allergy-lens'] },
+        revision: { commits: ['0123456789abcdef0123456789abcdef01234567'], lastModified: '2024-06-01T08:00:00.000Z' }
+      });
+      const reverted = await request(app).get('/lenses').set('If-Modified-Since', first.headers['last-modified']);
+      const again = await request(app).get('/lenses');
+
+      expect(reverted.status).toBe(200);
+      expect(Date.parse(reverted.headers['last-modified'])).toBeGreaterThan(Date.parse(first.headers['last-modified']));
+      expect(again.headers['last-modified']).toBe(reverted.headers['last-modified']);
+    });
+
+    test('changes the ETag when the commit or the content changes', async () => {
+      const first = (await request(app).get('/lenses')).headers.etag;
+
+      const revision = { commits: ['0123456789abcdef0123456789abcdef01234567'], lastModified: '2024-06-13T09:00:00.000Z' };
+      getLensListing.mockResolvedValue({ body: { lenses: ['pregnancy-lens'] }, revision });
+      const newCommit = await request(app).get('/lenses').set('If-None-Match', first);
+
+      getLensListing.mockResolvedValue({ body: { lenses: ['pregnancy-lens', 'allergy-lens'] }, revision });
+      const newContent = await request(app).get('/lenses').set('If-None-Match', newCommit.headers.etag);
+
+      expect(newCommit.status).toBe(200);
+      expect(newContent.status).toBe(200);
+      expect(newContent.headers.etag).not.toBe(newCommit.headers.etag);
+    });
+
+    test('uses LENS_CACHE_CONTROL when set', async () => {
+      process.env.LENS_CACHE_CONTROL = 'public, max-age=300';
+
+      const response = await request(app).get('/lenses');
+
+      expect(response.headers['cache-control']).toBe('public, max-age=300');
+      delete process.env.LENS_CACHE_CONTROL;
+    });
+  });
+
+  describe('content negotiation', () => {
+    const LIBRARY = { resourceType: 'Library', id: 'pregnancy', name: 'pregnancy-lens', status: 'active' };
+
+    beforeEach(() => {
+      getLensWithRevision.mockResolvedValue({ lens: LIBRARY, revision: REVISION });
+    });
+
+    test('sends plain JSON by default', async () => {
+      const response = await request(app).get('/lenses/pregnancy-lens');
+
+      expect(response.headers['content-type']).toMatch(/^application\/json/);
+      expect(response.headers.vary).toBe('Accept');
+      expect(response.body).toEqual(LIBRARY);
+    });
+
+    test('sends FHIR JSON when asked', async () => {
+      const response = await request(app).get('/lenses/pregnancy-lens').set('Accept', 'application/fhir+json');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^application\/fhir\+json/);
+      expect(JSON.parse(response.text)).toEqual(LIBRARY);
+    });
+
+    test('sends FHIR XML for the Accept header or _format', async () => {
+      const byAccept = await request(app).get('/lenses/pregnancy-lens').set('Accept', 'application/fhir+xml');
+      const byFormat = await request(app).get('/lenses/pregnancy-lens?_format=xml');
+
+      for (const response of [byAccept, byFormat]) {
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^application\/fhir\+xml/);
+        expect(response.text).toContain('<Library xmlns="http://hl7.org/fhir"><id value="pregnancy"/><name value="pregnancy-lens"/><status value="active"/></Library>');
+      }
+    });
+
+    test('gives each representation its own ETag', async () => {
+      const json = await request(app).get('/lenses/pregnancy-lens');
+      const xml = await request(app).get('/lenses/pregnancy-lens').set('Accept', 'application/fhir+xml').set('If-None-Match', json.headers.etag);
+
+      expect(xml.status).toBe(200);
+      expect(xml.headers.etag).not.toBe(json.headers.etag);
+    });
+
+    test('returns 406 for unsupported formats without looking the lens up', async () => {
+      const response = await request(app).get('/lenses/pregnancy-lens').set('Accept', 'text/html');
+
+      expect(response.status).toBe(406);
+      expect(response.body.error).toBe('Not Acceptable');
+      expect(getLensWithRevision).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Error Responses', () => {
     test('returns proper error format', async () => {
-      getLensNames.mockRejectedValue(new Error('Test error'));
+      getLensListing.mockRejectedValue(new Error('Test error'));
 
       const response = await request(app).get('/lenses');
 
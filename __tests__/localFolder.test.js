@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getFolderModifiedAt, watchFolder } = require('../src/utils/localFolder');
+
+describe('Local folder sources', () => {
+  let folder;
+  let watcher;
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'lens-folder-'));
+    fs.mkdirSync(path.join(folder, 'lenses'));
+    fs.writeFileSync(path.join(folder, 'lenses', 'a.json'), '{}');
+  });
+
+  afterEach(() => {
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  /**
+   * Watch the test folder and resolve with the first batch of changes
+   * @returns {Promise<Array<string>>}
+   */
+  const nextChange = () => new Promise((resolve) => {
+    watcher = watchFolder(folder, resolve, { debounceMs: 50 });
+  });
+
+  describe('getFolderModifiedAt', () => {
+    test('returns the newest change of a lens file', () => {
+      const newest = new Date('2024-07-01T09:30:00.000Z');
+      const older = new Date('2024-01-01T00:00:00.000Z');
+      for (const target of [folder, path.join(folder, 'lenses')]) {
+        fs.utimesSync(target, older, older);
+      }
+      fs.utimesSync(path.join(folder, 'lenses', 'a.json'), newest, newest);
+
+      expect(getFolderModifiedAt(folder)).toBe('2024-07-01T09:30:00.000Z');
+
+      const newer = new Date('2024-08-01T09:30:00.000Z');
+      fs.writeFileSync(path.join(folder, '.lensignore'), 'lenses/a.json\n');
+      fs.utimesSync(path.join(folder, '.lensignore'), newer, newer);
+      fs.utimesSync(folder, older, older);
+      expect(getFolderModifiedAt(folder)).toBe('2024-08-01T09:30:00.000Z');
+    });
+
+    test('ignores other files and node_modules', () => {
+      const older = new Date('2024-01-01T00:00:00.000Z');
+      fs.mkdirSync(path.join(folder, 'node_modules'));
+      fs.writeFileSync(path.join(folder, 'node_modules', 'dep.js'), '');
+      fs.writeFileSync(path.join(folder, 'README.md'), '');
+      for (const target of [folder, path.join(folder, 'lenses'), path.join(folder, 'lenses', 'a.json')]) {
+        fs.utimesSync(target, older, older);
+      }
+
+      expect(getFolderModifiedAt(folder)).toBe('2024-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('watchFolder', () => {
+    test('reports changes to .json and .js files in sub-folders', async () => {
+      const change = nextChange();
+      fs.writeFileSync(path.join(folder, 'lenses', 'a.js'), 'function enhance(epi) { return epi; }');
+
+      expect(await change).toContain(path.join('lenses', 'a.js'));
+    });
+
+    test('reports changes to .lensignore', async () => {
+      const change = nextChange();
+      fs.writeFileSync(path.join(folder, '.lensignore'), 'lenses/a.json\n');
+
+      expect(await change).toContain('.lensignore');
+    });
+
+    test('watches sub-folders created later', async () => {
+      const onChange = jest.fn();
+      watcher = watchFolder(folder, onChange, { debounceMs: 50 });
+      fs.mkdirSync(path.join(folder, 'new'));
+      await new Promise((resolve) => setTimeout(resolve, 150));
+      fs.writeFileSync(path.join(folder, 'new', 'b.json'), '{}');
+      await new Promise((resolve) => setTimeout(resolve, 150));
+
+      expect(onChange.mock.calls.flat(2)).toContain(path.join('new', 'b.json'));
+    });
+
+    test('batches a burst of changes and ignores other files', async () => {
+      const onChange = jest.fn();
+      watcher = watchFolder(folder, onChange, { debounceMs: 100 });
+      fs.writeFileSync(path.join(folder, 'notes.md'), 'draft');
+      fs.writeFileSync(path.join(folder, 'lenses', 'a.json'), '{"a":1}');
+      fs.writeFileSync(path.join(folder, 'lenses', 'b.json'), '{}');
+      await new Promise((resolve) => setTimeout(resolve, 300));
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+      const files = onChange.mock.calls[0][0];
+      expect(files).toEqual(expect.arrayContaining([path.join('lenses', 'a.json'), path.join('lenses', 'b.json')]));
+      expect(files).not.toContain('notes.md');
+    });
+
+    test('stops reporting once closed', async () => {
+      const onChange = jest.fn();
+      watcher = watchFolder(folder, onChange, { debounceMs: 20 });
+      watcher.close();
+      fs.writeFileSync(path.join(folder, 'lenses', 'a.json'), '{"a":2}');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { previewLens, extractLeafletHtml, applyLeafletHtml } = require('../src/services/previewService');
+
+const toBase64 = (code) => Buffer.from(code).toString('base64');
+
+const epi = {
+  resourceType: 'Bundle',
+  type: 'document',
+  entry: [{
+    resource: {
+      resourceType: 'Composition',
+      section: [{
+        title: 'Package leaflet',
+        section: [
+          { title: 'What it is', text: { status: 'additional', div: '<div>What</div>' } },
+          { title: 'How to take it', text: { status: 'additional', div: '<div>How</div>' } }
+        ]
+      }]
+    }
+  }]
+};
+
+const ips = { resourceType: 'Bundle', type: 'document', entry: [] };
+
+const lensWith = (code) => ({
+  resourceType: 'Library',
+  name: 'test-lens',
+  content: [{ contentType: 'application/javascript', data: toBase64(code) }]
+});
+
+describe('Preview Service', () => {
+  describe('extractLeafletHtml', () => {
+    test('joins the text of the leaf sections', () => {
+      expect(extractLeafletHtml(epi)).toBe('<div>What</div><div>How</div>');
+    });
+
+    test('returns empty HTML when there is no Composition', () => {
+      expect(extractLeafletHtml({ resourceType: 'Bundle', entry: [] })).toBe('');
+    });
+  });
+
+  describe('applyLeafletHtml', () => {
+    test('writes the focused HTML into a copy of the ePI', () => {
+      const focused = applyLeafletHtml(epi, '<div>Focused</div>');
+
+      expect(focused.entry[0].resource.section).toEqual([{
+        title: 'Package leaflet',
+        text: { status: 'additional', div: '<div>Focused</div>' }
+      }]);
+      expect(epi.entry[0].resource.section[0].section).toHaveLength(2);
+    });
+  });
+
+  describe('previewLens', () => {
+    test('returns the focused ePI, HTML and console output', async () => {
+      const lens = lensWith('let enhance = () => { console.log("focusing"); return html.replace("How", "HOW"); };\nreturn { enhance };');
+
+      const preview = await previewLens(lens, { epi, ips });
+
+      expect(preview.errors).toEqual([]);
+      expect(preview.html).toBe('<div>What</div><div>HOW</div>');
+      expect(preview.epi.entry[0].resource.section[0].text.div).toBe('<div>What</div><div>HOW</div>');
+      expect(preview.logs).toEqual([{ level: 'log', message: 'focusing' }]);
+    });
+
+    test('accepts an ePI Bundle returned by enhance', async () => {
+      const preview = await previewLens(lensWith('function enhance(epi) { return epi; }'), { epi, ips });
+
+      expect(preview.epi).toEqual(epi);
+      expect(preview.html).toBeUndefined();
+    });
+
+    test('reports enhance results that are neither HTML nor a Bundle', async () => {
+      const preview = await previewLens(lensWith('function enhance() { return 42; }'), { epi, ips });
+
+      expect(preview.epi).toBeNull();
+      expect(preview.errors[0].message).toContain('got number');
+    });
+
+    test('rejects requests without ePI or IPS bundles', async () => {
+      const lens = lensWith('function enhance(epi) { return epi; }');
+
+      await expect(previewLens(lens, { ips })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(previewLens(lens, { epi, ips: { resourceType: 'Patient' } })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('rejects lenses without script content', async () => {
+      await expect(previewLens({ name: 'empty', content: [] }, { epi, ips })).rejects.toMatchObject({ statusCode: 422 });
+    });
+  });
+});
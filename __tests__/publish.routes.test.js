@@ -0,0 +1,36 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the publishService BEFORE importing routes
+jest.mock('../src/services/publishService', () => ({
+  getPublishStatus: jest.fn()
+}));
+
+const publishRouter = require('../src/routes/publish');
+const { getPublishStatus } = require('../src/services/publishService');
+
+describe('Publish API Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/publish', publishRouter);
+    jest.clearAllMocks();
+  });
+
+  describe('GET /publish/status', () => {
+    test('returns the publishing status', async () => {
+      const status = {
+        enabled: true,
+        target: 'https://hapi.example.org/fhir',
+        lastPublish: { published: 1, skipped: 0, failed: 0, lenses: [{ name: 'pregnancy-lens', status: 'published' }] }
+      };
+      getPublishStatus.mockReturnValue(status);
+
+      const response = await request(app).get('/publish/status');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(status);
+    });
+  });
+});
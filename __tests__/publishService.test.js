@@ -0,0 +1,201 @@
+const http = require('http');
+const express = require('express');
+
+// Mock the lensService BEFORE importing the publish service
+jest.mock('../src/services/lensService', () => ({
+  getCatalogue: jest.fn()
+}));
+
+const { isPublishEnabled, publishLenses, getPublishStatus, resetPublishState } = require('../src/services/publishService');
+const { getCatalogue } = require('../src/services/lensService');
+
+const lens = (name, version = '1.0.0', extra = {}) => ({
+  name,
+  lens: {
+    resourceType: 'Library',
+    id: name,
+    url: `http://hl7.eu/fhir/ig/gravitate-health/Library/${name}`,
+    name,
+    version,
+    status: 'active',
+    content: [{ contentType: 'application/javascript', data: 'ZnVuY3Rpb24gZW5oYW5jZSgpIHt9' }],
+    ...extra
+  }
+});
+
+/**
+ * Start a mock FHIR server that stores Libraries by url and version
+ * `failures` maps a Library url to the statuses to answer before accepting it.
+ */
+function startMockFhirServer() {
+  const mock = { requests: [], store: new Map(), failures: new Map() };
+  const app = express();
+  app.use(express.json({ type: ['application/json', 'application/fhir+json'] }));
+  app.put('/fhir/Library', (req, res) => {
+    mock.requests.push({ query: req.query, body: req.body, headers: req.headers });
+
+    const pending = mock.failures.get(req.query.url) || [];
+    if (pending.length > 0) {
+      const status = pending.shift();
+      res.status(status).type('application/fhir+json').send(JSON.stringify({
+        resourceType: 'OperationOutcome',
+        issue: [{ severity: 'error', code: 'exception', diagnostics: `Mock failure ${status}` }]
+      }));
+      return;
+    }
+
+    const key = `${req.query.url}|${req.query.version}`;
+    const created = !mock.store.has(key);
+    const id = created ? String(mock.store.size + 1) : mock.store.get(key).id;
+    mock.store.set(key, { ...req.body, id });
+    res.status(created ? 201 : 200).location(`Library/${id}/_history/1`).json({ ...req.body, id });
+  });
+
+  return new Promise((resolve) => {
+    mock.server = http.createServer(app).listen(0, '127.0.0.1', () => {
+      mock.url = `http://127.0.0.1:${mock.server.address().port}/fhir`;
+      resolve(mock);
+    });
+  });
+}
+
+describe('Publish Service', () => {
+  let mock;
+
+  beforeAll(async () => {
+    mock = await startMockFhirServer();
+  });
+
+  afterAll((done) => {
+    mock.server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetPublishState();
+    mock.requests = [];
+    mock.store.clear();
+    mock.failures.clear();
+    process.env.FHIR_PUBLISH_URL = `${mock.url}/`;
+    process.env.FHIR_PUBLISH_BACKOFF_MS = '1';
+    getCatalogue.mockResolvedValue({ lenses: [lens('pregnancy-lens'), lens('allergy-lens', '0.2.0')] });
+  });
+
+  afterEach(() => {
+    delete process.env.FHIR_PUBLISH_URL;
+    delete process.env.FHIR_PUBLISH_BACKOFF_MS;
+    delete process.env.FHIR_PUBLISH_TOKEN;
+    delete process.env.FHIR_PUBLISH_RETRIES;
+  });
+
+  test('is enabled by FHIR_PUBLISH_URL', () => {
+    expect(isPublishEnabled()).toBe(true);
+    delete process.env.FHIR_PUBLISH_URL;
+    expect(isPublishEnabled()).toBe(false);
+    expect(getPublishStatus()).toEqual({ enabled: false, target: null, lastPublish: null });
+  });
+
+  test('puts every lens as a conditional update on url and version', async () => {
+    const result = await publishLenses();
+
+    expect(result).toMatchObject({ target: mock.url, published: 2, skipped: 0, failed: 0 });
+    expect(mock.requests[0].query).toEqual({
+      url: 'http://hl7.eu/fhir/ig/gravitate-health/Library/pregnancy-lens',
+      version: '1.0.0'
+    });
+    expect(mock.requests[0].headers['content-type']).toMatch(/^application\/fhir\+json/);
+    expect(mock.requests[0].body).not.toHaveProperty('id');
+    expect(result.lenses[0]).toMatchObject({ name: 'pregnancy-lens', status: 'published', httpStatus: 201, attempts: 1, location: 'Library/1/_history/1' });
+    expect(mock.store.size).toBe(2);
+  });
+
+  test('skips lenses that have not changed since they were published', async () => {
+    await publishLenses();
+    getCatalogue.mockResolvedValue({
+      lenses: [lens('pregnancy-lens', '1.0.0', { description: 'Now with a description' }), lens('allergy-lens', '0.2.0')]
+    });
+
+    const result = await publishLenses();
+
+    expect(result).toMatchObject({ published: 1, skipped: 1 });
+    expect(result.lenses[0]).toMatchObject({ name: 'pregnancy-lens', status: 'published', httpStatus: 200 });
+    expect(result.lenses[1]).toMatchObject({ name: 'allergy-lens', status: 'skipped', reason: 'unchanged' });
+    expect(mock.requests).toHaveLength(3);
+  });
+
+  test('retries server errors with backoff', async () => {
+    mock.failures.set('http://hl7.eu/fhir/ig/gravitate-health/Library/pregnancy-lens', [503, 500]);
+
+    const result = await publishLenses();
+
+    expect(result.lenses[0]).toMatchObject({ status: 'published', attempts: 3 });
+    expect(result.failed).toBe(0);
+  });
+
+  test('reports lenses that keep failing, and retries them on the next publish', async () => {
+    process.env.FHIR_PUBLISH_RETRIES = '1';
+    mock.failures.set('http://hl7.eu/fhir/ig/gravitate-health/Library/allergy-lens', [503, 503]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const first = await publishLenses();
+
+    expect(first).toMatchObject({ published: 1, failed: 1 });
+    expect(first.lenses[1]).toEqual({
+      name: 'allergy-lens',
+      url: 'Library?url=http%3A%2F%2Fhl7.eu%2Ffhir%2Fig%2Fgravitate-health%2FLibrary%2Fallergy-lens&version=0.2.0',
+      status: 'failed',
+      httpStatus: 503,
+      attempts: 2,
+      error: 'HTTP 503: Mock failure 503'
+    });
+
+    const second = await publishLenses();
+    expect(second).toMatchObject({ published: 1, skipped: 1, failed: 0 });
+    console.error.mockRestore();
+  });
+
+  test('does not retry client errors', async () => {
+    mock.failures.set('http://hl7.eu/fhir/ig/gravitate-health/Library/pregnancy-lens', [412]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await publishLenses();
+
+    expect(result.lenses[0]).toMatchObject({ status: 'failed', httpStatus: 412, attempts: 1 });
+    console.error.mockRestore();
+  });
+
+  test('queues one more publish for calls made while a publish runs', async () => {
+    const running = publishLenses();
+    getCatalogue.mockResolvedValue({ lenses: [lens('pregnancy-lens'), lens('allergy-lens', '0.2.0'), lens('diabetes-lens')] });
+    const queued = publishLenses();
+    const sharing = publishLenses();
+
+    const [first, second, third] = await Promise.all([running, queued, sharing]);
+
+    expect(sharing).toBe(queued);
+    expect(third).toBe(second);
+    expect(getCatalogue).toHaveBeenCalledTimes(2);
+    expect(first.published).toBe(2);
+    expect(second).toMatchObject({ published: 1, skipped: 2 });
+    expect(second.lenses[2]).toMatchObject({ name: 'diabetes-lens', status: 'published' });
+  });
+
+  test('sends FHIR_PUBLISH_TOKEN as a bearer token', async () => {
+    process.env.FHIR_PUBLISH_TOKEN = 's3cret';
+
+    await publishLenses();
+
+    expect(mock.requests[0].headers.authorization).toBe('Bearer s3cret');
+  });
+
+  test('shows the last publish in the status, without credentials in the target', async () => {
+    process.env.FHIR_PUBLISH_URL = mock.url.replace('http://', 'http://user:pass@');
+
+    await publishLenses();
+    const status = getPublishStatus();
+
+    expect(status.enabled).toBe(true);
+    expect(status.target).toBe(mock.url);
+    expect(status.lastPublish).toMatchObject({ target: mock.url, published: 2 });
+  });
+});
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const simpleGit = require('simple-git');
+const {
+  ensureRepo,
+  ensureRefWorktree,
+  getCommitDate,
+  getFileHistory,
+  getHeadCommit,
+  getRepoLocalPath,
+  isValidRef,
+  withRepoLock
+} = require('../src/utils/repoManager');
+const { addSecret, clearSecrets } = require('../src/utils/redact');
+
+const GIT_CONFIG = ['user.name=Lens Author', 'user.email=author@example.com', 'commit.gpgsign=false'];
+
+describe('Repository Manager', () => {
+  let tmpDir;
+  let originPath;
+  let origin;
+  let commits;
+
+  const commitFile = async (name, content, message) => {
+    fs.writeFileSync(path.join(originPath, name), content, 'utf8');
+    await origin.add(name);
+    await origin.commit(message);
+    return (await origin.revparse(['HEAD'])).trim();
+  };
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lens-repo-manager-'));
+    originPath = path.join(tmpDir, 'origin', 'lenses');
+    fs.mkdirSync(originPath, { recursive: true });
+    origin = simpleGit(originPath, { config: GIT_CONFIG });
+    await origin.init(['-b', 'main']);
+
+    commits = {};
+    commits.first = await commitFile('lens.json', '{"version":"1.0.0"}', 'First lens');
+    await origin.addTag('v1.0.0');
+    commits.second = await commitFile('lens.json', '{"version":"2.0.0"}', 'Second lens');
+    await origin.checkoutLocalBranch('feature');
+    commits.feature = await commitFile('lens.json', '{"version":"3.0.0-feature"}', 'Feature lens');
+    await origin.checkout('main');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('getRepoLocalPath', () => {
+    test('gives repositories with the same name different folders', () => {
+      const a = getRepoLocalPath('https://example.org/pregnancy/lenses.git', '/tmp/x');
+      const b = getRepoLocalPath('https://example.org/allergy/lenses.git', '/tmp/x');
+
+      expect(a).not.toBe(b);
+      expect(path.basename(a)).toMatch(/^lenses-[0-9a-f]{10}$/);
+    });
+
+    test('gives branches of the same repository different folders', () => {
+      const url = 'https://example.org/lenses.git';
+
+      expect(getRepoLocalPath(url, '/tmp/x', 'main')).not.toBe(getRepoLocalPath(url, '/tmp/x', 'develop'));
+    });
+  });
+
+  describe('isValidRef', () => {
+    test('accepts branches, tags and SHAs', () => {
+      expect(isValidRef('main')).toBe(true);
+      expect(isValidRef('release/1.2')).toBe(true);
+      expect(isValidRef('v1.0.0')).toBe(true);
+      expect(isValidRef('3f2c1e9')).toBe(true);
+    });
+
+    test('rejects options and revision expressions', () => {
+      expect(isValidRef('--upload-pack=evil')).toBe(false);
+      expect(isValidRef('main..feature')).toBe(false);
+      expect(isValidRef('main~1')).toBe(false);
+      expect(isValidRef('HEAD@{1}')).toBe(false);
+      expect(isValidRef('')).toBe(false);
+      expect(isValidRef(['main'])).toBe(false);
+    });
+  });
+
+  describe('ensureRefWorktree', () => {
+    let localPath;
+
+    beforeAll(async () => {
+      localPath = getRepoLocalPath(originPath, path.join(tmpDir, 'clones'), 'main');
+      await ensureRepo(originPath, 'main', localPath);
+    });
+
+    test('checks out tags, branches and SHAs into their own worktrees', async () => {
+      const tag = await ensureRefWorktree(originPath, 'main', localPath, 'v1.0.0');
+      const branch = await ensureRefWorktree(originPath, 'main', localPath, 'feature');
+      const sha = await ensureRefWorktree(originPath, 'main', localPath, commits.second.slice(0, 10));
+
+      expect(tag.commit).toBe(commits.first);
+      expect(branch.commit).toBe(commits.feature);
+      expect(sha.commit).toBe(commits.second);
+      expect(fs.readFileSync(path.join(tag.path, 'lens.json'), 'utf8')).toContain('1.0.0');
+      expect(fs.readFileSync(path.join(branch.path, 'lens.json'), 'utf8')).toContain('3.0.0-feature');
+    });
+
+    test('leaves the deployed branch untouched', async () => {
+      await ensureRefWorktree(originPath, 'main', localPath, 'feature');
+
+      expect(await getHeadCommit(localPath)).toBe(commits.second);
+      expect(fs.readFileSync(path.join(localPath, 'lens.json'), 'utf8')).toContain('2.0.0');
+    });
+
+    test('reads the committer date of a commit', async () => {
+      const date = await getCommitDate(localPath, commits.second);
+
+      expect(date).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/);
+      expect(Math.abs(Date.now() - Date.parse(date))).toBeLessThan(60 * 60 * 1000);
+    });
+
+    test('serves concurrent requests for different refs', async () => {
+      const results = await Promise.all([
+        ensureRefWorktree(originPath, 'main', localPath, 'v1.0.0'),
+        ensureRefWorktree(originPath, 'main', localPath, 'feature'),
+        ensureRepo(originPath, 'main', localPath),
+        ensureRefWorktree(originPath, 'main', localPath, 'main')
+      ]);
+
+      expect(results[0].commit).toBe(commits.first);
+      expect(results[1].commit).toBe(commits.feature);
+      expect(results[3].commit).toBe(commits.second);
+    });
+
+    test('evicts the least recently used worktrees, but not while they are held', async () => {
+      let limited;
+      const previous = process.env.REF_WORKTREE_LIMIT;
+      process.env.REF_WORKTREE_LIMIT = '1';
+      jest.isolateModules(() => {
+        limited = require('../src/utils/repoManager');
+      });
+      if (previous === undefined) {
+        delete process.env.REF_WORKTREE_LIMIT;
+      } else {
+        process.env.REF_WORKTREE_LIMIT = previous;
+      }
+      const evicted = [];
+      const options = { onEvict: (worktreePath) => evicted.push(worktreePath) };
+
+      const tag = await limited.ensureRefWorktree(originPath, 'main', localPath, 'v1.0.0', options);
+      const branch = await limited.ensureRefWorktree(originPath, 'main', localPath, 'feature', options);
+
+      // The tag is still held, so it stays beyond the limit
+      expect(evicted).toEqual([]);
+      expect(fs.existsSync(tag.path)).toBe(true);
+
+      tag.release();
+      branch.release();
+      const sha = await limited.ensureRefWorktree(originPath, 'main', localPath, commits.second, options);
+      sha.release();
+
+      expect(evicted).toEqual([tag.path, branch.path]);
+      expect(fs.existsSync(tag.path)).toBe(false);
+      expect(fs.existsSync(branch.path)).toBe(false);
+      expect(fs.existsSync(sha.path)).toBe(true);
+    });
+
+    test('rejects invalid refs with 400', async () => {
+      await expect(ensureRefWorktree(originPath, 'main', localPath, '--output=/tmp/x'))
+        .rejects.toMatchObject({ statusCode: 400, ref: '--output=/tmp/x' });
+    });
+
+    test('rejects unknown refs with 404', async () => {
+      await expect(ensureRefWorktree(originPath, 'main', localPath, 'does-not-exist'))
+        .rejects.toMatchObject({ statusCode: 404, ref: 'does-not-exist' });
+    });
+  });
+
+  describe('checkout options', () => {
+    let monoPath;
+    let monoUrl;
+    let mono;
+    let localPath;
+    const savedEnv = { ...process.env };
+
+    const exists = (file) => fs.existsSync(path.join(localPath, file));
+    const clone = () => simpleGit(localPath);
+
+    beforeAll(async () => {
+      // Submodules from local paths need the file protocol, which git blocks by default
+      Object.assign(process.env, { GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: 'protocol.file.allow', GIT_CONFIG_VALUE_0: 'always' });
+
+      const libPath = path.join(tmpDir, 'origin', 'lens-lib');
+      fs.mkdirSync(libPath, { recursive: true });
+      const lib = simpleGit(libPath, { config: GIT_CONFIG });
+      await lib.init(['-b', 'main']);
+      fs.writeFileSync(path.join(libPath, 'helpers.js'), 'module.exports = {};');
+      await lib.add('helpers.js');
+      await lib.commit('Helpers');
+
+      monoPath = path.join(tmpDir, 'origin', 'monorepo');
+      fs.mkdirSync(path.join(monoPath, 'lenses'), { recursive: true });
+      fs.mkdirSync(path.join(monoPath, 'epi-data'), { recursive: true });
+      mono = simpleGit(monoPath, { config: [...GIT_CONFIG, 'protocol.file.allow=always'], unsafe: { allowUnsafeProtocolOverride: true } });
+      await mono.init(['-b', 'main']);
+      fs.writeFileSync(path.join(monoPath, 'lenses', 'lens.json'), '{"version":"1.0.0"}');
+      fs.writeFileSync(path.join(monoPath, 'epi-data', 'epi.json'), '{}');
+      await mono.add('.');
+      await mono.commit('Lens and test data');
+      await mono.raw(['submodule', 'add', pathToFileURL(libPath).href, 'lenses/vendor']);
+      await mono.commit('Vendor lens library');
+
+      monoUrl = pathToFileURL(monoPath).href;
+      localPath = getRepoLocalPath(monoUrl, path.join(tmpDir, 'clones'), 'main');
+    });
+
+    afterAll(() => {
+      process.env = { ...savedEnv };
+    });
+
+    test('clones shallow, sparse and with submodules', async () => {
+      await ensureRepo(monoUrl, 'main', localPath, { depth: 1, sparse: ['lenses'], submodules: true });
+
+      expect((await clone().revparse(['--is-shallow-repository'])).trim()).toBe('true');
+      expect((await clone().raw(['rev-list', '--count', 'HEAD'])).trim()).toBe('1');
+      expect(exists('lenses/lens.json')).toBe(true);
+      expect(exists('epi-data/epi.json')).toBe(false);
+      expect(exists('lenses/vendor/helpers.js')).toBe(true);
+    });
+
+    test('updates the existing clone when the options change', async () => {
+      await ensureRepo(monoUrl, 'main', localPath, {});
+
+      expect((await clone().revparse(['--is-shallow-repository'])).trim()).toBe('false');
+      expect((await clone().raw(['rev-list', '--count', 'HEAD'])).trim()).toBe('2');
+      expect(exists('epi-data/epi.json')).toBe(true);
+      expect(exists('lenses/vendor/helpers.js')).toBe(false);
+
+      fs.writeFileSync(path.join(monoPath, 'lenses', 'lens.json'), '{"version":"2.0.0"}');
+      await mono.add('.');
+      await mono.commit('Second lens');
+      await mono.commit('Third lens', ['--allow-empty']);
+      const head = (await mono.revparse(['HEAD'])).trim();
+
+      await ensureRepo(monoUrl, 'main', localPath, { depth: 1, sparse: ['lenses'] });
+
+      expect(await getHeadCommit(localPath)).toBe(head);
+      expect((await clone().revparse(['--is-shallow-repository'])).trim()).toBe('true');
+      expect(exists('epi-data/epi.json')).toBe(false);
+      expect(fs.readFileSync(path.join(localPath, 'lenses', 'lens.json'), 'utf8')).toContain('2.0.0');
+    });
+  });
+
+  describe('credentials', () => {
+    let server;
+    let repoUrl;
+    let authorizations;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        authorizations.push(req.headers.authorization);
+        res.statusCode = 404;
+        res.end();
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      repoUrl = `http://127.0.0.1:${server.address().port}/org/private-lenses.git`;
+    });
+
+    beforeEach(() => {
+      authorizations = [];
+    });
+
+    afterAll(async () => {
+      clearSecrets();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    test('sends the configured token to the repository only', async () => {
+      const localPath = path.join(tmpDir, 'clones', 'private');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(ensureRepo(repoUrl, 'main', localPath, { auth: { token: 'ghp_private123' } })).rejects.toThrow();
+      console.error.mockRestore();
+
+      expect(authorizations[0]).toBe(`Basic ${Buffer.from('x-access-token:ghp_private123').toString('base64')}`);
+    });
+
+    test('redacts secrets from the errors git raises', async () => {
+      addSecret('leaked-secret-42');
+      const missing = path.join(tmpDir, 'leaked-secret-42', 'missing.git');
+      const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const error = await ensureRepo(missing, 'main', path.join(tmpDir, 'clones', 'missing')).catch((e) => e);
+      logged.mockRestore();
+
+      expect(error.message).toContain('***');
+      expect(error.message).not.toContain('leaked-secret-42');
+      expect(logged.mock.calls.flat().join(' ')).not.toContain('leaked-secret-42');
+    });
+  });
+
+  describe('getFileHistory', () => {
+    let historyPath;
+    let history;
+
+    beforeAll(async () => {
+      historyPath = path.join(tmpDir, 'history');
+      fs.mkdirSync(historyPath);
+      const git = simpleGit(historyPath, { config: GIT_CONFIG });
+      await git.init(['-b', 'main']);
+
+      fs.writeFileSync(path.join(historyPath, 'old-name.json'), '{"version":"1"}', 'utf8');
+      fs.writeFileSync(path.join(historyPath, 'lens.js'), 'function enhance() {}', 'utf8');
+      await git.add(['old-name.json', 'lens.js']);
+      await git.commit('Add lens\n\nFirst draft of the lens.');
+      fs.writeFileSync(path.join(historyPath, 'other.json'), '{}', 'utf8');
+      await git.add('other.json');
+      await git.commit('Unrelated change');
+      await git.mv('old-name.json', 'lens.json');
+      await git.commit('Rename lens');
+      fs.writeFileSync(path.join(historyPath, 'lens.js'), 'function enhance() { return 1; }', 'utf8');
+      await git.add('lens.js');
+      await git.commit('Update script');
+
+      history = await getFileHistory(historyPath, ['lens.json', 'lens.js']);
+    });
+
+    test('lists the commits touching any of the files, newest first', () => {
+      expect(history.map((c) => c.message)).toEqual(['Update script', 'Rename lens', 'Add lens\n\nFirst draft of the lens.']);
+      expect(history[0].sha).toMatch(/^[0-9a-f]{40}$/);
+      expect(history[0].author).toEqual({ name: 'Lens Author', email: 'author@example.com' });
+      expect(Number.isNaN(Date.parse(history[0].date))).toBe(false);
+    });
+
+    test('follows renames and gives the paths in each commit', () => {
+      expect(history[0].files).toEqual([{ path: 'lens.js', file: 'lens.js' }]);
+      expect(history[2].files).toEqual(expect.arrayContaining([
+        { path: 'old-name.json', file: 'lens.json' },
+        { path: 'lens.js', file: 'lens.js' }
+      ]));
+    });
+
+    test('returns an empty history for untracked files', async () => {
+      expect(await getFileHistory(historyPath, ['missing.json'])).toEqual([]);
+    });
+  });
+
+  describe('withRepoLock', () => {
+    test('runs operations on the same repository one at a time', async () => {
+      const events = [];
+      const task = (name, delay) => () => new Promise((resolve) => {
+        events.push(`start ${name}`);
+        setTimeout(() => {
+          events.push(`end ${name}`);
+          resolve(name);
+        }, delay);
+      });
+
+      const results = await Promise.all([
+        withRepoLock('/repo', task('a', 30)),
+        withRepoLock('/repo', task('b', 1))
+      ]);
+
+      expect(results).toEqual(['a', 'b']);
+      expect(events).toEqual(['start a', 'end a', 'start b', 'end b']);
+    });
+
+    test('keeps going after a failed operation', async () => {
+      const failed = withRepoLock('/repo', () => Promise.reject(new Error('fetch failed')));
+      const next = withRepoLock('/repo', () => Promise.resolve('ok'));
+
+      await expect(failed).rejects.toThrow('fetch failed');
+      await expect(next).resolves.toBe('ok');
+    });
+  });
+});
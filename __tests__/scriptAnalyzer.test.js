@@ -0,0 +1,94 @@
+const { analyzeEnhanceScript } = require('../src/utils/scriptAnalyzer');
+
+describe('Script Analyzer', () => {
+  describe('analyzeEnhanceScript', () => {
+    test('finds a top-level enhance declaration', () => {
+      const result = analyzeEnhanceScript('function enhance(epi, ips) { return epi; }');
+
+      expect(result).toEqual({
+        hasEnhance: true,
+        sourceType: 'script',
+        exportStyle: 'global',
+        params: ['epi', 'ips'],
+        async: false
+      });
+    });
+
+    test('follows a top-level alias of enhance', () => {
+      const result = analyzeEnhanceScript('function run(epi) { return epi; }\nvar enhance = run;');
+
+      expect(result).toMatchObject({ hasEnhance: true, exportStyle: 'global', params: ['epi'] });
+    });
+
+    test('finds enhance returned by a lens function body', () => {
+      const source = [
+        'let pvData = pv;',
+        'let enhance = async () => { return htmlData; };',
+        'let getSpecification = () => "1.0.0";',
+        'return { enhance: enhance, getSpecification: getSpecification };'
+      ].join('\n');
+
+      const result = analyzeEnhanceScript(source);
+
+      expect(result.hasEnhance).toBe(true);
+      expect(result.exportStyle).toBe('return');
+      expect(result.params).toEqual([]);
+      expect(result.async).toBe(true);
+    });
+
+    test('finds ES module exports', () => {
+      expect(analyzeEnhanceScript('export const enhance = async (epi, { ips }, ...rest) => epi;')).toMatchObject({
+        hasEnhance: true,
+        sourceType: 'module',
+        exportStyle: 'esm',
+        params: ['epi', '{ ips }', '...rest'],
+        async: true
+      });
+      expect(analyzeEnhanceScript('function run(epi) {}\nexport { run as enhance };')).toMatchObject({
+        exportStyle: 'esm',
+        params: ['epi']
+      });
+      expect(analyzeEnhanceScript('export default { enhance(epi, ips = {}) {} };')).toMatchObject({
+        exportStyle: 'esm-default',
+        params: ['epi', 'ips']
+      });
+    });
+
+    test('finds CommonJS exports', () => {
+      expect(analyzeEnhanceScript('exports.enhance = function (epi) { return epi; };')).toMatchObject({
+        exportStyle: 'commonjs',
+        params: ['epi']
+      });
+      expect(analyzeEnhanceScript('const enhance = (epi) => epi;\nmodule.exports = { enhance };')).toMatchObject({
+        exportStyle: 'commonjs',
+        params: ['epi']
+      });
+    });
+
+    test('reports unresolved references without parameters', () => {
+      const result = analyzeEnhanceScript("import run from './run.js';\nexport { run as enhance };");
+
+      expect(result).toMatchObject({ hasEnhance: true, exportStyle: 'esm', params: null });
+    });
+
+    test('ignores commented-out code and unrelated enhance keys', () => {
+      const source = [
+        '// function enhance(epi) { return epi; }',
+        '/* const enhance = () => {}; */',
+        'const settings = { ui: { enhance: true }, enhance: function () {} };',
+        'module.exports = { settings };'
+      ].join('\n');
+
+      expect(analyzeEnhanceScript(source).hasEnhance).toBe(false);
+    });
+
+    test('does not accept non-function enhance exports', () => {
+      expect(analyzeEnhanceScript('module.exports = { enhance: 42 };').hasEnhance).toBe(false);
+    });
+
+    test('throws a SyntaxError with the location of the problem', () => {
+      expect(() => analyzeEnhanceScript('function enhance(epi {\n  return epi;\n}')).toThrow(SyntaxError);
+      expect(() => analyzeEnhanceScript('function enhance(epi {\n  return epi;\n}')).toThrow(/line 1, column \d+/);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bundleEnhanceScript } = require('../src/utils/scriptBundler');
+const { runEnhance } = require('../src/utils/lensSandbox');
+
+describe('Script Bundler', () => {
+  let root;
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(root, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  const inputs = { epi: { resourceType: 'Bundle' }, ips: {}, pv: {}, html: '<p>dose</p>' };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'lens-bundle-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('returns scripts without imports unchanged', () => {
+    const source = 'function enhance(epi) { return epi; }\n';
+    const entry = writeFile('lens.js', source);
+
+    expect(bundleEnhanceScript(entry)).toEqual({ code: source, files: [] });
+  });
+
+  test('bundles CommonJS helpers into a lens function body', async () => {
+    writeFile('lib/html.js', 'const { tag } = require("./tags");\nmodule.exports = { highlight: (html) => tag("mark", html) };');
+    writeFile('lib/tags.js', 'exports.tag = (name, html) => `<${name}>${html}</${name}>`;');
+    writeFile('lib/codes.json', '{ "pregnancy": "77386006" }');
+    const entry = writeFile('lens.js', [
+      'const { highlight } = require("./lib/html");',
+      'const codes = require("./lib/codes.json");',
+      'let enhance = async () => highlight(html) + codes.pregnancy;',
+      'return { enhance: enhance };'
+    ].join('\n'));
+
+    const bundle = bundleEnhanceScript(entry);
+    const run = await runEnhance(bundle.code, inputs);
+
+    expect(bundle.files).toEqual(['tags.js', 'html.js', 'codes.json'].map((file) => path.join(root, 'lib', file)));
+    expect(run.errors).toEqual([]);
+    expect(run.result).toBe('<mark><p>dose</p></mark>77386006');
+  });
+
+  test('turns imported ES modules into plain script', async () => {
+    writeFile('shared/walk.mjs', [
+      'import defaultTag, { TAG as tagName } from "./tag.js";',
+      'export function walk(html) { return `<${tagName}>${html}</${defaultTag}>`; }'
+    ].join('\n'));
+    writeFile('shared/tag.js', 'export const TAG = "b";\nexport default "b";');
+    const entry = writeFile('lenses/lens.js', [
+      'import { walk } from "../shared/walk.mjs";',
+      'function enhance(epi, ips, pv, html) { return walk(html); }'
+    ].join('\n'));
+
+    const bundle = bundleEnhanceScript(entry, { root });
+    const run = await runEnhance(bundle.code, inputs);
+
+    expect(run.errors).toEqual([]);
+    expect(run.result).toBe('<b><p>dose</p></b>');
+  });
+
+  test('turns an enhance script written as an ES module into a script the focusing engine runs', async () => {
+    writeFile('lib/mark.js', 'export const mark = (html) => `<mark>${html}</mark>`;\nexport const highlight = (epi, ips, pv, html) => mark(html);');
+    const exported = writeFile('exported.js', 'export function enhance(epi, ips, pv, html) { return `<i>${html}</i>`; }');
+    const reexported = writeFile('reexported.js', 'export { highlight as enhance } from "./lib/mark.js";');
+    const byDefault = writeFile('default.js', 'import { mark } from "./lib/mark.js";\nconst enhance = () => mark(html);\nexport default { enhance };');
+
+    for (const [entry, result] of [[exported, '<i><p>dose</p></i>'], [reexported, '<mark><p>dose</p></mark>'], [byDefault, '<mark><p>dose</p></mark>']]) {
+      const bundle = bundleEnhanceScript(entry);
+      const run = await runEnhance(bundle.code, inputs);
+
+      expect(bundle.code).not.toMatch(/^export /m);
+      expect(run.errors).toEqual([]);
+      expect(run.result).toBe(result);
+    }
+  });
+
+  test('keeps the directive prologue of the enhance script and of imported modules first', async () => {
+    writeFile('lib/mark.mjs', '"use strict";\nexport { mark } from "./sloppy.js";');
+    // Strict only through the enhance script's 'use strict'
+    writeFile('lib/sloppy.js', 'exports.mark = (html) => { undeclared = 1; return html; };');
+    const entry = writeFile('lens.js', [
+      '\'use strict\';',
+      'const { mark } = require("./lib/mark.mjs");',
+      'let enhance = async () => { try { mark(html); } catch (error) { return error.name; } return "sloppy"; };',
+      'return { enhance: enhance };'
+    ].join('\n'));
+
+    const bundle = bundleEnhanceScript(entry);
+    const run = await runEnhance(bundle.code, inputs);
+
+    expect(bundle.code.split('\n').slice(0, 3)).toEqual([
+      '// lens.js bundled with 2 imported file(s) by lens-selector',
+      '\'use strict\';',
+      'var __lensModules = {'
+    ]);
+    expect(bundle.code).toContain('function (module, exports) {\n"use strict";\nObject.defineProperty(exports, \'__esModule\'');
+    expect(run.errors).toEqual([]);
+    expect(run.result).toBe('ReferenceError');
+  });
+
+  test('compiles TypeScript sources and the files they import', async () => {
+    writeFile('lib/mark.ts', 'export const mark = (html: string): string => `<mark>${html}</mark>`;');
+    writeFile('types.d.ts', 'export interface Inputs { html: string }');
+    const entry = writeFile('lens.ts', [
+      'import { mark } from "./lib/mark.js";',
+      'import type { Inputs } from "./types";',
+      'const inputs: Inputs = { html };',
+      'const enhance = async (): Promise<string> => mark(inputs.html);',
+      'export default { enhance };'
+    ].join('\n'));
+
+    const bundle = bundleEnhanceScript(entry, { minify: true });
+    const run = await runEnhance(bundle.code, inputs);
+
+    expect(bundle.files).toEqual([path.join(root, 'lib', 'mark.ts')]);
+    expect(bundle.code).not.toContain('\n\n');
+    expect(run.errors).toEqual([]);
+    expect(run.result).toBe('<mark><p>dose</p></mark>');
+  });
+
+  test('reports compile errors of imported TypeScript files', () => {
+    writeFile('lib/broken.ts', 'export const x: = 1;');
+    const entry = writeFile('lens.ts', 'import { x } from "./lib/broken";\nexport function enhance(epi: object) { return x; }');
+
+    expect(() => bundleEnhanceScript(entry)).toThrow(expect.objectContaining({
+      reason: 'compile-error',
+      message: expect.stringMatching(/^lib\/broken\.ts: Unexpected "=" at line 1, column 17/)
+    }));
+  });
+
+  test('reports missing imports', () => {
+    const entry = writeFile('lens.js', 'const helpers = require("./helpers");\nfunction enhance(epi) { return epi; }');
+
+    expect(() => bundleEnhanceScript(entry)).toThrow(expect.objectContaining({
+      reason: 'import-error',
+      message: "lens.js: cannot find import './helpers'"
+    }));
+  });
+
+  test('reports circular imports with the import chain', () => {
+    writeFile('a.js', 'require("./b");');
+    writeFile('b.js', 'require("./a");');
+    const entry = writeFile('lens.js', 'require("./a");\nfunction enhance(epi) { return epi; }');
+
+    expect(() => bundleEnhanceScript(entry)).toThrow('Circular import: a.js -> b.js -> a.js');
+  });
+
+  test('only imports files inside the lens folder', () => {
+    const entry = writeFile('lenses/lens.js', 'require("../secrets.js");\nfunction enhance(epi) { return epi; }');
+    writeFile('secrets.js', 'module.exports = "x";');
+    const packageEntry = writeFile('lenses/pkg.js', 'const _ = require("lodash");\nfunction enhance(epi) { return epi; }');
+
+    expect(() => bundleEnhanceScript(entry)).toThrow("import '../secrets.js' points outside the lens folder");
+    expect(() => bundleEnhanceScript(packageEntry)).toThrow("cannot import 'lodash'");
+    expect(bundleEnhanceScript(entry, { root }).files).toEqual([path.join(root, 'secrets.js')]);
+  });
+
+  test('reports syntax errors of imported files', () => {
+    writeFile('broken.js', 'module.exports = {');
+    const entry = writeFile('lens.js', 'require("./broken");\nfunction enhance(epi) { return epi; }');
+
+    expect(() => bundleEnhanceScript(entry)).toThrow(/^broken\.js: Unexpected token/);
+  });
+});
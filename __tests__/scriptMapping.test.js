@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ENHANCE_SCRIPT_EXTENSION,
+  isManifestFile,
+  readManifest,
+  findMappedScript,
+  getManifestScripts
+} = require('../src/utils/scriptMapping');
+
+describe('Script mapping', () => {
+  let root;
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(root, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'lens-mapping-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('recognizes manifests by file name', () => {
+    expect(isManifestFile(path.join('lenses', 'lens-manifest.json'))).toBe(true);
+    expect(isManifestFile(path.join('lenses', 'pregnancy-lens.json'))).toBe(false);
+  });
+
+  test('rejects manifests without a scripts map', () => {
+    const list = writeFile('a/lens-manifest.json', { scripts: ['a.js'] });
+    const empty = writeFile('b/lens-manifest.json', { scripts: { 'pregnancy-lens': '' } });
+    const broken = writeFile('c/lens-manifest.json', '{ "scripts": ');
+
+    expect(() => readManifest(list)).toThrow('lens-manifest.json must have a "scripts" object');
+    expect(() => readManifest(empty)).toThrow('lens-manifest.json must have a "scripts" object');
+    expect(() => readManifest(broken)).toThrow(SyntaxError);
+  });
+
+  test('prefers the lens extension, then the closest manifest', () => {
+    const lensPath = path.join(root, 'lenses', 'pregnancy', 'lens.json');
+    const manifests = [
+      readManifest(writeFile('lens-manifest.json', { scripts: { 'lenses/pregnancy/lens.json': 'top.js', 'allergy-lens': 'allergy.js' } })),
+      readManifest(writeFile('lenses/lens-manifest.json', { scripts: { 'pregnancy/lens.json': 'near.js' } }))
+    ];
+    const lens = { name: 'pregnancy-lens' };
+    const withExtension = { ...lens, extension: [{ url: ENHANCE_SCRIPT_EXTENSION, valueString: '../own.ts' }] };
+
+    expect(findMappedScript(lensPath, withExtension, manifests)).toEqual({ script: path.join(root, 'lenses', 'own.ts'), source: 'extension' });
+    expect(findMappedScript(lensPath, lens, manifests)).toEqual({ script: path.join(root, 'lenses', 'near.js'), source: 'manifest' });
+    expect(findMappedScript(path.join(root, 'other', 'x.json'), { name: 'allergy-lens' }, manifests))
+      .toEqual({ script: path.join(root, 'allergy.js'), source: 'manifest' });
+    expect(findMappedScript(path.join(root, 'other', 'x.json'), { name: 'x' }, manifests)).toBeNull();
+    expect(getManifestScripts(manifests)).toEqual(new Set(['top.js', 'allergy.js', path.join('lenses', 'near.js')].map((file) => path.join(root, file))));
+  });
+});
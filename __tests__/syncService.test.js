@@ -0,0 +1,113 @@
+// Mock the lensService BEFORE importing the sync service
+jest.mock('../src/services/lensService', () => ({
+  refreshSources: jest.fn()
+}));
+
+jest.mock('../src/services/publishService', () => ({
+  isPublishEnabled: jest.fn(() => false),
+  publishLenses: jest.fn()
+}));
+
+const { syncSources, startSync, stopSync, getLastSync } = require('../src/services/syncService');
+const { refreshSources } = require('../src/services/lensService');
+const { isPublishEnabled, publishLenses } = require('../src/services/publishService');
+
+const SOURCES = [
+  { id: 'pregnancy', url: 'https://example.org/pregnancy-lens.git' },
+  { id: 'allergy', url: 'https://example.org/allergy-lens.git' }
+];
+
+describe('Sync Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    refreshSources.mockImplementation(async ([source]) => [{ source: { id: source.id }, commit: `head-of-${source.id}` }]);
+  });
+
+  afterEach(() => {
+    stopSync();
+    jest.useRealTimers();
+  });
+
+  describe('syncSources', () => {
+    test('refreshes every source and records the result', async () => {
+      const sync = await syncSources(SOURCES);
+
+      expect(refreshSources).toHaveBeenCalledTimes(2);
+      expect(sync.sources).toEqual([
+        { source: 'pregnancy', commit: 'head-of-pregnancy' },
+        { source: 'allergy', commit: 'head-of-allergy' }
+      ]);
+      expect(getLastSync()).toBe(sync);
+    });
+
+    test('keeps syncing the other sources when one fails', async () => {
+      refreshSources.mockRejectedValueOnce(new Error('Could not resolve host'));
+
+      const sync = await syncSources(SOURCES);
+
+      expect(sync.sources).toEqual([
+        { source: 'pregnancy', error: 'Could not resolve host' },
+        { source: 'allergy', commit: 'head-of-allergy' }
+      ]);
+    });
+
+    test('publishes the lenses after syncing when publishing is on', async () => {
+      isPublishEnabled.mockReturnValue(true);
+      publishLenses.mockResolvedValue({ published: 1, skipped: 2, failed: 0, lenses: [] });
+
+      const sync = await syncSources(SOURCES);
+
+      expect(publishLenses).toHaveBeenCalledWith([expect.objectContaining({ id: 'pregnancy' }), expect.objectContaining({ id: 'allergy' })]);
+      expect(sync.publish).toEqual({ published: 1, skipped: 2, failed: 0 });
+
+      publishLenses.mockRejectedValue(new Error('FHIR server unreachable'));
+      expect((await syncSources(SOURCES)).publish).toEqual({ error: 'FHIR server unreachable' });
+      isPublishEnabled.mockReturnValue(false);
+    });
+
+    test('does not publish when publishing is off', async () => {
+      const sync = await syncSources(SOURCES);
+
+      expect(publishLenses).not.toHaveBeenCalled();
+      expect(sync).not.toHaveProperty('publish');
+    });
+
+    test('shares a sync that is already running', async () => {
+      let release;
+      refreshSources.mockImplementationOnce(([source]) => new Promise((resolve) => {
+        release = () => resolve([{ source: { id: source.id }, commit: 'c1' }]);
+      }));
+
+      const first = syncSources(SOURCES);
+      const second = syncSources(SOURCES);
+      await new Promise((resolve) => setImmediate(resolve));
+      release();
+
+      expect(second).toBe(first);
+      await first;
+      expect(refreshSources).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('startSync', () => {
+    test('syncs right away and then on every interval', async () => {
+      jest.useFakeTimers();
+
+      await startSync({ sources: SOURCES, intervalMs: 60000 });
+      expect(refreshSources).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect(refreshSources).toHaveBeenCalledTimes(4);
+    });
+
+    test('only syncs once when the interval is 0', async () => {
+      jest.useFakeTimers();
+
+      await startSync({ sources: SOURCES, intervalMs: 0 });
+      jest.advanceTimersByTime(10 * 60000);
+
+      expect(refreshSources).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { isTypeScriptFile, compileTypeScript, minifyScript } = require('../src/utils/tsCompiler');
+const { analyzeEnhanceScript } = require('../src/utils/scriptAnalyzer');
+
+describe('TypeScript compiler', () => {
+  test('recognizes TypeScript sources but not type declarations', () => {
+    expect(isTypeScriptFile('lenses/pregnancy.ts')).toBe(true);
+    expect(isTypeScriptFile('types/epi.d.ts')).toBe(false);
+    expect(isTypeScriptFile('lenses/pregnancy.js')).toBe(false);
+  });
+
+  test('strips types and keeps imports and exports', () => {
+    const source = [
+      'import type { Bundle } from "./types";',
+      'import { mark } from "./mark";',
+      'interface Options { highlight: boolean }',
+      'const options: Options = { highlight: true };',
+      'export const enhance = async (epi: Bundle): Promise<string> => (options.highlight ? mark(epi) : "") as string;'
+    ].join('\n');
+
+    const code = compileTypeScript(source);
+
+    expect(code).not.toMatch(/Options|Promise<|Bundle/);
+    expect(code).toContain('import { mark } from "./mark";');
+    expect(analyzeEnhanceScript(code)).toMatchObject({ hasEnhance: true, exportStyle: 'esm', async: true });
+  });
+
+  test('turns the exports of an enhance script into what the focusing engine runs', () => {
+    const declared = compileTypeScript('export function enhance(epi: object) { return epi; }', { script: true });
+    const returned = compileTypeScript([
+      'const enhance = async (): Promise<string> => html;',
+      'const getSpecification = (): string => "2.0.3";',
+      'export default { enhance, getSpecification };'
+    ].join('\n'), { script: true });
+    const aliased = compileTypeScript('function run(epi: object) { return epi; }\nexport { run as enhance };', { script: true });
+
+    expect(analyzeEnhanceScript(declared)).toMatchObject({ sourceType: 'script', exportStyle: 'global', params: ['epi'] });
+    expect(analyzeEnhanceScript(returned)).toMatchObject({ sourceType: 'script', exportStyle: 'return', async: true });
+    expect(analyzeEnhanceScript(aliased)).toMatchObject({ sourceType: 'script', exportStyle: 'global', params: ['epi'] });
+  });
+
+  test('lowers newer syntax to the target', () => {
+    const source = 'export function enhance(epi: any) { return epi?.entry ?? []; }';
+
+    expect(compileTypeScript(source)).not.toContain('?.');
+    expect(compileTypeScript(source, { target: 'es2020' })).toContain('?.');
+  });
+
+  test('reports compile errors with their position', () => {
+    expect(() => compileTypeScript('function enhance(epi: Bundle {\n  return epi;\n}')).toThrow(expect.objectContaining({
+      reason: 'compile-error',
+      message: 'Expected ")" but found "{" at line 1, column 30'
+    }));
+  });
+
+  test('minifies without renaming top-level functions', () => {
+    const code = minifyScript('function enhance(originalContent) {\n  const highlighted = originalContent;\n  return highlighted;\n}\n');
+
+    expect(code.length).toBeLessThan(60);
+    expect(analyzeEnhanceScript(code)).toMatchObject({ hasEnhance: true, exportStyle: 'global' });
+  });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the webhookService BEFORE importing routes
+jest.mock('../src/services/webhookService', () => ({
+  handleGitWebhook: jest.fn()
+}));
+
+const webhooksRouter = require('../src/routes/webhooks');
+const { handleGitWebhook } = require('../src/services/webhookService');
+
+const statusError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+describe('Webhooks API Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/webhooks', webhooksRouter);
+    app.use(express.json());
+    jest.clearAllMocks();
+  });
+
+  describe('POST /webhooks/git', () => {
+    test('passes the raw body and headers to the webhook service', async () => {
+      const body = '{ "ref":  "refs/heads/main" }';
+      handleGitWebhook.mockResolvedValue({ provider: 'github', event: 'push', status: 'refreshed', refreshed: [] });
+
+      const response = await request(app)
+        .post('/webhooks/git')
+        .set('Content-Type', 'application/json')
+        .set('X-GitHub-Event', 'push')
+        .send(body);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('refreshed');
+      const [headers, rawBody] = handleGitWebhook.mock.calls[0];
+      expect(headers['x-github-event']).toBe('push');
+      expect(Buffer.isBuffer(rawBody)).toBe(true);
+      expect(rawBody.toString()).toBe(body);
+    });
+
+    test('returns 401 for invalid signatures', async () => {
+      handleGitWebhook.mockRejectedValue(statusError(401, 'Invalid github webhook signature'));
+
+      const response = await request(app).post('/webhooks/git').send({});
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('error', 'Invalid signature');
+    });
+
+    test('returns 400 for unsupported webhooks', async () => {
+      handleGitWebhook.mockRejectedValue(statusError(400, 'Unsupported webhook'));
+
+      const response = await request(app).post('/webhooks/git').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Invalid webhook');
+    });
+
+    test('returns 503 when no secret is configured', async () => {
+      handleGitWebhook.mockRejectedValue(statusError(503, 'WEBHOOK_SECRET is not configured'));
+
+      const response = await request(app).post('/webhooks/git').send({});
+
+      expect(response.status).toBe(503);
+    });
+
+    test('returns 500 when refreshing fails', async () => {
+      handleGitWebhook.mockRejectedValue(new Error('fetch failed'));
+
+      const response = await request(app).post('/webhooks/git').send({});
+
+      expect(response.status).toBe(500);
+      expect(response.body).toHaveProperty('error', 'Failed to refresh lenses');
+    });
+  });
+});
@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+/**
+ * lens-selector command-line tool
+ *
+ * Runs the same discovery and validation as the service on a local folder,
+ * so lens authors can check their lenses in a pre-commit hook or their own CI.
+ *
+ *   lens-selector validate <dir> [--json] [--strict] [--verbose]
+ *   lens-selector list <dir> [--json] [--strict] [--verbose]
+ *   lens-selector build <dir> --out <dir> [--strict] [--verbose]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { discoverLenses } = require('./utils/lensValidator');
+const { getDiscoveryOptions } = require('./utils/sourceConfig');
+const { version } = require('../package.json');
+
+const USAGE = `Usage: lens-selector <command> <dir> [options]
+
+Commands:
+  validate <dir>            Validate every JSON file; exits 1 when a lens has errors
+  list <dir>                List the lenses found
+  build <dir> --out <dir>   Write each lens as its final Library JSON, enhance JS embedded
+
+Options:
+  --out <dir>   Output folder for build
+  --json        Print machine-readable JSON (validate, list)
+  --strict      Refuse lenses whose enhance script is an ambiguous fallback
+  --verbose     Show the discovery log
+  -h, --help    Show this help
+  -v, --version Show the version
+`;
+
+// Exit codes: success, lens errors, wrong usage
+const EXIT_OK = 0;
+const EXIT_ERRORS = 1;
+const EXIT_USAGE = 2;
+
+// Discovery log of runs without --verbose
+const QUIET_LOGGER = { log() {}, debug() {}, warn() {}, error() {} };
+
+/**
+ * Create an error for wrong command-line usage
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Parse the command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, dir, out, json, strict, verbose, help, version }
+ * @throws {Error} Usage error for unknown options or missing values
+ */
+function parseArgs(argv) {
+  const options = { json: false, strict: false, verbose: false, help: false, version: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '-v' || arg === '--version') {
+      options.version = true;
+    } else if (arg === '--out' || arg === '-o') {
+      if (i + 1 >= argv.length) {
+        throw usageError(`${arg} needs a folder`);
+      }
+      options.out = argv[++i];
+    } else if (arg.startsWith('--out=')) {
+      options.out = arg.slice('--out='.length);
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw usageError(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  [options.command, options.dir] = positional;
+  if (positional.length > 2) {
+    throw usageError(`Unexpected argument ${positional[2]}`);
+  }
+  return options;
+}
+
+/**
+ * Run lens discovery on a folder, keeping its log quiet unless asked for
+ * The folder's .lensignore and the LENS_* discovery settings apply as in the service.
+ * @param {Object} options - Parsed arguments ({ dir, strict, verbose })
+ * @returns {Promise<Object>} { lenses, files } with the report entry of every JSON file
+ */
+async function discover({ dir, strict, verbose }) {
+  const files = [];
+  const discoveryOptions = getDiscoveryOptions({});
+  const lenses = await discoverLenses(dir, {
+    ...discoveryOptions,
+    strict: strict || discoveryOptions.strict,
+    logger: verbose ? console : QUIET_LOGGER,
+    onFile: (entry) => files.push(entry)
+  });
+  return { lenses, files };
+}
+
+/**
+ * Check whether a file that failed validation was meant to be a lens
+ * JSON files that are not FHIR Libraries (package.json, fixtures...) are skipped, not errors.
+ * @param {Object} entry - Report entry from discoverLenses
+ * @returns {boolean}
+ */
+function isLensError(entry) {
+  if (entry.status !== 'rejected') {
+    return false;
+  }
+  if (entry.reason !== 'invalid') {
+    return true;
+  }
+  try {
+    const json = JSON.parse(fs.readFileSync(entry.path, 'utf8'));
+    return Boolean(json) && json.resourceType === 'Library';
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Give a file entry its outcome for the author: ok, error or skipped
+ * @param {Object} entry - Report entry from discoverLenses
+ * @param {string} dir - Folder that was scanned
+ * @returns {Object} The entry with a relative path and `result`
+ */
+function classify(entry, dir) {
+  let result = 'ok';
+  if (entry.status === 'rejected') {
+    result = isLensError(entry) ? 'error' : 'skipped';
+  }
+  const classified = { ...entry, path: path.relative(dir, entry.path), result };
+  if (classified.enhancedWithJs) {
+    classified.enhancedWithJs = path.relative(dir, classified.enhancedWithJs);
+  }
+  if (classified.enhanceImports) {
+    classified.enhanceImports = classified.enhanceImports.map((imported) => path.relative(dir, imported));
+  }
+  return classified;
+}
+
+/**
+ * Describe one checked file on a single line
+ * @param {Object} file - Classified report entry
+ * @returns {string}
+ */
+function describeFile(file) {
+  const label = { ok: 'OK', error: 'ERROR', skipped: 'SKIP' }[file.result].padEnd(6);
+  if (file.result === 'skipped') {
+    return `${label}${file.path}: not a FHIR Library`;
+  }
+  const name = file.name ? ` (${file.name})` : '';
+  if (file.result === 'error') {
+    return `${label}${file.path}${name}: ${file.reason}`;
+  }
+  const imports = file.enhanceImports ? ` + ${file.enhanceImports.length} imported file(s)` : '';
+  const enhance = file.status === 'enhanced'
+    ? `, enhance ${file.enhancedWithJs || 'default function'}${imports} [${file.enhanceSource}]`
+    : '';
+  return `${label}${file.path}${name}: ${file.status}${enhance}`;
+}
+
+/**
+ * validate command: report every JSON file
+ * @param {Object} options - Parsed arguments
+ * @param {Object} io - { out, err } writers
+ * @returns {Promise<number>} Exit code
+ */
+async function validateCommand(options, io) {
+  const { files } = await discover(options);
+  const classified = files.map((entry) => classify(entry, options.dir));
+  const count = (result) => classified.filter((file) => file.result === result).length;
+
+  if (options.json) {
+    io.out(`${JSON.stringify({
+      valid: count('ok'),
+      errors: count('error'),
+      skipped: count('skipped'),
+      files: classified
+    }, null, 2)}\n`);
+  } else {
+    for (const file of classified) {
+      io.out(`${describeFile(file)}\n`);
+      if (file.result === 'error') {
+        for (const message of file.errors || []) {
+          io.out(`        - ${message}\n`);
+        }
+      }
+      for (const warning of file.warnings || []) {
+        io.out(`        ! ${warning}\n`);
+      }
+    }
+    io.out(`\n${count('ok')} valid, ${count('error')} with errors, ${count('skipped')} skipped\n`);
+  }
+
+  return count('error') > 0 ? EXIT_ERRORS : EXIT_OK;
+}
+
+/**
+ * list command: list the lenses found
+ * @param {Object} options - Parsed arguments
+ * @param {Object} io - { out, err } writers
+ * @returns {Promise<number>} Exit code
+ */
+async function listCommand(options, io) {
+  const { lenses } = await discover(options);
+  const rows = lenses.map((lens) => ({
+    name: lens.name,
+    version: lens.version,
+    status: lens.status,
+    url: lens.url,
+    path: path.relative(options.dir, lens.path),
+    enhanceSource: lens.enhanceSource
+  }));
+
+  if (options.json) {
+    io.out(`${JSON.stringify(rows, null, 2)}\n`);
+    return EXIT_OK;
+  }
+
+  if (rows.length === 0) {
+    io.out('No lenses found\n');
+    return EXIT_OK;
+  }
+  const columns = ['name', 'version', 'status', 'path'];
+  const widths = columns.map((column) => Math.max(column.length, ...rows.map((row) => String(row[column]).length)));
+  const line = (values) => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+  io.out(`${line(columns.map((column) => column.toUpperCase()))}\n`);
+  for (const row of rows) {
+    io.out(`${line(columns.map((column) => row[column]))}\n`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * build command: write every lens as its final Library JSON
+ * Files keep their path relative to the scanned folder, and --out must be
+ * outside it. Nothing is written while a lens has errors.
+ * @param {Object} options - Parsed arguments
+ * @param {Object} io - { out, err } writers
+ * @returns {Promise<number>} Exit code
+ */
+async function buildCommand(options, io) {
+  if (!options.out) {
+    throw usageError('build needs --out <dir>');
+  }
+  const sourceDir = path.resolve(options.dir);
+  const outDir = path.resolve(options.out);
+  const relative = path.relative(sourceDir, outDir);
+  const outside = relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+  if (!outside) {
+    // Built lenses would be discovered again as lenses on the next build
+    throw usageError(`--out ${options.out} must be outside the lens folder ${options.dir}`);
+  }
+
+  const { lenses, files } = await discover(options);
+  const errors = files.map((entry) => classify(entry, options.dir)).filter((file) => file.result === 'error');
+  if (errors.length > 0) {
+    for (const file of errors) {
+      io.err(`${describeFile(file)}\n`);
+      for (const message of file.errors || []) {
+        io.err(`        - ${message}\n`);
+      }
+    }
+    io.err(`\nNothing written: ${errors.length} file(s) with errors\n`);
+    return EXIT_ERRORS;
+  }
+
+  for (const lens of lenses) {
+    const target = path.join(options.out, path.relative(options.dir, lens.path));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, `${JSON.stringify(lens.lens, null, 2)}\n`);
+    if (lens.enhanceSource === 'default') {
+      io.err(`Warning: ${lens.name} has no enhance script and uses the default enhance function\n`);
+    }
+    io.out(`Wrote ${target}\n`);
+  }
+  io.out(`${lenses.length} lens(es) built into ${options.out}\n`);
+  return EXIT_OK;
+}
+
+const COMMANDS = {
+  validate: validateCommand,
+  list: listCommand,
+  build: buildCommand
+};
+
+/**
+ * Run the command-line tool
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} io - { out, err } writers (optional, defaults to stdout/stderr)
+ * @returns {Promise<number>} Exit code: 0 success, 1 lens errors, 2 wrong usage
+ */
+async function run(argv, io = {}) {
+  const out = io.out || ((text) => process.stdout.write(text));
+  const err = io.err || ((text) => process.stderr.write(text));
+
+  try {
+    const options = parseArgs(argv);
+    if (options.version) {
+      out(`${version}\n`);
+      return EXIT_OK;
+    }
+    if (options.help || !options.command) {
+      (options.help ? out : err)(USAGE);
+      return options.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    const command = COMMANDS[options.command];
+    if (!command) {
+      throw usageError(`Unknown command ${options.command}`);
+    }
+    if (!options.dir) {
+      throw usageError(`${options.command} needs a folder`);
+    }
+    if (!fs.existsSync(options.dir) || !fs.statSync(options.dir).isDirectory()) {
+      throw usageError(`${options.dir} is not a folder`);
+    }
+
+    return await command(options, { out, err });
+  } catch (error) {
+    if (error.usage) {
+      err(`${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    err(`Error: ${error.message}\n`);
+    return EXIT_ERRORS;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { run, parseArgs };
@@ -1,21 +1,37 @@
 require('dotenv').config();
+const { installLogRedaction } = require('./utils/redact');
+
+// Before anything logs, so no secret is ever printed
+installLogRedaction();
+
 const express = require('express');
+const fhirRouter = require('./routes/fhir');
 const lensesRouter = require('./routes/lenses');
-const { ensureRepo, getRepoLocalPath } = require('./utils/repoManager');
+const publishRouter = require('./routes/publish');
+const webhooksRouter = require('./routes/webhooks');
+const { getLastSync, startSync } = require('./services/syncService');
+const { getSources, normalizeSources } = require('./utils/sourceConfig');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Webhooks verify signatures over the raw body, so they go before the JSON parser
+app.use('/webhooks', webhooksRouter);
+
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'lens-selector' });
+  res.json({ status: 'ok', service: 'lens-selector', lastSync: getLastSync() });
 });
 
 // API routes
 app.use('/lenses', lensesRouter);
+app.use('/publish', publishRouter);
+
+// FHIR REST API (read-only Library endpoints and CapabilityStatement)
+app.use('/', fhirRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -38,10 +54,25 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`Lens Selector Service running on port ${PORT}`);
   console.log('Environment configuration:');
-  console.log(`  GIT_REPO_URL: ${process.env.GIT_REPO_URL || 'not set'}`);
-  console.log(`  GIT_BRANCH: ${process.env.GIT_BRANCH || 'not set (will use main/master)'}`);
-  console.log(`  LENS_FILE_PATH: ${process.env.LENS_FILE_PATH || 'not set (will auto-discover)'}`);
-  console.log(`Cloning from repository...`);
-  const localPath = getRepoLocalPath(process.env.GIT_REPO_URL);
-  ensureRepo(process.env.GIT_REPO_URL, process.env.GIT_BRANCH, localPath);
+  const sources = normalizeSources(getSources());
+  for (const source of sources) {
+    console.log(`  Source ${source.id}:`);
+    console.log(`    url: ${source.url}`);
+    if (source.localPath) {
+      console.log('    branch: not used (local folder, watched for changes)');
+    } else {
+      console.log(`    branch: ${source.branch || 'not set (will use main/master)'}`);
+    }
+    console.log(`    path: ${source.path || 'not set (will auto-discover)'}`);
+  }
+  console.log(`Cloning from repositories...`);
+  startSync({ sources }).then((sync) => {
+    for (const result of sync.sources) {
+      console.log(result.error
+        ? `  Source ${result.source} could not be synced: ${result.error}`
+        : `  Source ${result.source} synced ${result.commit ? `at ${result.commit}` : 'from its local folder'}`);
+    }
+  }).catch((error) => {
+    console.error('Initial sync failed:', error.message);
+  });
 });
@@ -0,0 +1,127 @@
+const express = require('express');
+const { errorOutcome, getCapabilityStatement, readLibrary, readProvenance, searchLibraries, searchProvenance } = require('../services/fhirService');
+const { formatResource, getFhirBaseUrl, negotiateFormat } = require('../utils/fhirFormat');
+const { getSources, requiresSignedCommits } = require('../utils/sourceConfig');
+
+const router = express.Router();
+
+const FHIR_JSON = 'application/fhir+json';
+
+/**
+ * Get the media type of a FHIR response
+ * Falls back to FHIR JSON when the request asks for an unsupported format,
+ * so the resulting 406 OperationOutcome can still be sent.
+ * @param {Object} req - Express request
+ * @returns {string} Media type
+ */
+function responseType(req) {
+  try {
+    return negotiateFormat(req, FHIR_JSON);
+  } catch (error) {
+    return FHIR_JSON;
+  }
+}
+
+/**
+ * Send a FHIR resource, as FHIR JSON or XML depending on _format and Accept
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {Object} resource - FHIR resource
+ */
+function sendResource(req, res, status, resource) {
+  const mediaType = responseType(req);
+  res.status(status).vary('Accept').type(mediaType).send(formatResource(resource, mediaType));
+}
+
+/**
+ * Send an error as an OperationOutcome
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while serving the request
+ */
+function sendError(req, res, error) {
+  sendResource(req, res, error.statusCode || 500, errorOutcome(error));
+}
+
+/**
+ * GET /metadata
+ * Returns the CapabilityStatement of the service
+ */
+router.get('/metadata', (req, res) => {
+  try {
+    negotiateFormat(req, FHIR_JSON);
+    const signedCommits = getSources().some((source) => requiresSignedCommits(source));
+    sendResource(req, res, 200, getCapabilityStatement(getFhirBaseUrl(req), { signedCommits }));
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * GET /Library
+ * Searches lenses by name, url, version, status and _id; returns a searchset Bundle
+ */
+router.get('/Library', async (req, res) => {
+  try {
+    negotiateFormat(req, FHIR_JSON);
+    const strict = /\bhandling=strict\b/.test(req.get('Prefer') || '');
+    const bundle = await searchLibraries(getSources(), req.query, { baseUrl: getFhirBaseUrl(req), strict });
+
+    sendResource(req, res, 200, bundle);
+  } catch (error) {
+    console.error('Error searching Libraries:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * GET /Library/:id
+ * Returns a lens as a FHIR Library resource
+ */
+router.get('/Library/:id', async (req, res) => {
+  try {
+    negotiateFormat(req, FHIR_JSON);
+    const library = await readLibrary(getSources(), req.params.id);
+
+    sendResource(req, res, 200, library);
+  } catch (error) {
+    console.error('Error reading Library:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * GET /Provenance
+ * Searches the Provenance of lenses served from signed commits by target and _id
+ */
+router.get('/Provenance', async (req, res) => {
+  try {
+    negotiateFormat(req, FHIR_JSON);
+    const strict = /\bhandling=strict\b/.test(req.get('Prefer') || '');
+    const bundle = await searchProvenance(getSources(), req.query, { baseUrl: getFhirBaseUrl(req), strict });
+
+    sendResource(req, res, 200, bundle);
+  } catch (error) {
+    console.error('Error searching Provenance:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * GET /Provenance/:id
+ * Returns the Provenance of a lens (same id as its Library): the signed commits it was served from
+ */
+router.get('/Provenance/:id', async (req, res) => {
+  try {
+    negotiateFormat(req, FHIR_JSON);
+    const provenance = await readProvenance(getSources(), req.params.id);
+
+    sendResource(req, res, 200, provenance);
+  } catch (error) {
+    console.error('Error reading Provenance:', error);
+    sendError(req, res, error);
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,71 @@
 const express = require('express');
-const { getLenses, getLensByName, getLensNames } = require('../services/lensService');
+const { getDiscoveryReport, getLensAtCommit, getLensByName, getLensHistory, getLensListing, getLensWithRevision } = require('../services/lensService');
+const { getLensBundleWithRevision } = require('../services/fhirService');
+const { formatResource, getFhirBaseUrl, negotiateFormat } = require('../utils/fhirFormat');
+const { sendNotModified, setCacheHeaders } = require('../utils/httpCache');
+const { isListQuery } = require('../utils/lensQuery');
+const { previewLens } = require('../services/previewService');
+const { getSources, withRef } = require('../utils/sourceConfig');
 
 const router = express.Router();
 
+/**
+ * Get the configured sources, with the source named by the `source` query
+ * parameter (or the only git source) pointed at the `ref` query parameter if given
+ * @param {Object} req - Express request
+ * @returns {Array} Source definitions
+ */
+function requestSources(req) {
+  return withRef(getSources(), req.query.ref, req.query.source);
+}
+
+/**
+ * Send the response for an invalid or unknown ref
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while serving the request
+ * @returns {boolean} True when the error concerned the ref and has been answered
+ */
+function handleRefError(res, error) {
+  if (!error.ref) {
+    return false;
+  }
+  res.status(error.statusCode).json({
+    error: error.statusCode === 400 ? 'Invalid ref' : 'Ref not found',
+    message: error.message
+  });
+  return true;
+}
+
 /**
  * GET /lenses
  * Returns all lens IDs
+ * Filters (status, version, publisher, jurisdiction, q), sort, limit/offset and
+ * detail=summary return the matching lenses with their total instead.
+ * Every /lenses endpoint accepts ?ref=<branch|tag|sha> (and ?source=<id> with several git sources) to serve another git ref
+ * Sends ETag/Last-Modified from the source commits and answers 304 when unchanged
  */
 router.get('/', async (req, res) => {
   try {
-    const repoUrl = process.env.GIT_REPO_URL;
-    const branch = process.env.GIT_BRANCH;
-    const lensFile = process.env.LENS_FILE_PATH;
-
-    const lensNames = await getLensNames(repoUrl, branch, lensFile);
+    const sources = requestSources(req);
+    const { body, revision } = await getLensListing(sources, isListQuery(req.query) ? req.query : undefined);
 
-    res.json({
-      lenses: lensNames
-    });
+    setCacheHeaders(res, revision, body);
+    if (sendNotModified(res)) {
+      return;
+    }
+    res.json(body);
   } catch (error) {
     console.error('Error fetching lenses:', error);
+    if (handleRefError(res, error)) {
+      return;
+    }
+    if (error.statusCode === 400) {
+      res.status(400).json({
+        error: 'Invalid query',
+        message: error.message
+      });
+      return;
+    }
     res.status(500).json({
       error: 'Failed to fetch lenses',
       message: error.message
@@ -27,31 +73,215 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /lenses/_report
+ * Returns the discovery report: every file scanned per source, whether it was
+ * accepted, enhanced or rejected (with validation errors), and the commit scanned
+ */
+router.get('/_report', async (req, res) => {
+  try {
+    const report = await getDiscoveryReport(requestSources(req));
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error building discovery report:', error);
+    if (handleRefError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      error: 'Failed to build discovery report',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /lenses/_bundle
+ * Returns every lens in one Bundle: ?type=collection (default), or
+ * ?type=transaction with a conditional PUT Library?url=&version= per lens
+ */
+router.get('/_bundle', async (req, res) => {
+  try {
+    const mediaType = negotiateFormat(req, 'application/json');
+    const sources = requestSources(req);
+    const { bundle, revision } = await getLensBundleWithRevision(sources, req.query.type || 'collection', { baseUrl: getFhirBaseUrl(req) });
+    const body = formatResource(bundle, mediaType);
+
+    res.vary('Accept');
+    res.type(mediaType);
+    setCacheHeaders(res, revision, body);
+    if (sendNotModified(res)) {
+      return;
+    }
+    res.send(body);
+  } catch (error) {
+    console.error('Error building lens bundle:', error);
+    if (handleRefError(res, error)) {
+      return;
+    }
+    if (error.statusCode === 400) {
+      res.status(400).json({
+        error: 'Invalid bundle type',
+        message: error.message
+      });
+    } else if (error.statusCode === 406) {
+      res.status(406).json({
+        error: 'Not Acceptable',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to build lens bundle',
+        message: error.message
+      });
+    }
+  }
+});
+
 /**
  * GET /lenses/:name
  * Returns a specific lens
+ * As JSON (default), FHIR JSON or FHIR XML, chosen by _format or the Accept header
+ * Sends ETag/Last-Modified from the lens's source commit and answers 304 when unchanged
  */
 router.get('/:name', async (req, res) => {
   try {
     const { name } = req.params;
-    const repoUrl = process.env.GIT_REPO_URL;
-    const branch = process.env.GIT_BRANCH;
-    const lensFile = process.env.LENS_FILE_PATH;
+    const mediaType = negotiateFormat(req, 'application/json');
+    const sources = requestSources(req);
+    const { lens, revision } = await getLensWithRevision(sources, name);
+    const body = formatResource(lens, mediaType);
+
+    res.vary('Accept');
+    res.type(mediaType);
+    setCacheHeaders(res, revision, body);
+    if (sendNotModified(res)) {
+      return;
+    }
+    res.send(body);
+  } catch (error) {
+    console.error('Error fetching lens:', error);
+
+    if (handleRefError(res, error)) {
+      return;
+    }
+    if (error.statusCode === 406) {
+      res.status(406).json({
+        error: 'Not Acceptable',
+        message: error.message
+      });
+    } else if (error.statusCode === 404) {
+      res.status(404).json({
+        error: 'Lens not found',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to fetch lens',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * GET /lenses/:name/history
+ * Returns the commits that touched the lens JSON or its enhance script,
+ * newest first, with author, date, message and SHA
+ */
+router.get('/:name/history', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const history = await getLensHistory(requestSources(req), undefined, undefined, name);
+
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching lens history:', error);
+
+    if (handleRefError(res, error)) {
+      return;
+    }
+    if (error.statusCode === 404) {
+      res.status(404).json({
+        error: 'Lens not found',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to fetch lens history',
+        message: error.message
+      });
+    }
+  }
+});
 
-    const lens = await getLensByName(repoUrl, branch, lensFile, name);
+/**
+ * GET /lenses/:name/history/:commit
+ * Returns the lens as it was served at a commit listed in its history
+ */
+router.get('/:name/history/:commit', async (req, res) => {
+  try {
+    const { name, commit } = req.params;
+    const lens = await getLensAtCommit(requestSources(req), undefined, undefined, name, commit);
 
     res.json(lens);
   } catch (error) {
-    console.error('Error fetching lens:', error);
+    console.error('Error fetching lens at commit:', error);
 
+    if (handleRefError(res, error)) {
+      return;
+    }
     if (error.statusCode === 404) {
       res.status(404).json({
         error: 'Lens not found',
         message: error.message
       });
+    } else if (error.statusCode === 422) {
+      res.status(422).json({
+        error: 'Invalid lens at commit',
+        message: error.message
+      });
     } else {
       res.status(500).json({
-        error: 'Failed to fetch lens',
+        error: 'Failed to fetch lens at commit',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * POST /lenses/:name/$preview
+ * Runs the lens's enhance function on the ePI and IPS in the request body,
+ * in a sandbox, and returns the focused ePI with console output and errors
+ */
+router.post('/:name/\\$preview', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const lens = await getLensByName(requestSources(req), undefined, undefined, name);
+
+    const preview = await previewLens(lens, req.body);
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Error previewing lens:', error);
+
+    if (handleRefError(res, error)) {
+      return;
+    }
+    if (error.statusCode === 404) {
+      res.status(404).json({
+        error: 'Lens not found',
+        message: error.message
+      });
+    } else if (error.statusCode === 400 || error.statusCode === 422) {
+      res.status(error.statusCode).json({
+        error: 'Invalid preview request',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to preview lens',
         message: error.message
       });
     }
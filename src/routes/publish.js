@@ -0,0 +1,15 @@
+const express = require('express');
+const { getPublishStatus } = require('../services/publishService');
+
+const router = express.Router();
+
+/**
+ * GET /publish/status
+ * Returns whether lenses are published to a downstream FHIR server and the
+ * outcome of the last publish: each lens published, skipped as unchanged, or failed
+ */
+router.get('/status', (req, res) => {
+  res.json(getPublishStatus());
+});
+
+module.exports = router;
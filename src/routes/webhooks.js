@@ -0,0 +1,47 @@
+const express = require('express');
+const { handleGitWebhook } = require('../services/webhookService');
+const { getSources } = require('../utils/sourceConfig');
+
+const router = express.Router();
+
+// Signatures are computed over the body exactly as sent, so keep it raw
+const rawBody = express.raw({ type: () => true, limit: process.env.JSON_BODY_LIMIT || '5mb' });
+
+/**
+ * POST /webhooks/git
+ * Receives GitHub, GitLab and Gitea push events and pulls and re-discovers
+ * the lens sources on the pushed branch right away
+ */
+router.post('/git', rawBody, async (req, res) => {
+  try {
+    const result = await handleGitWebhook(req.headers, req.body, getSources());
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error handling git webhook:', error.message);
+
+    if (error.statusCode === 401) {
+      res.status(401).json({
+        error: 'Invalid signature',
+        message: error.message
+      });
+    } else if (error.statusCode === 400) {
+      res.status(400).json({
+        error: 'Invalid webhook',
+        message: error.message
+      });
+    } else if (error.statusCode === 503) {
+      res.status(503).json({
+        error: 'Webhooks not configured',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to refresh lenses',
+        message: error.message
+      });
+    }
+  }
+});
+
+module.exports = router;
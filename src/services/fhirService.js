@@ -0,0 +1,581 @@
+const crypto = require('crypto');
+const { getCatalogue, getCatalogueRevision, getLenses } = require('./lensService');
+const { toOperationOutcome } = require('../utils/lensValidator');
+const { version: SERVICE_VERSION } = require('../../package.json');
+
+const FHIR_VERSION = '4.0.1';
+const LENS_PROFILE = 'http://hl7.eu/fhir/ig/gravitate-health/StructureDefinition/lens';
+
+/**
+ * Library search parameters supported by GET /Library
+ * type: FHIR search parameter type; element: lens property searched
+ */
+const SEARCH_PARAMETERS = {
+  _id: { type: 'token', element: 'id', definition: 'http://hl7.org/fhir/SearchParameter/Resource-id' },
+  name: { type: 'string', element: 'name', definition: 'http://hl7.org/fhir/SearchParameter/Library-name' },
+  url: { type: 'uri', element: 'url', definition: 'http://hl7.org/fhir/SearchParameter/Library-url' },
+  version: { type: 'token', element: 'version', definition: 'http://hl7.org/fhir/SearchParameter/Library-version' },
+  status: { type: 'token', element: 'status', definition: 'http://hl7.org/fhir/SearchParameter/Library-status' }
+};
+
+/**
+ * Provenance search parameters supported by GET /Provenance
+ */
+const PROVENANCE_SEARCH_PARAMETERS = {
+  _id: { type: 'token', element: 'id', definition: 'http://hl7.org/fhir/SearchParameter/Resource-id' },
+  target: { type: 'reference', element: 'target', definition: 'http://hl7.org/fhir/SearchParameter/Provenance-target' }
+};
+
+// Modifiers accepted per search parameter type
+const MODIFIERS = {
+  string: ['exact', 'contains'],
+  token: ['not'],
+  uri: ['below', 'above'],
+  reference: []
+};
+
+// Provenance.signature.type of a signed commit (ASTM E1762)
+const AUTHOR_SIGNATURE = { system: 'urn:iso-astm:E1762-95:2013', code: '1.2.840.10065.1.12.1.1', display: "Author's Signature" };
+
+// Provenance.signature.sigFormat per commit signature format
+const SIGNATURE_FORMATS = {
+  gpg: 'application/pgp-signature',
+  ssh: 'application/x-ssh-signature',
+  x509: 'application/pkcs7-signature'
+};
+
+// Bundle types GET /lenses/_bundle can build
+const BUNDLE_TYPES = ['collection', 'transaction'];
+
+// Result parameters that are not filters and never make a search fail
+const RESULT_PARAMETERS = ['_format', '_pretty', '_summary', '_elements'];
+
+/**
+ * Create an error carrying an HTTP status code and an OperationOutcome issue code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} code - OperationOutcome issue code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function fhirError(statusCode, code, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.issueCode = code;
+  return error;
+}
+
+/**
+ * Build the OperationOutcome returned for an error
+ * @param {Error} error - Error, with statusCode/issueCode when raised by this service
+ * @returns {Object} OperationOutcome resource
+ */
+function errorOutcome(error) {
+  return toOperationOutcome([{
+    severity: 'error',
+    code: error.issueCode || 'exception',
+    diagnostics: error.message
+  }]);
+}
+
+/**
+ * Get the FHIR id of a lens
+ * Uses Library.id when present; otherwise derives one from the lens name,
+ * restricted to the characters and length FHIR allows for ids.
+ * @param {Object} lens - Lens entry from the catalogue
+ * @returns {string} Resource id
+ */
+function getLibraryId(lens) {
+  if (lens.lens && typeof lens.lens.id === 'string' && lens.lens.id) {
+    return lens.lens.id;
+  }
+  return String(lens.name).replace(/[^A-Za-z0-9\-.]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+/**
+ * Get the FHIR ids of a list of lenses, unique within the list
+ * The first lens keeps the id getLibraryId() gives it; later lenses whose id
+ * is taken (the same Library.id in two sources, or names such as "a b" and
+ * "a-b" that turn into the same id) get a suffix hashed from their source and
+ * name, so their ids stay the same from one request to the next.
+ * @param {Array} lenses - Lens entries from the catalogue, in priority order
+ * @returns {Map<Object, string>} Resource id per lens entry
+ */
+function getLibraryIds(lenses) {
+  const ids = new Map();
+  const taken = new Set();
+  for (const lens of lenses) {
+    let id = getLibraryId(lens);
+    if (taken.has(id)) {
+      const sourceId = lens.source ? lens.source.id : '';
+      const suffix = crypto.createHash('sha1').update(`${sourceId}/${lens.name}`).digest('hex').slice(0, 8);
+      id = `${id.slice(0, 55)}-${suffix}`;
+    }
+    taken.add(id);
+    ids.set(lens, id);
+  }
+  return ids;
+}
+
+/**
+ * Get the Library resource of a lens, with its id set
+ * @param {Object} lens - Lens entry from the catalogue
+ * @param {string} id - Resource id (defaults to getLibraryId(lens))
+ * @returns {Object} Library resource
+ */
+function toLibrary(lens, id = getLibraryId(lens)) {
+  // resourceType and id come first, as in FHIR JSON
+  return Object.assign({ resourceType: lens.lens.resourceType, id }, lens.lens, { id });
+}
+
+/**
+ * Normalize a string for FHIR string search (case and accent insensitive)
+ * @param {string} value
+ * @returns {string}
+ */
+function foldString(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Check whether an element value matches one search value
+ * @param {string} type - Search parameter type
+ * @param {string} modifier - Modifier (optional)
+ * @param {*} actual - Value of the element in the resource
+ * @param {string} expected - Value searched for
+ * @returns {boolean}
+ */
+function matchesValue(type, modifier, actual, expected) {
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  switch (type) {
+    case 'string':
+      if (modifier === 'exact') {
+        return String(actual) === expected;
+      }
+      if (modifier === 'contains') {
+        return foldString(actual).includes(foldString(expected));
+      }
+      return foldString(actual).startsWith(foldString(expected));
+    case 'reference':
+      // Library/<id>, a bare id or an absolute URL ending in Library/<id>
+      return [].concat(actual).some((target) => target && typeof target.reference === 'string' && (
+        target.reference === expected ||
+        target.reference.endsWith(`/${expected}`) ||
+        expected.endsWith(`/${target.reference}`)
+      ));
+    case 'uri':
+      if (modifier === 'below') {
+        return String(actual) === expected || String(actual).startsWith(`${expected.replace(/\/+$/, '')}/`);
+      }
+      if (modifier === 'above') {
+        return String(actual) === expected || expected.startsWith(`${String(actual).replace(/\/+$/, '')}/`);
+      }
+      return String(actual) === expected;
+    default:
+      return String(actual) === expected;
+  }
+}
+
+/**
+ * Parse the query of a search into filters
+ * Repeated parameters are combined with AND, comma separated values with OR.
+ * Unknown parameters are ignored, unless strict handling is requested.
+ * @param {Object} query - Express query object
+ * @param {boolean} strict - Reject unknown parameters (Prefer: handling=strict)
+ * @param {Object} parameters - Search parameters of the resource type (defaults to those of Library)
+ * @param {string} resourceType - Resource type searched (defaults to Library)
+ * @returns {Object} { filters: [{ name, modifier, param, values }], used: [[key, value]] }
+ */
+function parseSearch(query, strict, parameters = SEARCH_PARAMETERS, resourceType = 'Library') {
+  const filters = [];
+  const used = [];
+
+  for (const [key, rawValue] of Object.entries(query)) {
+    const [name, modifier] = key.split(':');
+    const param = parameters[name];
+
+    if (!param) {
+      if (strict && !RESULT_PARAMETERS.includes(name)) {
+        throw fhirError(400, 'not-supported', `Unknown search parameter '${key}' for ${resourceType}`);
+      }
+      continue;
+    }
+    if (modifier && !MODIFIERS[param.type].includes(modifier)) {
+      throw fhirError(400, 'not-supported', `Modifier ':${modifier}' is not supported for search parameter '${name}'`);
+    }
+
+    for (const value of [].concat(rawValue)) {
+      if (typeof value !== 'string' || value === '') {
+        throw fhirError(400, 'invalid', `Search parameter '${key}' needs a value`);
+      }
+      filters.push({ name, modifier, param, values: value.split(',') });
+      used.push([key, value]);
+    }
+  }
+
+  return { filters, used };
+}
+
+/**
+ * Check whether a resource matches all search filters
+ * @param {Object} resource - Library or Provenance resource
+ * @param {Array} filters - Filters from parseSearch
+ * @returns {boolean}
+ */
+function matchesFilters(resource, filters) {
+  return filters.every(({ modifier, param, values }) => {
+    const actual = resource[param.element];
+    if (modifier === 'not') {
+      return !values.some((value) => matchesValue(param.type, undefined, actual, value));
+    }
+    return values.some((value) => matchesValue(param.type, modifier, actual, value));
+  });
+}
+
+/**
+ * Read a Library by id
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {string} id - Resource id
+ * @returns {Promise<Object>} Library resource
+ */
+async function readLibrary(sourcesOrRepoUrl, id) {
+  const lenses = await getLenses(sourcesOrRepoUrl);
+  const ids = getLibraryIds(lenses);
+  const lens = lenses.find((l) => ids.get(l) === id);
+
+  if (!lens) {
+    throw fhirError(404, 'not-found', `Library/${id} is not known`);
+  }
+
+  return toLibrary(lens, id);
+}
+
+/**
+ * Search Libraries
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {Object} query - Search parameters (name, url, version, status, _id)
+ * @param {Object} options - { baseUrl, strict }
+ * @returns {Promise<Object>} searchset Bundle
+ */
+async function searchLibraries(sourcesOrRepoUrl, query, options = {}) {
+  const baseUrl = options.baseUrl || '';
+  const { filters, used } = parseSearch(query, options.strict);
+  const lenses = await getLenses(sourcesOrRepoUrl);
+  const ids = getLibraryIds(lenses);
+
+  const libraries = lenses.map((lens) => toLibrary(lens, ids.get(lens))).filter((library) => matchesFilters(library, filters));
+  const selfQuery = new URLSearchParams(used).toString();
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: libraries.length,
+    link: [{
+      relation: 'self',
+      url: `${baseUrl}/Library${selfQuery ? `?${selfQuery}` : ''}`
+    }],
+    entry: libraries.map((library) => ({
+      fullUrl: `${baseUrl}/Library/${library.id}`,
+      resource: library,
+      search: { mode: 'match' }
+    }))
+  };
+}
+
+/**
+ * Build the Provenance of a lens served from signed commits
+ * Names each commit that last changed a file of the lens (entity), who
+ * signed it (agent) and the commit signature itself, as git stores it
+ * (signature.data): the signature covers the commit, which holds the lens files.
+ * @param {Object} lens - Lens entry from the catalogue
+ * @param {string} id - Id of the lens Library, which the Provenance shares (defaults to getLibraryId(lens))
+ * @returns {Object|null} Provenance resource, or null when the lens was not checked for signed commits
+ */
+function toProvenance(lens, id = getLibraryId(lens)) {
+  const commits = lens.signedCommits;
+  if (!commits || commits.length === 0) {
+    return null;
+  }
+
+  const signerOf = (commit) => ({ identifier: { value: commit.fingerprint || commit.key }, display: commit.signer });
+  const signers = new Map(commits.map((commit) => [commit.fingerprint || commit.key, signerOf(commit)]));
+
+  return {
+    resourceType: 'Provenance',
+    id,
+    target: [{ reference: `Library/${id}` }],
+    recorded: new Date(Math.max(...commits.map((commit) => Date.parse(commit.date)))).toISOString(),
+    agent: Array.from(signers.values(), (who) => ({
+      type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type', code: 'author', display: 'Author' }] },
+      who
+    })),
+    entity: commits.map((commit) => ({
+      role: 'source',
+      what: {
+        identifier: { value: commit.sha },
+        display: `Commit ${commit.sha} of ${lens.source.url} (${commit.files.join(', ')})`
+      }
+    })),
+    signature: commits.map((commit) => ({
+      type: [AUTHOR_SIGNATURE],
+      when: commit.date,
+      who: signerOf(commit),
+      sigFormat: SIGNATURE_FORMATS[commit.format],
+      data: Buffer.from(commit.signature).toString('base64')
+    }))
+  };
+}
+
+/**
+ * Read the Provenance of a lens by id (the id of its Library)
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {string} id - Resource id
+ * @returns {Promise<Object>} Provenance resource
+ */
+async function readProvenance(sourcesOrRepoUrl, id) {
+  const lenses = await getLenses(sourcesOrRepoUrl);
+  const ids = getLibraryIds(lenses);
+  const lens = lenses.find((l) => ids.get(l) === id);
+  const provenance = lens && toProvenance(lens, id);
+
+  if (!provenance) {
+    throw fhirError(404, 'not-found', `Provenance/${id} is not known`);
+  }
+
+  return provenance;
+}
+
+/**
+ * Search the Provenance of lenses
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {Object} query - Search parameters (target, _id)
+ * @param {Object} options - { baseUrl, strict }
+ * @returns {Promise<Object>} searchset Bundle
+ */
+async function searchProvenance(sourcesOrRepoUrl, query, options = {}) {
+  const baseUrl = options.baseUrl || '';
+  const { filters, used } = parseSearch(query, options.strict, PROVENANCE_SEARCH_PARAMETERS, 'Provenance');
+  const lenses = await getLenses(sourcesOrRepoUrl);
+  const ids = getLibraryIds(lenses);
+
+  const provenances = lenses.map((lens) => toProvenance(lens, ids.get(lens))).filter((provenance) => provenance && matchesFilters(provenance, filters));
+  const selfQuery = new URLSearchParams(used).toString();
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: provenances.length,
+    link: [{
+      relation: 'self',
+      url: `${baseUrl}/Provenance${selfQuery ? `?${selfQuery}` : ''}`
+    }],
+    entry: provenances.map((provenance) => ({
+      fullUrl: `${baseUrl}/Provenance/${provenance.id}`,
+      resource: provenance,
+      search: { mode: 'match' }
+    }))
+  };
+}
+
+/**
+ * Build the request of a transaction entry: a conditional update on url and version
+ * Lenses without a url are updated by id instead.
+ * @param {Object} library - Library resource
+ * @returns {Object} Bundle.entry.request
+ */
+function toConditionalPut(library) {
+  if (!library.url) {
+    return { method: 'PUT', url: `Library/${library.id}` };
+  }
+  const query = new URLSearchParams({ url: library.url });
+  if (library.version) {
+    query.set('version', library.version);
+  }
+  return { method: 'PUT', url: `Library?${query.toString()}` };
+}
+
+/**
+ * Derive a stable urn:uuid fullUrl from a string
+ * @param {string} value
+ * @returns {string}
+ */
+function toUrnUuid(value) {
+  const hex = crypto.createHash('sha1').update(value).digest('hex');
+  // RFC 4122 name-based (version 5) layout
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Build the transaction entry of a lens: a conditional update of its Library
+ * The resource has no id when the update is conditional: the server matches
+ * it on url and version.
+ * @param {Object} lens - Lens entry from the catalogue
+ * @param {string} id - Resource id (defaults to getLibraryId(lens))
+ * @returns {Object} Bundle.entry { fullUrl, resource, request }
+ */
+function toTransactionEntry(lens, id) {
+  const library = toLibrary(lens, id);
+  const request = toConditionalPut(library);
+  if (library.url) {
+    delete library.id;
+  }
+  return { fullUrl: toUrnUuid(request.url), resource: library, request };
+}
+
+/**
+ * Export all lenses as one Bundle
+ * A collection lists the Libraries; a transaction has one conditional
+ * `PUT Library?url=...&version=...` per lens, so a FHIR server loads the whole
+ * catalogue from a single POST. Transaction resources have no id: the server
+ * matches them on url and version. Lenses repeating the url and version of an
+ * earlier one are left out of transactions, which may not repeat a conditional URL.
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {string} type - Bundle type: collection or transaction
+ * @param {Object} options - { baseUrl }
+ * @returns {Promise<Object>} Bundle resource
+ * @throws {Error} 400 error for other Bundle types
+ */
+async function getLensBundle(sourcesOrRepoUrl, type, options = {}) {
+  const { bundle } = await getLensBundleWithRevision(sourcesOrRepoUrl, type, options);
+  return bundle;
+}
+
+/**
+ * Export all lenses as one Bundle, with the revision it is built from
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {string} type - Bundle type: collection or transaction
+ * @param {Object} options - { baseUrl }
+ * @returns {Promise<Object>} { bundle, revision } (revision as from getCatalogueRevision)
+ * @throws {Error} 400 error for other Bundle types
+ */
+async function getLensBundleWithRevision(sourcesOrRepoUrl, type, options = {}) {
+  if (!BUNDLE_TYPES.includes(type)) {
+    throw fhirError(400, 'not-supported', `Bundle type '${type}' is not supported; use one of: ${BUNDLE_TYPES.join(', ')}`);
+  }
+
+  const baseUrl = options.baseUrl || '';
+  const catalogue = await getCatalogue(sourcesOrRepoUrl);
+  const { lenses } = catalogue;
+  const revision = getCatalogueRevision(catalogue);
+
+  // The newest source commit (or local change), so the Bundle only changes when a source does
+  const bundle = {
+    resourceType: 'Bundle',
+    type
+  };
+  if (revision.lastModified) {
+    bundle.timestamp = revision.lastModified;
+  }
+
+  const entries = [];
+  const conditionalUrls = new Map();
+  const ids = getLibraryIds(lenses);
+  for (const lens of lenses) {
+    if (type === 'collection') {
+      const library = toLibrary(lens, ids.get(lens));
+      entries.push({ fullUrl: `${baseUrl}/Library/${library.id}`, resource: library });
+      continue;
+    }
+
+    const entry = toTransactionEntry(lens, ids.get(lens));
+    if (conditionalUrls.has(entry.request.url)) {
+      console.warn(`Lens '${lens.name}' is left out of the transaction Bundle: lens '${conditionalUrls.get(entry.request.url)}' has the same ${entry.request.url}`);
+      continue;
+    }
+    conditionalUrls.set(entry.request.url, lens.name);
+    entries.push(entry);
+  }
+
+  bundle.entry = entries;
+  return { bundle, revision };
+}
+
+/**
+ * Build the CapabilityStatement of the service
+ * Provenance is only listed when a source requires signed commits, the only
+ * lenses that have one.
+ * @param {string} baseUrl - Base URL of the FHIR endpoints
+ * @param {Object} options - { signedCommits: whether a source requires signed commits }
+ * @returns {Object} CapabilityStatement resource
+ */
+function getCapabilityStatement(baseUrl, options = {}) {
+  const resources = [{
+    type: 'Library',
+    supportedProfile: [LENS_PROFILE],
+    interaction: [
+      { code: 'read' },
+      { code: 'search-type' }
+    ],
+    versioning: 'no-version',
+    readHistory: false,
+    updateCreate: false,
+    conditionalCreate: false,
+    conditionalUpdate: false,
+    conditionalDelete: 'not-supported',
+    searchParam: Object.entries(SEARCH_PARAMETERS).map(([name, param]) => ({
+      name,
+      definition: param.definition,
+      type: param.type
+    }))
+  }];
+  if (options.signedCommits) {
+    resources.push({
+      type: 'Provenance',
+      interaction: [
+        { code: 'read' },
+        { code: 'search-type' }
+      ],
+      versioning: 'no-version',
+      readHistory: false,
+      updateCreate: false,
+      conditionalCreate: false,
+      conditionalUpdate: false,
+      conditionalDelete: 'not-supported',
+      searchParam: Object.entries(PROVENANCE_SEARCH_PARAMETERS).map(([name, param]) => ({
+        name,
+        definition: param.definition,
+        type: param.type
+      }))
+    });
+  }
+
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    publisher: 'Gravitate Health',
+    kind: 'instance',
+    software: {
+      name: 'lens-selector-git',
+      version: SERVICE_VERSION
+    },
+    implementation: {
+      description: 'Gravitate Health Lens Selector: read-only FHIR access to lenses discovered from git repositories',
+      url: baseUrl
+    },
+    fhirVersion: FHIR_VERSION,
+    format: ['application/fhir+json', 'json', 'application/fhir+xml', 'xml'],
+    rest: [{
+      mode: 'server',
+      resource: resources
+    }]
+  };
+}
+
+module.exports = {
+  readLibrary,
+  searchLibraries,
+  toProvenance,
+  readProvenance,
+  searchProvenance,
+  getLensBundle,
+  getLensBundleWithRevision,
+  toTransactionEntry,
+  getCapabilityStatement,
+  getLibraryId,
+  getLibraryIds,
+  errorOutcome
+};
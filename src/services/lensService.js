@@ -1,87 +1,486 @@
+const fs = require('fs');
+const path = require('path');
 const { discoverLenses } = require('../utils/lensValidator');
-const { ensureRepo, getRepoLocalPath } = require('../utils/repoManager');
+const { ensureRepo, ensureRefWorktree, getCommitDate, getFileHistory, getHeadCommit, getRepoLocalPath } = require('../utils/repoManager');
+const { applyLensQuery, parseLensQuery } = require('../utils/lensQuery');
+const { getFolderModifiedAt, watchFolder } = require('../utils/localFolder');
+const { getCheckoutOptions, getDiscoveryOptions, getSignatureOptions, isLocalUrl, normalizeSources } = require('../utils/sourceConfig');
+const { prepareTrust, verifyFileCommits } = require('../utils/commitSignatures');
 
-// Cache to store lenses with TTL
+// Cache to store lenses with TTL, one entry per source
 const lensCache = new Map();
 
 // Get CACHE_TTL from environment, default to 5 minutes
 const CACHE_TTL = parseInt(process.env.CACHE_TTL_MINUTES || '5', 10) * 60 * 1000;
 
+// Maximum number of discovered refs (including commits of lens histories) kept in the cache
+const MAX_REF_ENTRIES = parseInt(process.env.REF_CACHE_LIMIT || '50', 10);
+
+// Cache keys of discovered refs, oldest first
+const refCacheKeys = new Set();
+
+// Discoveries in progress per cache key, shared by concurrent callers
+const pendingDiscoveries = new Map();
+
+// Bumped by clearCache, so discoveries started before never fill the cache
+let cacheGeneration = 0;
+
+// Folder watchers of local sources, per cache key
+const folderWatchers = new Map();
+
+// Delay before a change in a local folder is discovered, so a burst of saves gives one discovery
+const WATCH_DEBOUNCE_MS = parseInt(process.env.LENS_WATCH_DEBOUNCE_MS || '300', 10);
+
 /**
- * Get all valid lenses from repository
- * Pulls latest version on each invocation
- * @param {string} repoUrl - Git repository URL (from env)
- * @param {string} branch - Branch/tag (from env, optional)
- * @param {string} lensFilePath - Path to lens file (from env, optional)
- * @returns {Promise<Array>} Array of valid lenses
+ * Get the cache key of a source
+ * @param {Object} source - Normalized source
+ * @returns {string} Cache key
  */
-async function getLenses(repoUrl, branch, lensFilePath) {
-  if (!repoUrl) {
-    throw new Error('GIT_REPO_URL environment variable is required');
-  }
+function getCacheKey(source) {
+  return `${source.url}:${source.branch}:${source.path}${source.ref ? `@${source.ref}` : ''}`;
+}
 
-  const cacheKey = `${repoUrl}:${branch}:${lensFilePath}`;
+/**
+ * Get the lenses of a single source, from the cache when possible
+ * Stale-while-revalidate: once an entry is older than CACHE_TTL it is still
+ * returned right away, and the source is refreshed in the background. Only a
+ * source that has never been discovered makes the caller wait.
+ * @param {Object} source - Normalized source ({ id, url, branch, path, ref? })
+ * @returns {Promise<Object>} { lenses, report, timestamp }
+ */
+async function discoverSourceLenses(source) {
+  const cached = lensCache.get(getCacheKey(source));
 
-  // Check cache
-  if (lensCache.has(cacheKey)) {
-    const cached = lensCache.get(cacheKey);
+  if (cached) {
     if (Date.now() - cached.timestamp < CACHE_TTL) {
-      console.log('Returning cached lenses');
-      return cached.lenses;
+      console.log(`Returning cached lenses for source ${source.id}`);
     } else {
-      lensCache.delete(cacheKey);
+      console.log(`Returning stale lenses for source ${source.id}, refreshing in the background`);
+      loadSourceLenses(source).catch((error) => {
+        console.error(`Background refresh of source ${source.id} failed, keeping the last good lenses:`, error.message);
+      });
     }
+    return cached;
   }
 
-  console.log(`Discovering lenses from ${repoUrl}`);
+  return loadSourceLenses(source);
+}
 
-  try {
-    // Step 1: Ensure repository is cloned/updated
-    const localPath = getRepoLocalPath(repoUrl);
-    await ensureRepo(repoUrl, branch, localPath);
-    
-    // Step 2: try given path first
-    lenses = [];
-    if (lensFilePath) {
-      // If specific path is provided, use it
-      const fullPath = path.join(localPath, lensFilePath);
-      if (fs.existsSync(fullPath)) {
-        lenses = [fullPath];
-      } else {
-        console.warn(`Specified lens file not found: ${lensFilePath}, autodetecting lenses instead.`);
+/**
+ * Discover a source and cache the result
+ * Callers asking for the same source while a discovery runs share it. With
+ * `force`, a discovery that is already running is waited for and a new one
+ * started, so the result reflects the repository as it is now. The cache
+ * entry is only replaced on success, so failures keep the last good lenses.
+ * @param {Object} source - Normalized source
+ * @param {Object} options - { force } (optional)
+ * @returns {Promise<Object>} { lenses, report, timestamp }
+ */
+function loadSourceLenses(source, options = {}) {
+  const cacheKey = getCacheKey(source);
+  const running = pendingDiscoveries.get(cacheKey);
+
+  if (running && !options.force) {
+    return running;
+  }
+
+  const generation = cacheGeneration;
+  const pending = (running ? running.catch(() => {}) : Promise.resolve())
+    .then(async () => {
+      // The checkout is held until its lenses are cached: a clone is not updated
+      // in between and a ref worktree is not evicted
+      return withCheckout(source, async (checkout) => {
+        const entry = await scanSource(source, checkout);
+        if (generation === cacheGeneration) {
+          cacheEntry(cacheKey, entry, !!source.ref);
+        }
+        return entry;
+      });
+    })
+    .finally(() => {
+      if (pendingDiscoveries.get(cacheKey) === pending) {
+        pendingDiscoveries.delete(cacheKey);
       }
+    });
+  pendingDiscoveries.set(cacheKey, pending);
+
+  return pending;
+}
+
+/**
+ * Store a discovery in the cache
+ * Discovered refs are kept apart from the configured branches: beyond
+ * REF_CACHE_LIMIT, the oldest ref discovered is dropped.
+ * @param {string} cacheKey - Cache key of the source
+ * @param {Object} entry - Discovery from scanSource
+ * @param {boolean} isRef - True when the source points at a ref
+ */
+function cacheEntry(cacheKey, entry, isRef) {
+  lensCache.delete(cacheKey);
+  lensCache.set(cacheKey, entry);
+  if (!isRef) {
+    return;
+  }
+  refCacheKeys.delete(cacheKey);
+  refCacheKeys.add(cacheKey);
+  for (const oldest of refCacheKeys) {
+    if (refCacheKeys.size <= MAX_REF_ENTRIES) {
+      break;
+    }
+    refCacheKeys.delete(oldest);
+    lensCache.delete(oldest);
+  }
+}
+
+/**
+ * Drop the discoveries of a ref worktree that is about to be removed
+ * Their lenses point at files of the worktree (repoPath, enhancedWithJs), so
+ * they are discovered again, in a new worktree, when next asked for.
+ * @param {string} worktreePath - Path of the worktree
+ */
+function dropWorktreeEntries(worktreePath) {
+  for (const [cacheKey, entry] of lensCache) {
+    if (entry.localPath === worktreePath) {
+      lensCache.delete(cacheKey);
+      refCacheKeys.delete(cacheKey);
     }
+  }
+}
+
+/**
+ * Check a source out and read it
+ * Clones/updates the repository, or checks the requested ref out into its own
+ * worktree, leaving the deployed branch untouched. Local folders are used as
+ * they are. A clone stays locked while `fn` runs, so a webhook refresh, the
+ * sync loop or another source of the same repository cannot pull between the
+ * HEAD read here and the scan; a ref worktree is held so it is not evicted.
+ * @param {Object} source - Normalized source
+ * @param {Function} fn - Async function called with { localPath, commit? }, commit being the checked out commit
+ * @returns {Promise<*>} Result of fn
+ */
+async function withCheckout(source, fn) {
+  if (source.localPath) {
+    if (source.ref) {
+      const error = new Error(`Source ${source.id} is a local folder and has no git refs`);
+      error.statusCode = 400;
+      error.ref = source.ref;
+      throw error;
+    }
+    if (!fs.existsSync(source.localPath) || !fs.statSync(source.localPath).isDirectory()) {
+      throw new Error(`Local folder of source ${source.id} not found: ${source.localPath}`);
+    }
+    return fn({ localPath: source.localPath });
+  }
 
-    // Step 3: EOC Auto Discover lenses
-    if (lenses.length === 0) {
-      lenses = await discoverLenses(localPath);
+  const clonePath = getRepoLocalPath(source.url, undefined, source.branch);
+  if (source.ref) {
+    const options = { ...getCheckoutOptions(source), onEvict: dropWorktreeEntries };
+    const worktree = await ensureRefWorktree(source.url, source.branch, clonePath, source.ref, options).catch((error) => {
+      if (error.ref) {
+        error.message = `${error.message} in source ${source.id}`;
+      }
+      throw error;
+    });
+    try {
+      return await fn({ localPath: worktree.path, commit: worktree.commit });
+    } finally {
+      worktree.release();
     }
+  }
 
-    // Cache the result
-    lensCache.set(cacheKey, {
-      lenses,
-      timestamp: Date.now()
+  return ensureRepo(source.url, source.branch, clonePath, getCheckoutOptions(source), async () =>
+    fn({ localPath: clonePath, commit: await getHeadCommit(clonePath) }));
+}
+
+/**
+ * Watch the folder of a local source, discovering it again when a lens file changes
+ * @param {Object} source - Normalized source with `localPath`
+ */
+function watchLocalSource(source) {
+  const cacheKey = getCacheKey(source);
+  if (folderWatchers.has(cacheKey)) {
+    return;
+  }
+
+  const watcher = watchFolder(source.localPath, (files) => {
+    console.log(`Lens files changed in source ${source.id} (${files.join(', ')}), discovering again`);
+    loadSourceLenses(source, { force: true }).catch((error) => {
+      console.error(`Discovery of source ${source.id} after a change failed, keeping the last good lenses:`, error.message);
     });
+  }, { debounceMs: WATCH_DEBOUNCE_MS });
+  folderWatchers.set(cacheKey, watcher);
+}
+
+/**
+ * Keep the lenses whose files were last changed by commits signed with a trusted key
+ * The lens JSON, its enhance script, the files bundled into it and the
+ * lens-manifest.json files that could map its script are checked. Lenses failing the check are not served and their report entry
+ * becomes a rejection (reason 'unsigned-commit'); served lenses keep their
+ * signed commits (signedCommits) for their Provenance. Local folders have no
+ * commits, so none of their lenses pass.
+ * @param {Object} source - Normalized source
+ * @param {Array} lenses - Lenses discovered in the source
+ * @param {Array} files - Report entries, with paths relative to the checkout
+ * @param {string} localPath - Checkout of the source
+ * @param {Object} options - Trusted keys from getSignatureOptions
+ * @returns {Promise<Array>} The lenses that pass
+ */
+async function verifyLensSignatures(source, lenses, files, localPath, options) {
+  const trust = source.localPath ? null : await prepareTrust(options);
+  const checked = new Map();
+  const verified = [];
+
+  for (const lens of lenses) {
+    const lensFiles = [lens.path, lens.enhancedWithJs, ...(lens.enhanceImports || []), ...(lens.enhanceManifests || [])]
+      .filter(Boolean)
+      .map((file) => path.relative(localPath, file));
+    const result = trust
+      ? await verifyFileCommits(localPath, lensFiles, trust, checked)
+      : { commits: [], errors: ['Local folders have no commits, so no signature to check'] };
+    const entry = files.find((file) => file.path === lensFiles[0]);
+
+    if (result.errors.length > 0) {
+      console.warn(`Lens '${lens.name}' of source ${source.id} is not served: ${result.errors.join('; ')}`);
+      if (entry) {
+        Object.assign(entry, { status: 'rejected', reason: 'unsigned-commit', errors: result.errors });
+      }
+      continue;
+    }
+
+    lens.signedCommits = result.commits;
+    if (entry) {
+      entry.signedBy = Array.from(new Set(result.commits.map((commit) => commit.signer)));
+    }
+    verified.push(lens);
+  }
+
+  return verified;
+}
+
+/**
+ * Scan a single source for lenses
+ * Scans either the whole checkout, the configured sub-folder, or the folder
+ * of the configured lens file. Local folders are watched from their first
+ * scan on.
+ * @param {Object} source - Normalized source ({ id, url, branch, path, localPath?, ref? })
+ * @param {Object} checkout - Where the source is checked out, from withCheckout
+ * @returns {Promise<Object>} { lenses, report, timestamp, localPath } where lenses are tagged
+ *   with their source, report describes the commit (or, for local folders,
+ *   the last modification) and every file scanned, and localPath is the checkout scanned
+ */
+async function scanSource(source, checkout) {
+  console.log(`Discovering lenses from ${source.url} (source ${source.id}${source.ref ? `, ref ${source.ref}` : ''})`);
+
+  // Step 1: The repository is cloned/updated, the requested ref checked out, or the local folder found (see withCheckout)
+  const { localPath, commit } = checkout;
+
+  // Step 2: Narrow discovery to the configured path, if any
+  let discoveryRoot = localPath;
+  let lensFile = null;
+  if (source.path) {
+    const fullPath = path.resolve(localPath, source.path);
+    const relativePath = path.relative(localPath, fullPath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      console.warn(`Lens path ${source.path} points outside the repository of source ${source.id}, autodetecting lenses instead.`);
+    } else if (!fs.existsSync(fullPath)) {
+      console.warn(`Specified lens path not found in source ${source.id}: ${source.path}, autodetecting lenses instead.`);
+    } else if (fs.statSync(fullPath).isDirectory()) {
+      discoveryRoot = fullPath;
+    } else {
+      discoveryRoot = path.dirname(fullPath);
+      lensFile = fullPath;
+    }
+  }
+
+  // Step 3: Auto discover lenses, recording the outcome for every file scanned
+  let files = [];
+  let lenses = await discoverLenses(discoveryRoot, {
+    ...getDiscoveryOptions(source),
+    baseDir: localPath,
+    onFile: (entry) => files.push({ ...entry, path: path.relative(localPath, entry.path) })
+  });
+  if (lensFile) {
+    lenses = lenses.filter((l) => l.path === lensFile);
+    files = files.filter((f) => f.path === path.relative(localPath, lensFile));
+  }
+  for (const file of files) {
+    if (file.enhancedWithJs) {
+      file.enhancedWithJs = path.relative(localPath, file.enhancedWithJs);
+    }
+    if (file.enhanceImports) {
+      file.enhanceImports = file.enhanceImports.map((imported) => path.relative(localPath, imported));
+    }
+  }
+
+  // Step 4: When signed commits are required, serve only lenses whose files were last changed by one
+  const signatureOptions = getSignatureOptions(source);
+  if (signatureOptions) {
+    lenses = await verifyLensSignatures(source, lenses, files, localPath, signatureOptions);
+  }
+
+  for (const lens of lenses) {
+    lens.source = {
+      id: source.id,
+      url: source.url,
+      branch: source.branch
+    };
+    if (source.ref) {
+      lens.source.ref = source.ref;
+    }
+    // Checkout the lens was discovered in, for history lookups
+    lens.repoPath = localPath;
+  }
+
+  const report = {
+    source: {
+      id: source.id,
+      url: source.url,
+      branch: source.branch,
+      path: source.path,
+      ref: source.ref
+    }
+  };
+  if (source.localPath) {
+    // Local folders have no commits; the newest file change stands in
+    report.commit = null;
+    report.modifiedAt = getFolderModifiedAt(discoveryRoot);
+    watchLocalSource(source);
+  } else {
+    report.commit = commit;
+    report.committedAt = await getCommitDate(localPath, commit);
+  }
+  report.scannedAt = new Date().toISOString();
+  report.files = files;
+
+  return {
+    lenses,
+    report,
+    timestamp: Date.now(),
+    localPath
+  };
+}
+
+/**
+ * Merge the lenses of several sources into one catalogue
+ * Conflict rule: when more than one lens has the same name, the one from the
+ * source listed first wins (and, within one source, the first discovered file).
+ * The others are reported as conflicts and not served.
+ * @param {Array<Array>} lensesPerSource - Lenses of each source, in priority order
+ * @returns {Object} { lenses, conflicts }
+ */
+function mergeLenses(lensesPerSource) {
+  const byName = new Map();
+  const conflicts = [];
+
+  for (const sourceLenses of lensesPerSource) {
+    for (const lens of sourceLenses) {
+      const winner = byName.get(lens.name);
+      if (winner) {
+        console.warn(`Lens '${lens.name}' from source ${lens.source && lens.source.id} (${lens.path}) is shadowed by source ${winner.source && winner.source.id} (${winner.path})`);
+        conflicts.push({
+          name: lens.name,
+          servedFrom: winner.source,
+          servedPath: winner.path,
+          ignoredFrom: lens.source,
+          ignoredPath: lens.path
+        });
+      } else {
+        byName.set(lens.name, lens);
+      }
+    }
+  }
+
+  return {
+    lenses: Array.from(byName.values()),
+    conflicts
+  };
+}
 
-    return lenses;
+/**
+ * Get the merged lens catalogue of all sources
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL
+ * @param {string} branch - Branch/tag (legacy single-source form, optional)
+ * @param {string} lensFilePath - Path to lens file (legacy single-source form, optional)
+ * @returns {Promise<Object>} { lenses, conflicts, sources, reports }
+ */
+async function getCatalogue(sourcesOrRepoUrl, branch, lensFilePath) {
+  const sources = normalizeSources(sourcesOrRepoUrl, branch, lensFilePath);
+
+  try {
+    const lensesPerSource = [];
+    const reports = [];
+    for (const source of sources) {
+      const discovered = await discoverSourceLenses(source);
+      lensesPerSource.push(discovered.lenses);
+      reports.push(discovered.report);
+    }
+
+    const { lenses, conflicts } = mergeLenses(lensesPerSource);
+    return { lenses, conflicts, sources, reports };
   } catch (error) {
     console.error('Error discovering lenses:', error);
     throw error;
   }
 }
 
+/**
+ * Get all valid lenses from the configured sources
+ * Pulls latest version of each source once its cache entry expires
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {string} branch - Branch/tag (from env, optional)
+ * @param {string} lensFilePath - Path to lens file (from env, optional)
+ * @returns {Promise<Array>} Array of valid lenses
+ */
+async function getLenses(sourcesOrRepoUrl, branch, lensFilePath) {
+  const { lenses } = await getCatalogue(sourcesOrRepoUrl, branch, lensFilePath);
+  return lenses;
+}
+
+/**
+ * Get the discovery report of all sources
+ * Lists every file scanned with its outcome (accepted, enhanced or rejected
+ * with validation errors), the commit scanned, and lenses shadowed by
+ * another source.
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {string} branch - Branch/tag (from env, optional)
+ * @param {string} lensFilePath - Path to lens file (from env, optional)
+ * @returns {Promise<Object>} { sources: [{ source, commit, scannedAt, files }], conflicts }
+ */
+async function getDiscoveryReport(sourcesOrRepoUrl, branch, lensFilePath) {
+  const { reports, conflicts } = await getCatalogue(sourcesOrRepoUrl, branch, lensFilePath);
+
+  return {
+    sources: reports,
+    conflicts: conflicts.map((conflict) => ({
+      name: conflict.name,
+      servedFrom: conflict.servedFrom,
+      ignoredFrom: conflict.ignoredFrom
+    }))
+  };
+}
+
 /**
  * Get a specific lens by name
- * @param {string} repoUrl - Git repository URL (from env)
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
  * @param {string} branch - Branch/tag (from env, optional)
  * @param {string} lensFilePath - Path to lens file (from env, optional)
  * @param {string} lensName - Name of the lens to retrieve
  * @returns {Promise<Object>} The lens object
  */
-async function getLensByName(repoUrl, branch, lensFilePath, lensName) {
-  const lenses = await getLenses(repoUrl, branch, lensFilePath);
+async function getLensByName(sourcesOrRepoUrl, branch, lensFilePath, lensName) {
+  const lens = findCatalogueLens(await getCatalogue(sourcesOrRepoUrl, branch, lensFilePath), lensName);
+
+  return lens.lens;
+}
 
-  const lens = lenses.find((l) => l.name === lensName );
+/**
+ * Find a lens of the catalogue by name
+ * @param {Object} catalogue - Catalogue from getCatalogue
+ * @param {string} lensName - Name of the lens
+ * @returns {Object} The lens entry (with source, path and repoPath)
+ */
+function findCatalogueLens(catalogue, lensName) {
+  const lens = catalogue.lenses.find((l) => l.name === lensName);
 
   if (!lens) {
     const error = new Error(`Lens '${lensName}' not found`);
@@ -89,31 +488,227 @@ async function getLensByName(repoUrl, branch, lensFilePath, lensName) {
     throw error;
   }
 
-  return lens.lens;
+  return lens;
+}
+
+/**
+ * Get the commit history of a lens
+ * Lists the commits that touched the lens JSON, the enhance script it was
+ * built from (enhancedWithJs) or a file bundled into it (enhanceImports),
+ * newest first, following renames.
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {string} branch - Branch/tag (from env, optional)
+ * @param {string} lensFilePath - Path to lens file (from env, optional)
+ * @param {string} lensName - Name of the lens
+ * @returns {Promise<Object>} {
+ *   name, source, files: { lens, script?, imports? },
+ *   commits: [{ sha, author: { name, email }, date, message, files: [{ path, role: 'lens'|'script'|'import' }] }]
+ * }
+ */
+async function getLensHistory(sourcesOrRepoUrl, branch, lensFilePath, lensName) {
+  const lens = findCatalogueLens(await getCatalogue(sourcesOrRepoUrl, branch, lensFilePath), lensName);
+
+  const files = { lens: path.relative(lens.repoPath, lens.path) };
+  if (lens.enhancedWithJs) {
+    files.script = path.relative(lens.repoPath, lens.enhancedWithJs);
+  }
+  if (lens.enhanceImports) {
+    files.imports = lens.enhanceImports.map((imported) => path.relative(lens.repoPath, imported));
+  }
+
+  // Lenses of local folders have no git history
+  const roleOf = new Map([
+    [files.lens, 'lens'],
+    [files.script, 'script'],
+    ...(files.imports || []).map((imported) => [imported, 'import'])
+  ]);
+  roleOf.delete(undefined);
+  const history = isLocalUrl(lens.source.url) ? [] : await getFileHistory(lens.repoPath, Array.from(roleOf.keys()));
+  const commits = history.map((entry) => ({
+    sha: entry.sha,
+    author: entry.author,
+    date: entry.date,
+    message: entry.message,
+    files: entry.files.map((f) => ({ path: f.path, role: roleOf.get(f.file) }))
+  }));
+
+  return {
+    name: lens.name,
+    source: lens.source,
+    files,
+    commits
+  };
+}
+
+/**
+ * Get a lens as it was served at one of the commits of its history
+ * The commit is checked out into its own worktree and discovered like any
+ * other ref, so the lens is enhanced with the script of that commit.
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {string} branch - Branch/tag (from env, optional)
+ * @param {string} lensFilePath - Path to lens file (from env, optional)
+ * @param {string} lensName - Name of the lens
+ * @param {string} commit - Full or abbreviated SHA listed in the lens history
+ * @returns {Promise<Object>} The lens object at that commit
+ */
+async function getLensAtCommit(sourcesOrRepoUrl, branch, lensFilePath, lensName, commit) {
+  const history = await getLensHistory(sourcesOrRepoUrl, branch, lensFilePath, lensName);
+
+  const entry = typeof commit === 'string' && /^[0-9a-f]{7,40}$/i.test(commit)
+    ? history.commits.find((c) => c.sha.startsWith(commit.toLowerCase()))
+    : undefined;
+  if (!entry) {
+    const error = new Error(`Commit '${commit}' is not in the history of lens '${lensName}'`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const source = normalizeSources(sourcesOrRepoUrl, branch, lensFilePath).find((s) => s.id === history.source.id);
+  const discovered = await discoverSourceLenses({ ...source, ref: entry.sha });
+
+  // The lens file may have been renamed since, so look for it under its path at that commit
+  const lensPaths = entry.files.filter((f) => f.role === 'lens').map((f) => f.path).concat(history.files.lens);
+  const matches = (filePath, name) => lensPaths.includes(filePath) || name === lensName;
+
+  const lens = discovered.lenses.find((l) => matches(path.relative(l.repoPath, l.path), l.name));
+  if (lens) {
+    return lens.lens;
+  }
+
+  const file = discovered.report.files.find((f) => matches(f.path, f.name));
+  const error = new Error(file
+    ? `Lens '${lensName}' was not valid at commit ${entry.sha}: ${(file.errors || []).join('; ')}`
+    : `Lens '${lensName}' not found at commit ${entry.sha}`);
+  error.statusCode = file ? 422 : 404;
+  throw error;
+}
+
+/**
+ * Get the revision a catalogue was discovered at, for HTTP cache validators
+ * Validators must come from the catalogue that built the response: a second
+ * getCatalogue call may see a background refresh and another scan.
+ * @param {Object} catalogue - Catalogue from getCatalogue
+ * @param {string} lensName - Lens to get the revision of (optional; all sources when omitted)
+ * @returns {Object} { commits: [sha], lastModified: ISO date of the newest commit or local change, or null }
+ * @throws {Error} 404 error when the lens is not found
+ */
+function getCatalogueRevision(catalogue, lensName) {
+  let reports = catalogue.reports;
+  if (lensName !== undefined) {
+    const lens = findCatalogueLens(catalogue, lensName);
+    reports = reports.filter((report) => lens.source && report.source.id === lens.source.id);
+  }
+
+  const times = reports.map((report) => Date.parse(report.committedAt || report.modifiedAt)).filter((time) => !Number.isNaN(time));
+  return {
+    commits: reports.map((report) => report.commit),
+    lastModified: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null
+  };
+}
+
+/**
+ * Get a lens by name with the revision it is served from
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {string} lensName - Name of the lens to retrieve
+ * @returns {Promise<Object>} { lens, revision } (revision as from getCatalogueRevision)
+ * @throws {Error} 404 error when the lens is not found
+ */
+async function getLensWithRevision(sourcesOrRepoUrl, lensName) {
+  const catalogue = await getCatalogue(sourcesOrRepoUrl);
+  return {
+    lens: findCatalogueLens(catalogue, lensName).lens,
+    revision: getCatalogueRevision(catalogue, lensName)
+  };
+}
+
+/**
+ * Get the body of GET /lenses with the revision it is built from
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {Object} query - Query parameters to search with (optional; all lens names when omitted)
+ * @returns {Promise<Object>} { body: { lenses } or the searchLenses result, revision }
+ * @throws {Error} 400 error when the query is invalid
+ */
+async function getLensListing(sourcesOrRepoUrl, query) {
+  // Validate before discovery, so a bad query never triggers a clone
+  const parsed = query ? parseLensQuery(query) : null;
+  const catalogue = await getCatalogue(sourcesOrRepoUrl);
+  return {
+    body: parsed ? applyLensQuery(catalogue.lenses, parsed) : { lenses: catalogue.lenses.map((l) => l.name) },
+    revision: getCatalogueRevision(catalogue)
+  };
 }
 
 /**
  * Get list of all lens names/IDs
- * @param {string} repoUrl - Git repository URL (from env)
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
  * @param {string} branch - Branch/tag (from env, optional)
  * @param {string} lensFilePath - Path to lens file (from env, optional)
  * @returns {Promise<Array>} Array of lens IDs
  */
-async function getLensNames(repoUrl, branch, lensFilePath) {
-  const lenses = await getLenses(repoUrl, branch, lensFilePath);
+async function getLensNames(sourcesOrRepoUrl, branch, lensFilePath) {
+  const lenses = await getLenses(sourcesOrRepoUrl, branch, lensFilePath);
   return lenses.map((l) => l.name);
 }
 
+/**
+ * Search the lens catalogue
+ * Filters on status, version, publisher, jurisdiction and free text (q) over
+ * title, description and purpose; sorts, paginates, and returns names or,
+ * with detail=summary, lens metadata without the content payload.
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (from env)
+ * @param {Object} query - Query parameters of GET /lenses
+ * @returns {Promise<Object>} { lenses, total, offset, limit? }
+ * @throws {Error} 400 error when the query is invalid
+ */
+async function searchLenses(sourcesOrRepoUrl, query) {
+  const { body } = await getLensListing(sourcesOrRepoUrl, query);
+  return body;
+}
+
+/**
+ * Pull and re-discover sources right away
+ * The next requests are served the freshly discovered lenses without waiting
+ * for CACHE_TTL_MINUTES; if a source fails, its last good lenses stay cached.
+ * @param {Array} sources - Normalized sources to refresh
+ * @returns {Promise<Array>} Discovery reports of the refreshed sources
+ */
+async function refreshSources(sources) {
+  const reports = [];
+  for (const source of sources) {
+    const discovered = await loadSourceLenses(source, { force: true });
+    reports.push(discovered.report);
+  }
+  return reports;
+}
+
 /**
  * Clear the lens cache
+ * Also stops watching local folders; they are watched again when next discovered.
  */
 function clearCache() {
+  for (const watcher of folderWatchers.values()) {
+    watcher.close();
+  }
+  folderWatchers.clear();
   lensCache.clear();
+  refCacheKeys.clear();
+  pendingDiscoveries.clear();
+  cacheGeneration++;
 }
 
 module.exports = {
   getLenses,
+  getCatalogue,
+  getDiscoveryReport,
+  mergeLenses,
   getLensByName,
+  getLensHistory,
+  getLensAtCommit,
   getLensNames,
+  getLensListing,
+  getLensWithRevision,
+  getCatalogueRevision,
+  searchLenses,
+  refreshSources,
   clearCache
 };
@@ -0,0 +1,136 @@
+const { runEnhance } = require('../utils/lensSandbox');
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error}
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Find the Composition of an ePI Bundle
+ * @param {Object} epi - ePI Bundle
+ * @returns {Object|undefined} Composition resource
+ */
+function findComposition(epi) {
+  const entry = (epi.entry || []).find((e) => e && e.resource && e.resource.resourceType === 'Composition');
+  return entry && entry.resource;
+}
+
+/**
+ * Extract the leaflet HTML of an ePI: the text of every leaf section of its
+ * Composition, in document order
+ * @param {Object} epi - ePI Bundle
+ * @returns {string} Leaflet HTML
+ */
+function extractLeafletHtml(epi) {
+  const composition = findComposition(epi);
+  if (!composition) {
+    return '';
+  }
+
+  const parts = [];
+  const visit = (sections) => {
+    for (const section of sections || []) {
+      if (Array.isArray(section.section) && section.section.length > 0) {
+        visit(section.section);
+      } else if (section.text && typeof section.text.div === 'string') {
+        parts.push(section.text.div);
+      }
+    }
+  };
+  visit(composition.section);
+  return parts.join('');
+}
+
+/**
+ * Write focused leaflet HTML back into a copy of the ePI
+ * The Composition keeps its first top-level section (title, code), whose
+ * text becomes the focused HTML and whose sub-sections are dropped.
+ * @param {Object} epi - ePI Bundle
+ * @param {string} html - Focused leaflet HTML
+ * @returns {Object} Focused ePI Bundle
+ */
+function applyLeafletHtml(epi, html) {
+  const focused = JSON.parse(JSON.stringify(epi));
+  const composition = findComposition(focused);
+  if (!composition) {
+    return focused;
+  }
+
+  const [first = {}] = composition.section || [];
+  const { section, text, ...sectionInfo } = first;
+  composition.section = [{
+    ...sectionInfo,
+    text: { status: 'additional', div: html }
+  }];
+  return focused;
+}
+
+/**
+ * Run a lens's enhance function on a sample ePI in the sandbox
+ * @param {Object} lens - Lens (FHIR Library) as served by getLensByName
+ * @param {Object} body - { epi: Bundle, ips: Bundle, pv?: Object, html?: string }
+ * @returns {Promise<Object>} { epi, html?, logs, errors, durationMs }
+ */
+async function previewLens(lens, body) {
+  const { epi, ips, pv, html } = body || {};
+
+  if (!epi || epi.resourceType !== 'Bundle') {
+    throw httpError('Request body must contain an "epi" Bundle', 400);
+  }
+  if (!ips || ips.resourceType !== 'Bundle') {
+    throw httpError('Request body must contain an "ips" Bundle', 400);
+  }
+  if (html !== undefined && typeof html !== 'string') {
+    throw httpError('"html" must be a string', 400);
+  }
+
+  const attachment = (lens.content || []).find((c) => c && typeof c.data === 'string' && c.data.length > 0);
+  if (!attachment) {
+    throw httpError(`Lens '${lens.name}' has no enhance script`, 422);
+  }
+  const code = Buffer.from(attachment.data, 'base64').toString('utf8');
+
+  const run = await runEnhance(code, {
+    epi,
+    ips,
+    pv: pv || {},
+    html: html !== undefined ? html : extractLeafletHtml(epi)
+  });
+
+  const preview = {
+    epi: null,
+    logs: run.logs,
+    errors: run.errors,
+    durationMs: run.durationMs
+  };
+
+  if (run.errors.length === 0) {
+    if (typeof run.result === 'string') {
+      // Focusing-engine style lenses return the focused leaflet HTML
+      preview.html = run.result;
+      preview.epi = applyLeafletHtml(epi, run.result);
+    } else if (run.result && run.result.resourceType === 'Bundle') {
+      preview.epi = run.result;
+    } else {
+      preview.errors.push({
+        name: 'TypeError',
+        message: `enhance must return the focused HTML or an ePI Bundle, got ${run.result === null ? 'null' : typeof run.result}`
+      });
+    }
+  }
+
+  return preview;
+}
+
+module.exports = {
+  previewLens,
+  extractLeafletHtml,
+  applyLeafletHtml
+};
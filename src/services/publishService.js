@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getCatalogue } = require('./lensService');
+const { getLibraryIds, toTransactionEntry } = require('./fhirService');
+const { addSecret } = require('../utils/redact');
+const { getSources } = require('../utils/sourceConfig');
+
+// HTTP statuses worth retrying: timeouts, rate limiting and server errors
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Hash of the last Library published per target and conditional URL. Kept in
+// memory only: after a restart every Library is put once more.
+const publishedHashes = new Map();
+
+let runningPublish = null;
+// Publish to run once the running one is done, shared by the calls made meanwhile
+let queuedPublish = null;
+let queuedSources;
+let lastPublish = null;
+
+/**
+ * Get the publishing configuration from the environment
+ * @returns {Object} { target, token, retries, backoffMs, timeoutMs }; target is null when publishing is off
+ */
+function getPublishConfig() {
+  addSecret(process.env.FHIR_PUBLISH_TOKEN);
+  return {
+    target: process.env.FHIR_PUBLISH_URL ? process.env.FHIR_PUBLISH_URL.replace(/\/+$/, '') : null,
+    token: process.env.FHIR_PUBLISH_TOKEN || null,
+    retries: parseInt(process.env.FHIR_PUBLISH_RETRIES || '3', 10),
+    backoffMs: parseInt(process.env.FHIR_PUBLISH_BACKOFF_MS || '1000', 10),
+    timeoutMs: parseInt(process.env.FHIR_PUBLISH_TIMEOUT_MS || '10000', 10)
+  };
+}
+
+/**
+ * Check whether a downstream FHIR server is configured
+ * @returns {boolean}
+ */
+function isPublishEnabled() {
+  return Boolean(getPublishConfig().target);
+}
+
+/**
+ * Show a target URL without the credentials it may embed
+ * @param {string} target - Base URL of the FHIR server
+ * @returns {string}
+ */
+function displayTarget(target) {
+  try {
+    const url = new URL(target);
+    url.username = '';
+    url.password = '';
+    return url.toString().replace(/\/+$/, '');
+  } catch (error) {
+    return target;
+  }
+}
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Describe why a request to the FHIR server failed
+ * Uses the diagnostics of a returned OperationOutcome when there is one.
+ * @param {Error} error - axios error
+ * @returns {string}
+ */
+function describeError(error) {
+  const data = error.response && error.response.data;
+  const issue = data && Array.isArray(data.issue) && data.issue[0];
+  if (issue && issue.diagnostics) {
+    return `HTTP ${error.response.status}: ${issue.diagnostics}`;
+  }
+  return error.response ? `HTTP ${error.response.status}` : error.message;
+}
+
+/**
+ * PUT one Library, retrying with exponential backoff
+ * Network errors, timeouts, 429 and 5xx are retried; other errors fail at once.
+ * @param {Object} entry - Transaction entry from toTransactionEntry
+ * @param {Object} config - Publishing configuration
+ * @returns {Promise<Object>} { httpStatus, attempts, location? }
+ * @throws {Error} The last error, with `attempts` set
+ */
+async function putLibrary(entry, config) {
+  const headers = {
+    'Content-Type': 'application/fhir+json',
+    Accept: 'application/fhir+json'
+  };
+  if (config.token) {
+    headers.Authorization = `Bearer ${config.token}`;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await axios.put(`${config.target}/${entry.request.url}`, entry.resource, {
+        headers,
+        timeout: config.timeoutMs
+      });
+      return { httpStatus: response.status, attempts: attempt, location: response.headers.location };
+    } catch (error) {
+      const retryable = !error.response || RETRY_STATUSES.includes(error.response.status);
+      if (!retryable || attempt > config.retries) {
+        error.attempts = attempt;
+        throw error;
+      }
+      await delay(config.backoffMs * 2 ** (attempt - 1));
+    }
+  }
+}
+
+/**
+ * Publish the lens catalogue to the downstream FHIR server
+ * Each lens is sent as a conditional update (PUT Library?url=&version=). Lenses
+ * whose Library has not changed since it was last published are skipped;
+ * failed lenses are tried again on the next publish. What was published is
+ * only remembered in memory, so the first publish after a restart puts every
+ * Library again; the updates are conditional, so the server keeps one Library
+ * per url and version. A call made while a publish runs queues one more
+ * publish after it, since the running one may have read the catalogue before
+ * the change that led to the call; calls made meanwhile share that publish.
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (optional, defaults to env)
+ * @returns {Promise<Object>} { target, startedAt, finishedAt, published, skipped, failed, lenses: [{ name, url, status, ... }] }
+ */
+function publishLenses(sourcesOrRepoUrl) {
+  if (runningPublish) {
+    queuedSources = sourcesOrRepoUrl;
+    if (!queuedPublish) {
+      queuedPublish = runningPublish.catch(() => {}).then(() => {
+        queuedPublish = null;
+        return publishLenses(queuedSources);
+      });
+    }
+    return queuedPublish;
+  }
+
+  runningPublish = (async () => {
+    const config = getPublishConfig();
+    if (!config.target) {
+      throw new Error('FHIR_PUBLISH_URL is not configured');
+    }
+
+    const startedAt = new Date().toISOString();
+    const { lenses } = await getCatalogue(sourcesOrRepoUrl || getSources());
+    const results = [];
+    const seen = new Set();
+    const ids = getLibraryIds(lenses);
+
+    for (const lens of lenses) {
+      const entry = toTransactionEntry(lens, ids.get(lens));
+      const key = `${config.target} ${entry.request.url}`;
+      const hash = crypto.createHash('sha1').update(JSON.stringify(entry.resource)).digest('hex');
+      const result = { name: lens.name, url: entry.request.url };
+
+      if (seen.has(key)) {
+        results.push({ ...result, status: 'skipped', reason: 'duplicate' });
+        continue;
+      }
+      seen.add(key);
+
+      if (publishedHashes.get(key) === hash) {
+        results.push({ ...result, status: 'skipped', reason: 'unchanged' });
+        continue;
+      }
+
+      try {
+        const response = await putLibrary(entry, config);
+        publishedHashes.set(key, hash);
+        results.push({ ...result, status: 'published', ...response });
+      } catch (error) {
+        console.error(`Publishing lens ${lens.name} to ${displayTarget(config.target)} failed:`, describeError(error));
+        results.push({
+          ...result,
+          status: 'failed',
+          httpStatus: error.response ? error.response.status : undefined,
+          attempts: error.attempts,
+          error: describeError(error)
+        });
+      }
+    }
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+    lastPublish = {
+      target: displayTarget(config.target),
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      published: count('published'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      lenses: results
+    };
+    return lastPublish;
+  })().finally(() => {
+    runningPublish = null;
+  });
+
+  return runningPublish;
+}
+
+/**
+ * Get the publishing status
+ * @returns {Object} { enabled, target, lastPublish }; lastPublish is null before the first publish
+ */
+function getPublishStatus() {
+  const { target } = getPublishConfig();
+  return {
+    enabled: Boolean(target),
+    target: target ? displayTarget(target) : null,
+    lastPublish
+  };
+}
+
+/**
+ * Forget what was published, so the next publish sends every lens again
+ */
+function resetPublishState() {
+  publishedHashes.clear();
+  queuedPublish = null;
+  lastPublish = null;
+}
+
+module.exports = {
+  isPublishEnabled,
+  publishLenses,
+  getPublishStatus,
+  resetPublishState
+};
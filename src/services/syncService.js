@@ -0,0 +1,109 @@
+const { refreshSources } = require('./lensService');
+const { isPublishEnabled, publishLenses } = require('./publishService');
+const { getSources, normalizeSources } = require('../utils/sourceConfig');
+
+// Interval between background syncs, defaults to the cache TTL (0 disables the loop)
+const SYNC_INTERVAL = parseFloat(process.env.SYNC_INTERVAL_MINUTES || process.env.CACHE_TTL_MINUTES || '5') * 60 * 1000;
+
+let syncTimer = null;
+let runningSync = null;
+let lastSync = null;
+
+/**
+ * Pull and re-discover every configured source once
+ * Sources are refreshed one after the other; a failing source is reported and
+ * keeps serving its last good lenses without stopping the others. When
+ * FHIR_PUBLISH_URL is set, the lenses are then published downstream. Calls
+ * made while a sync runs share it.
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL (optional, defaults to env)
+ * @returns {Promise<Object>} { startedAt, finishedAt, sources: [{ source, commit } | { source, error }], publish? }
+ */
+function syncSources(sourcesOrRepoUrl) {
+  if (runningSync) {
+    return runningSync;
+  }
+
+  runningSync = (async () => {
+    const startedAt = new Date().toISOString();
+    const results = [];
+
+    const sources = normalizeSources(sourcesOrRepoUrl || getSources());
+    for (const source of sources) {
+      try {
+        const [report] = await refreshSources([source]);
+        results.push({ source: source.id, commit: report.commit });
+      } catch (error) {
+        console.error(`Sync of source ${source.id} failed:`, error.message);
+        results.push({ source: source.id, error: error.message });
+      }
+    }
+
+    const sync = { startedAt, finishedAt: null, sources: results };
+    if (isPublishEnabled()) {
+      // Push new and changed lenses downstream; details are in GET /publish/status
+      try {
+        const publish = await publishLenses(sources);
+        sync.publish = { published: publish.published, skipped: publish.skipped, failed: publish.failed };
+      } catch (error) {
+        console.error('Publishing lenses failed:', error.message);
+        sync.publish = { error: error.message };
+      }
+    }
+
+    sync.finishedAt = new Date().toISOString();
+    lastSync = sync;
+    return lastSync;
+  })().finally(() => {
+    runningSync = null;
+  });
+
+  return runningSync;
+}
+
+/**
+ * Start the background sync loop
+ * Syncs right away, then every SYNC_INTERVAL_MINUTES. Requests keep being
+ * served from the cache while a sync runs.
+ * @param {Object} options - { intervalMs, sources } (optional, default from env)
+ * @returns {Promise<Object>} Result of the first sync
+ */
+function startSync(options = {}) {
+  const intervalMs = options.intervalMs !== undefined ? options.intervalMs : SYNC_INTERVAL;
+
+  stopSync();
+  if (intervalMs > 0) {
+    syncTimer = setInterval(() => {
+      syncSources(options.sources).catch((error) => {
+        console.error('Background sync failed:', error.message);
+      });
+    }, intervalMs);
+    syncTimer.unref();
+  }
+
+  return syncSources(options.sources);
+}
+
+/**
+ * Stop the background sync loop
+ */
+function stopSync() {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+}
+
+/**
+ * Get the outcome of the last completed sync
+ * @returns {Object|null} { startedAt, finishedAt, sources }, or null before the first sync
+ */
+function getLastSync() {
+  return lastSync;
+}
+
+module.exports = {
+  syncSources,
+  startSync,
+  stopSync,
+  getLastSync
+};
@@ -0,0 +1,81 @@
+/**
+ * FHIR Attachment of the lens JavaScript
+ *
+ * The lens content is an Attachment: besides the base64 `data`, it carries
+ * its `contentType`, its `size` in bytes and its `hash`, the base64 SHA-1 of
+ * the data, so clients can check the script they received and tell which
+ * version of it is deployed.
+ */
+
+const crypto = require('crypto');
+
+// Content type of lens scripts, fixed by the Lens profile
+const SCRIPT_CONTENT_TYPE = 'application/javascript';
+
+/**
+ * Compute the size and hash of Attachment data
+ * @param {string} data - Base64 data
+ * @returns {Object} { size, hash } with the size in bytes and the base64 SHA-1 of the decoded data
+ */
+function describeData(data) {
+  const bytes = Buffer.from(data, 'base64');
+  return {
+    size: bytes.length,
+    hash: crypto.createHash('sha1').update(bytes).digest('base64')
+  };
+}
+
+/**
+ * Fill in the contentType, size and hash of an Attachment with data
+ * A contentType already given is kept; size and hash always describe the data.
+ * @param {Object} attachment - Attachment, changed in place
+ * @returns {Object} The attachment
+ */
+function completeAttachment(attachment) {
+  if (!attachment || typeof attachment.data !== 'string' || attachment.data.length === 0) {
+    return attachment;
+  }
+  const { size, hash } = describeData(attachment.data);
+  attachment.contentType = attachment.contentType || SCRIPT_CONTENT_TYPE;
+  attachment.size = size;
+  attachment.hash = hash;
+  return attachment;
+}
+
+/**
+ * Check the size and hash given with Attachment data against the data
+ * @param {Object} attachment - Attachment
+ * @param {string} expression - FHIRPath of the attachment, e.g. Library.content[0]
+ * @returns {Array} OperationOutcome.issue entries, one per value that does not match
+ */
+function checkAttachment(attachment, expression) {
+  if (!attachment || typeof attachment.data !== 'string' || attachment.data.length === 0) {
+    return [];
+  }
+  const actual = describeData(attachment.data);
+  const issues = [];
+  if (attachment.hash !== undefined && attachment.hash !== actual.hash) {
+    issues.push({
+      severity: 'error',
+      code: 'value',
+      diagnostics: `${expression}.hash is ${JSON.stringify(attachment.hash)} but the SHA-1 of the data is ${JSON.stringify(actual.hash)}`,
+      expression: [`${expression}.hash`]
+    });
+  }
+  if (attachment.size !== undefined && attachment.size !== actual.size) {
+    issues.push({
+      severity: 'error',
+      code: 'value',
+      diagnostics: `${expression}.size is ${attachment.size} but the data is ${actual.size} bytes`,
+      expression: [`${expression}.size`]
+    });
+  }
+  return issues;
+}
+
+module.exports = {
+  SCRIPT_CONTENT_TYPE,
+  describeData,
+  completeAttachment,
+  checkAttachment
+};
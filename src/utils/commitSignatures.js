@@ -0,0 +1,180 @@
+/**
+ * Signed commits of lens files
+ *
+ * Lenses run code on patients' devices, so a source can require that the
+ * commit that last changed each file of a lens (the lens JSON, its enhance
+ * script, the files bundled into it and the manifests that map its script)
+ * is signed by a trusted key:
+ *
+ *   GPG: public keys in GIT_TRUSTED_GPG_KEYS_FILE (ASCII armored)
+ *   SSH: keys in GIT_ALLOWED_SIGNERS_FILE, in the allowed signers format of
+ *        ssh-keygen (`<principal> <key type> <public key>` per line)
+ *
+ * The GPG keys are imported into a keyring of their own, so neither the keys
+ * of the user the service runs as nor a key pushed along with a lens are
+ * ever trusted. Shallow clones are refused, since their boundary commit would
+ * pass for the last change of every older file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { getLastCommits, getCommitSignatures } = require('./repoManager');
+
+const execFileAsync = promisify(execFile);
+
+// What each git %G? code other than G (good signature, trusted key) means
+const SIGNATURE_PROBLEMS = {
+  N: 'is not signed',
+  B: 'has a bad signature',
+  U: 'is signed with a key that is not trusted',
+  E: 'is signed with a key that is not trusted',
+  X: 'has an expired signature',
+  Y: 'is signed with an expired key',
+  R: 'is signed with a revoked key'
+};
+
+// Keyrings prepared per content of the trusted keys file
+const keyrings = new Map();
+
+/**
+ * Import trusted GPG keys into a keyring of their own
+ * The keyring lives under the temp folder, named after a hash of the keys,
+ * and every key in it gets ultimate owner trust so that git reports its
+ * signatures as good. Without keys, the keyring is empty and no GPG signature
+ * is trusted.
+ * @param {string} keysFile - ASCII armored public keys (optional)
+ * @returns {Promise<string>} GNUPGHOME of the keyring
+ * @throws {Error} When the keys cannot be read or imported
+ */
+async function prepareKeyring(keysFile) {
+  let keys = '';
+  if (keysFile) {
+    try {
+      keys = fs.readFileSync(keysFile, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read trusted GPG keys file ${keysFile}: ${error.message}`);
+    }
+  }
+
+  const hash = crypto.createHash('sha1').update(keys).digest('hex').slice(0, 16);
+  if (!keyrings.has(hash)) {
+    const home = path.join(os.tmpdir(), `lens-selector-gnupg-${process.getuid ? process.getuid() : 'user'}`, hash);
+    const pending = importKeys(home, keysFile && keys ? keysFile : null).catch((error) => {
+      keyrings.delete(hash);
+      throw new Error(`Cannot import trusted GPG keys from ${keysFile}: ${error.message}`);
+    });
+    keyrings.set(hash, pending);
+  }
+  return keyrings.get(hash);
+}
+
+/**
+ * Create a keyring holding the given keys, all of them ultimately trusted
+ * @param {string} home - GNUPGHOME to create
+ * @param {string|null} keysFile - ASCII armored public keys, or null for an empty keyring
+ * @returns {Promise<string>} home
+ */
+async function importKeys(home, keysFile) {
+  fs.rmSync(home, { recursive: true, force: true });
+  fs.mkdirSync(home, { recursive: true, mode: 0o700 });
+  if (!keysFile) {
+    return home;
+  }
+
+  const gpg = (args) => execFileAsync('gpg', ['--batch', '--quiet', '--no-autostart', '--homedir', home, ...args]);
+  await gpg(['--import', keysFile]);
+  const { stdout } = await gpg(['--with-colons', '--list-keys']);
+
+  // The fingerprint of each primary key follows its pub line
+  const fingerprints = [];
+  const lines = stdout.split('\n');
+  lines.forEach((line, index) => {
+    const next = lines[index + 1] || '';
+    if (line.startsWith('pub:') && next.startsWith('fpr:')) {
+      fingerprints.push(next.split(':')[9]);
+    }
+  });
+  if (fingerprints.length === 0) {
+    throw new Error('the file holds no public key');
+  }
+
+  const ownertrust = path.join(home, 'ownertrust.txt');
+  fs.writeFileSync(ownertrust, fingerprints.map((fingerprint) => `${fingerprint}:6:\n`).join(''));
+  await gpg(['--import-ownertrust', ownertrust]);
+  return home;
+}
+
+/**
+ * Get the keys signatures are checked against
+ * @param {Object} options - { gpgKeysFile, allowedSignersFile } from getSignatureOptions
+ * @returns {Promise<Object>} { gnupgHome, allowedSignersFile } for getCommitSignatures
+ * @throws {Error} When the GPG keys cannot be imported or the allowed signers file is missing
+ */
+async function prepareTrust(options) {
+  if (options.allowedSignersFile && !fs.existsSync(options.allowedSignersFile)) {
+    throw new Error(`Allowed signers file ${options.allowedSignersFile} not found`);
+  }
+  return {
+    gnupgHome: await prepareKeyring(options.gpgKeysFile),
+    // git cannot check SSH signatures without an allowed signers file; an empty one trusts no key
+    allowedSignersFile: options.allowedSignersFile || os.devNull
+  };
+}
+
+/**
+ * Tell the format of a commit signature
+ * @param {string} signature - ASCII armored signature
+ * @returns {string} gpg, ssh or x509
+ */
+function signatureFormat(signature) {
+  if (/^-----BEGIN SSH SIGNATURE-----/.test(signature)) {
+    return 'ssh';
+  }
+  return /^-----BEGIN SIGNED MESSAGE-----/.test(signature) ? 'x509' : 'gpg';
+}
+
+/**
+ * Check that the commits that last changed some files are signed by trusted keys
+ * Signatures already checked during the same scan can be passed in `checked`,
+ * as lenses of one repository often share commits.
+ * @param {string} localPath - Local path of the clone (or worktree)
+ * @param {Array<string>} filePaths - File paths relative to the repository root
+ * @param {Object} trust - Keys from prepareTrust
+ * @param {Map} checked - Signatures by commit SHA, filled as commits are checked (optional)
+ * @returns {Promise<Object>} { commits: [{ sha, date, files, signer, key, fingerprint, format, signature }], errors }
+ */
+async function verifyFileCommits(localPath, filePaths, trust, checked = new Map()) {
+  const lastCommits = await getLastCommits(localPath, filePaths);
+  const errors = lastCommits.filter((entry) => !entry.sha).map((entry) => `${entry.file} is not committed`);
+
+  const filesOf = new Map();
+  for (const entry of lastCommits.filter((e) => e.sha)) {
+    filesOf.set(entry.sha, (filesOf.get(entry.sha) || []).concat(entry.file));
+  }
+  const unchecked = Array.from(filesOf.keys()).filter((sha) => !checked.has(sha));
+  for (const signature of await getCommitSignatures(localPath, unchecked, trust)) {
+    checked.set(signature.sha, signature);
+  }
+
+  const commits = [];
+  for (const [sha, files] of filesOf) {
+    const { status, signer, key, fingerprint, date, signature } = checked.get(sha);
+    if (status !== 'G') {
+      const problem = SIGNATURE_PROBLEMS[status] || `has a signature that cannot be checked (${status})`;
+      errors.push(`Commit ${sha.slice(0, 7)}, the last change to ${files.join(', ')}, ${problem}${key && status !== 'N' ? ` (key ${key})` : ''}`);
+      continue;
+    }
+    commits.push({ sha, date, files, signer, key, fingerprint, format: signatureFormat(signature), signature });
+  }
+
+  return { commits, errors };
+}
+
+module.exports = {
+  prepareTrust,
+  verifyFileCommits
+};
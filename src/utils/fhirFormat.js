@@ -0,0 +1,147 @@
+/**
+ * FHIR content negotiation
+ *
+ * Picks the representation of a FHIR resource from the `_format` query
+ * parameter (which wins, as in https://hl7.org/fhir/R4/http.html#mime-type)
+ * or the Accept header, and serializes the resource to it. Also gives the
+ * base URL that FHIR links are built from.
+ */
+
+const { toFhirXml } = require('./fhirXml');
+
+// Media types a resource can be sent as, and how each is serialized
+const MEDIA_TYPES = {
+  'application/json': 'json',
+  'application/fhir+json': 'json',
+  'application/fhir+xml': 'xml',
+  'application/xml': 'xml',
+  'text/xml': 'xml'
+};
+
+// Short _format values
+const FORMAT_ALIASES = {
+  json: 'application/fhir+json',
+  xml: 'application/fhir+xml'
+};
+
+/**
+ * Create a 406 error for a format the service cannot produce
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function notAcceptable(message) {
+  const error = new Error(message);
+  error.statusCode = 406;
+  error.issueCode = 'not-supported';
+  return error;
+}
+
+/**
+ * Parse an Accept header into media ranges
+ * Parameters other than q (e.g. fhirVersion) are ignored.
+ * @param {string} header - Accept header
+ * @returns {Array} [{ type, subtype, q }]
+ */
+function parseAccept(header) {
+  return header.split(',').map((range) => {
+    const [mediaType, ...params] = range.split(';').map((part) => part.trim());
+    const [type, subtype] = mediaType.toLowerCase().split('/');
+    const qParam = params.find((param) => /^q=/i.test(param));
+    const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+    return { type, subtype, q: Number.isNaN(q) ? 0 : q };
+  }).filter((range) => range.type && range.subtype);
+}
+
+/**
+ * Get the quality an Accept header gives a media type, from its most specific matching range
+ * @param {Array} ranges - Ranges from parseAccept
+ * @param {string} mediaType - Media type offered
+ * @returns {number} Quality (0 when not acceptable)
+ */
+function qualityOf(ranges, mediaType) {
+  const [type, subtype] = mediaType.split('/');
+  let best = { specificity: -1, q: 0 };
+  for (const range of ranges) {
+    let specificity = -1;
+    if (range.type === type && range.subtype === subtype) {
+      specificity = 2;
+    } else if (range.type === type && range.subtype === '*') {
+      specificity = 1;
+    } else if (range.type === '*' && range.subtype === '*') {
+      specificity = 0;
+    }
+    if (specificity > best.specificity) {
+      best = { specificity, q: range.q };
+    }
+  }
+  return best.q;
+}
+
+/**
+ * Choose the media type of a FHIR response
+ * @param {Object} req - Express request
+ * @param {string} defaultType - JSON media type used when the client has no preference
+ * @returns {string} Media type to send
+ * @throws {Error} 406 error when no supported format is acceptable
+ */
+function negotiateFormat(req, defaultType) {
+  const format = req.query && req.query._format;
+  if (format !== undefined) {
+    // An unencoded + in the query string arrives as a space
+    const value = String([].concat(format)[0]).split(';')[0].trim().replace(/ /g, '+').toLowerCase();
+    const mediaType = FORMAT_ALIASES[value] || value;
+    if (!MEDIA_TYPES[mediaType]) {
+      throw notAcceptable(`Format '${format}' is not supported; use json, xml, ${Object.keys(MEDIA_TYPES).join(', ')}`);
+    }
+    return mediaType;
+  }
+
+  const accept = req.get('Accept');
+  if (!accept || !accept.trim()) {
+    return defaultType;
+  }
+
+  // On equal quality the default JSON type wins, then the order of MEDIA_TYPES
+  const offers = [defaultType, ...Object.keys(MEDIA_TYPES).filter((type) => type !== defaultType)];
+  const ranges = parseAccept(accept);
+  let chosen = null;
+  let chosenQuality = 0;
+  for (const offer of offers) {
+    const quality = qualityOf(ranges, offer);
+    if (quality > chosenQuality) {
+      chosen = offer;
+      chosenQuality = quality;
+    }
+  }
+
+  if (!chosen) {
+    throw notAcceptable(`None of the accepted formats (${accept}) is supported; use ${Object.keys(MEDIA_TYPES).join(', ')}`);
+  }
+  return chosen;
+}
+
+/**
+ * Get the base URL of the FHIR endpoints
+ * FHIR_BASE_URL wins; otherwise it is derived from the request
+ * @param {Object} req - Express request
+ * @returns {string} Base URL without trailing slash
+ */
+function getFhirBaseUrl(req) {
+  return (process.env.FHIR_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+/**
+ * Serialize a FHIR resource to a media type chosen by negotiateFormat
+ * @param {Object} resource - FHIR JSON resource
+ * @param {string} mediaType - Media type
+ * @returns {string} Response body
+ */
+function formatResource(resource, mediaType) {
+  return MEDIA_TYPES[mediaType] === 'xml' ? toFhirXml(resource) : JSON.stringify(resource);
+}
+
+module.exports = {
+  getFhirBaseUrl,
+  negotiateFormat,
+  formatResource
+};
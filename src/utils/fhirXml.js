@@ -0,0 +1,287 @@
+/**
+ * FHIR XML serialization
+ *
+ * Serializes FHIR R4 JSON resources to XML following
+ * https://hl7.org/fhir/R4/xml.html: elements in the order of their definition,
+ * primitives as `value` attributes, `id` and Extension `url` as attributes of
+ * datatypes, and resources nested in a resourceType element.
+ */
+
+const FHIR_NAMESPACE = 'http://hl7.org/fhir';
+
+/**
+ * Element order per type, as "name" (primitive) or "name:Type" entries.
+ * Choice elements end in [x]; their type comes from the JSON property name.
+ * Backbone elements are named "Resource.element".
+ */
+const DEFINITIONS = {
+  // Bases
+  Resource: 'id meta:Meta implicitRules language',
+  DomainResource: 'id meta:Meta implicitRules language text:Narrative contained:Resource extension:Extension modifierExtension:Extension',
+
+  // Resources served by this service
+  Library: 'url identifier:Identifier version name title subtitle status experimental type:CodeableConcept subject[x] date publisher contact:ContactDetail description useContext:UsageContext jurisdiction:CodeableConcept purpose usage copyright approvalDate lastReviewDate effectivePeriod:Period topic:CodeableConcept author:ContactDetail editor:ContactDetail reviewer:ContactDetail endorser:ContactDetail relatedArtifact:RelatedArtifact parameter:ParameterDefinition dataRequirement:DataRequirement content:Attachment',
+  Bundle: 'identifier:Identifier type timestamp total link:Bundle.link entry:Bundle.entry signature:Signature',
+  'Bundle.link': 'relation url',
+  'Bundle.entry': 'link:Bundle.link fullUrl resource:Resource search:Bundle.entry.search request:Bundle.entry.request response:Bundle.entry.response',
+  'Bundle.entry.search': 'mode score',
+  'Bundle.entry.request': 'method url ifNoneMatch ifModifiedSince ifMatch ifNoneExist',
+  'Bundle.entry.response': 'status location etag lastModified outcome:Resource',
+  Provenance: 'target:Reference occurred[x] recorded policy location:Reference reason:CodeableConcept activity:CodeableConcept agent:Provenance.agent entity:Provenance.entity signature:Signature',
+  'Provenance.agent': 'type:CodeableConcept role:CodeableConcept who:Reference onBehalfOf:Reference',
+  'Provenance.entity': 'role what:Reference agent:Provenance.agent',
+  OperationOutcome: 'issue:OperationOutcome.issue',
+  'OperationOutcome.issue': 'severity code details:CodeableConcept diagnostics location expression',
+  CapabilityStatement: 'url version name title status experimental date publisher contact:ContactDetail description useContext:UsageContext jurisdiction:CodeableConcept purpose copyright kind instantiates imports software:CapabilityStatement.software implementation:CapabilityStatement.implementation fhirVersion format patchFormat implementationGuide rest:CapabilityStatement.rest',
+  'CapabilityStatement.software': 'name version releaseDate',
+  'CapabilityStatement.implementation': 'description url custodian:Reference',
+  'CapabilityStatement.rest': 'mode documentation security:CapabilityStatement.rest.security resource:CapabilityStatement.rest.resource interaction:CapabilityStatement.rest.interaction searchParam:CapabilityStatement.rest.resource.searchParam operation:CapabilityStatement.rest.resource.operation compartment',
+  'CapabilityStatement.rest.security': 'cors service:CodeableConcept description',
+  'CapabilityStatement.rest.resource': 'type profile supportedProfile documentation interaction:CapabilityStatement.rest.interaction versioning readHistory updateCreate conditionalCreate conditionalRead conditionalUpdate conditionalDelete referencePolicy searchInclude searchRevInclude searchParam:CapabilityStatement.rest.resource.searchParam operation:CapabilityStatement.rest.resource.operation',
+  'CapabilityStatement.rest.interaction': 'code documentation',
+  'CapabilityStatement.rest.resource.searchParam': 'name definition type documentation',
+  'CapabilityStatement.rest.resource.operation': 'name definition documentation',
+
+  // Datatypes
+  Extension: 'extension:Extension value[x]',
+  Meta: 'versionId lastUpdated source profile security:Coding tag:Coding',
+  Narrative: 'status div:xhtml',
+  Identifier: 'use type:CodeableConcept system value period:Period assigner:Reference',
+  CodeableConcept: 'coding:Coding text',
+  Coding: 'system version code display userSelected',
+  Period: 'start end',
+  Reference: 'reference type identifier:Identifier display',
+  Quantity: 'value comparator unit system code',
+  Duration: 'value comparator unit system code',
+  Range: 'low:Quantity high:Quantity',
+  ContactDetail: 'name telecom:ContactPoint',
+  ContactPoint: 'system value use rank period:Period',
+  UsageContext: 'code:Coding value[x]',
+  RelatedArtifact: 'type label display citation url document:Attachment resource',
+  ParameterDefinition: 'name use min max documentation type profile',
+  DataRequirement: 'type profile subject[x] mustSupport codeFilter:DataRequirement.codeFilter dateFilter:DataRequirement.dateFilter limit sort:DataRequirement.sort',
+  'DataRequirement.codeFilter': 'path searchParam valueSet code:Coding',
+  'DataRequirement.dateFilter': 'path searchParam value[x]',
+  'DataRequirement.sort': 'path direction',
+  Attachment: 'contentType language data url size hash title creation',
+  Signature: 'type:Coding when who:Reference onBehalfOf:Reference targetFormat sigFormat data'
+};
+
+// Resources built on Resource rather than DomainResource
+const PLAIN_RESOURCES = ['Bundle', 'Binary', 'Parameters'];
+
+// Choice type suffixes that are primitives (valueString, subjectCodeableConcept, ...)
+const PRIMITIVE_TYPES = [
+  'Base64Binary', 'Boolean', 'Canonical', 'Code', 'Date', 'DateTime', 'Decimal', 'Id', 'Instant',
+  'Integer', 'Markdown', 'Oid', 'PositiveInt', 'String', 'Time', 'UnsignedInt', 'Uri', 'Url', 'Uuid'
+];
+
+const PRIMITIVE = null;
+
+/**
+ * Parse a definition string into [{ name, type, choice }]
+ * @param {string} definition - Space separated "name" or "name:Type" entries
+ * @returns {Array}
+ */
+function parseDefinition(definition) {
+  return definition.split(' ').map((entry) => {
+    const [name, type] = entry.split(':');
+    if (name.endsWith('[x]')) {
+      return { name: name.slice(0, -3), choice: true };
+    }
+    return { name, type: type || PRIMITIVE };
+  });
+}
+
+const ELEMENTS = Object.fromEntries(
+  Object.entries(DEFINITIONS).map(([type, definition]) => [type, parseDefinition(definition)])
+);
+
+/**
+ * Get the element order of a resource or complex type
+ * Datatypes and backbone elements start with their extensions.
+ * @param {string} type - Type name
+ * @param {boolean} isResource - Whether the type is a resource
+ * @returns {Array} [{ name, type, choice }]
+ */
+function elementsOf(type, isResource) {
+  const own = ELEMENTS[type] || [];
+  if (isResource) {
+    return [...ELEMENTS[PLAIN_RESOURCES.includes(type) ? 'Resource' : 'DomainResource'], ...own];
+  }
+  const base = type.includes('.')
+    ? parseDefinition('extension:Extension modifierExtension:Extension')
+    : parseDefinition('extension:Extension');
+  return [...base.filter((b) => !own.some((e) => e.name === b.name)), ...own];
+}
+
+/**
+ * Escape text for an XML attribute value
+ * Line breaks and tabs are written as character references so they survive
+ * attribute value normalization.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#xA;')
+    .replace(/\r/g, '&#xD;')
+    .replace(/\t/g, '&#x9;');
+}
+
+/**
+ * Write a primitive element, with the id and extensions from its `_name` sibling
+ * @param {string} name - Element name
+ * @param {*} value - Primitive value (null when the element only has extensions)
+ * @param {Object} extra - Contents of the `_name` property (optional)
+ * @returns {string}
+ */
+function writePrimitive(name, value, extra) {
+  const attributes = [];
+  if (extra && extra.id !== undefined) {
+    attributes.push(` id="${escapeAttribute(extra.id)}"`);
+  }
+  if (value !== null && value !== undefined) {
+    attributes.push(` value="${escapeAttribute(value)}"`);
+  }
+  const extensions = extra && Array.isArray(extra.extension)
+    ? extra.extension.map((extension) => writeElement('extension', extension, 'Extension')).join('')
+    : '';
+  return extensions
+    ? `<${name}${attributes.join('')}>${extensions}</${name}>`
+    : `<${name}${attributes.join('')}/>`;
+}
+
+/**
+ * Write all values of a property: one element per array item
+ * Primitives pair up with the ids and extensions in the `_name` property.
+ * @param {Object} object - JSON object holding the property
+ * @param {string} key - Property name
+ * @param {string|null|undefined} type - Type name, PRIMITIVE, or undefined when unknown
+ * @returns {string}
+ */
+function writeProperty(object, key, type) {
+  const values = object[key] === undefined ? [] : [].concat(object[key]);
+  const extras = object[`_${key}`] === undefined ? [] : [].concat(object[`_${key}`]);
+  const count = Math.max(values.length, extras.length);
+
+  let xml = '';
+  for (let i = 0; i < count; i++) {
+    const value = values[i] === undefined ? null : values[i];
+    if (type === PRIMITIVE || (type === undefined && (value === null || typeof value !== 'object'))) {
+      xml += writePrimitive(key, value, extras[i]);
+    } else {
+      xml += writeElement(key, value, type);
+    }
+  }
+  return xml;
+}
+
+/**
+ * Write the children of a resource or complex element in definition order
+ * Properties without a definition follow in their JSON order.
+ * @param {Object} object - JSON object
+ * @param {string} type - Type name
+ * @param {boolean} isResource - Whether the object is a resource
+ * @returns {string}
+ */
+function writeChildren(object, type, isResource) {
+  const written = new Set(['resourceType']);
+  if (!isResource) {
+    // id (and Extension.url) are attributes of datatypes
+    written.add('id');
+    if (type === 'Extension') {
+      written.add('url');
+    }
+  }
+
+  const parts = [];
+  const write = (key, childType) => {
+    written.add(key);
+    written.add(`_${key}`);
+    parts.push(writeProperty(object, key, childType));
+  };
+
+  for (const element of elementsOf(type, isResource)) {
+    if (element.choice) {
+      for (const key of Object.keys(object)) {
+        const suffix = key.slice(element.name.length);
+        if (key.startsWith(element.name) && /^[A-Z]/.test(suffix) && !written.has(key)) {
+          write(key, PRIMITIVE_TYPES.includes(suffix) ? PRIMITIVE : suffix);
+        }
+      }
+    } else if (object[element.name] !== undefined || object[`_${element.name}`] !== undefined) {
+      write(element.name, element.type);
+    }
+  }
+
+  for (const key of Object.keys(object)) {
+    const name = key.startsWith('_') ? key.slice(1) : key;
+    if (!written.has(key) && !written.has(name)) {
+      write(name, undefined);
+    }
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Write an element of a complex type, a nested resource or XHTML
+ * @param {string} name - Element name
+ * @param {*} value - JSON value
+ * @param {string} type - Type name ('Resource' for nested resources, 'xhtml' for Narrative.div)
+ * @returns {string}
+ */
+function writeElement(name, value, type) {
+  if (type === 'xhtml') {
+    // Narrative.div is already XHTML, with its own namespace
+    return String(value);
+  }
+  if (type === 'Resource') {
+    return `<${name}>${writeResource(value)}</${name}>`;
+  }
+
+  const attributes = [];
+  if (value.id !== undefined) {
+    attributes.push(` id="${escapeAttribute(value.id)}"`);
+  }
+  if (type === 'Extension' && value.url !== undefined) {
+    attributes.push(` url="${escapeAttribute(value.url)}"`);
+  }
+  const children = writeChildren(value, type || '', false);
+  return children
+    ? `<${name}${attributes.join('')}>${children}</${name}>`
+    : `<${name}${attributes.join('')}/>`;
+}
+
+/**
+ * Write a resource element
+ * @param {Object} resource - FHIR JSON resource
+ * @param {boolean} root - Whether to declare the FHIR namespace
+ * @returns {string}
+ */
+function writeResource(resource, root = false) {
+  const type = resource.resourceType;
+  const namespace = root ? ` xmlns="${FHIR_NAMESPACE}"` : '';
+  return `<${type}${namespace}>${writeChildren(resource, type, true)}</${type}>`;
+}
+
+/**
+ * Serialize a FHIR JSON resource to FHIR XML
+ * @param {Object} resource - FHIR JSON resource (with resourceType)
+ * @returns {string} XML document
+ */
+function toFhirXml(resource) {
+  if (!resource || typeof resource.resourceType !== 'string') {
+    throw new Error('Only FHIR resources with a resourceType can be serialized to XML');
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>${writeResource(resource, true)}`;
+}
+
+module.exports = {
+  toFhirXml
+};
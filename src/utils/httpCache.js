@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+// Clients may keep responses but must revalidate them, which is cheap with 304s
+const DEFAULT_CACHE_CONTROL = 'no-cache';
+
+// Responses whose Last-Modified is remembered, so it never goes backwards
+const MAX_LAST_MODIFIED_ENTRIES = 1000;
+
+// Last-Modified sent per URL and Content-Type: { etag, time }
+const lastModifiedSent = new Map();
+
+/**
+ * Get the Cache-Control header of lens responses
+ * @returns {string} LENS_CACHE_CONTROL, or no-cache
+ */
+function getCacheControl() {
+  return process.env.LENS_CACHE_CONTROL || DEFAULT_CACHE_CONTROL;
+}
+
+/**
+ * Compute the ETag of a response from the commits it was served from and its body
+ * @param {Array<string>} commits - Commit SHAs of the sources
+ * @param {*} body - Response body
+ * @param {string} contentType - Content-Type, when the body has several representations (optional)
+ * @returns {string} Strong ETag (quoted)
+ */
+function computeETag(commits, body, contentType) {
+  const hash = crypto.createHash('sha1')
+    .update(commits.join(','))
+    .update('\n')
+    .update(contentType ? `${contentType}\n` : '')
+    .update(JSON.stringify(body))
+    .digest('hex');
+  return `"${hash}"`;
+}
+
+/**
+ * Get the Last-Modified time of a response, never earlier than the one sent before
+ * The newest commit served can get older: a revert, a force push or a removed
+ * source. A client would then keep its copy on If-Modified-Since, so a changed
+ * response whose date did not move forward is dated now instead.
+ * The dates are kept in memory: after a restart they start from the commits again.
+ * @param {string} key - URL and Content-Type of the response
+ * @param {string} etag - ETag of the response
+ * @param {number} time - Committer date of the newest commit served (ms)
+ * @returns {number} Last-Modified time (ms)
+ */
+function nextLastModified(key, etag, time) {
+  const sent = lastModifiedSent.get(key);
+  let next = time;
+  if (sent && sent.etag === etag) {
+    next = Math.max(sent.time, time);
+  } else if (sent && time <= sent.time) {
+    // HTTP dates have whole seconds
+    next = Math.max(Date.now(), sent.time + 1000);
+  }
+
+  lastModifiedSent.delete(key);
+  lastModifiedSent.set(key, { etag, time: next });
+  if (lastModifiedSent.size > MAX_LAST_MODIFIED_ENTRIES) {
+    lastModifiedSent.delete(lastModifiedSent.keys().next().value);
+  }
+  return next;
+}
+
+/**
+ * Set the ETag, Last-Modified and Cache-Control headers of a response
+ * Set the Content-Type first when the response is negotiated, so each
+ * representation gets its own ETag.
+ * @param {Object} res - Express response
+ * @param {Object} revision - { commits, lastModified } from getCatalogueRevision
+ * @param {*} body - Response body
+ */
+function setCacheHeaders(res, revision, body) {
+  const contentType = res.get('Content-Type');
+  const etag = computeETag(revision.commits, body, contentType);
+  res.set('ETag', etag);
+  if (revision.lastModified) {
+    const time = nextLastModified(`${res.req.originalUrl} ${contentType || ''}`, etag, Date.parse(revision.lastModified));
+    res.set('Last-Modified', new Date(time).toUTCString());
+  }
+  res.set('Cache-Control', getCacheControl());
+}
+
+/**
+ * Strip the weak prefix of an entity tag
+ * @param {string} tag - Entity tag, e.g. W/"abc" or "abc"
+ * @returns {string} Opaque tag (quoted)
+ */
+function opaqueTag(tag) {
+  return tag.trim().replace(/^W\//, '');
+}
+
+/**
+ * Check whether the client already has the response, from its validators
+ * If-Modified-Since is only used without If-None-Match (RFC 9110, section
+ * 13.1.3), so the ETag alone decides when both are sent. If-None-Match uses
+ * the weak comparison; a request with Cache-Control: no-cache is never fresh.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response with headers from setCacheHeaders
+ * @returns {boolean} Whether 304 Not Modified can be answered
+ */
+function isNotModified(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+  if (/(?:^|,)\s*no-cache\s*(?:,|$)/.test(req.headers['cache-control'] || '')) {
+    return false;
+  }
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    const etag = res.get('ETag');
+    return ifNoneMatch.trim() === '*' ||
+      (!!etag && ifNoneMatch.split(',').some((tag) => opaqueTag(tag) === opaqueTag(etag)));
+  }
+
+  const since = Date.parse(req.headers['if-modified-since']);
+  const lastModified = Date.parse(res.get('Last-Modified'));
+  return !Number.isNaN(since) && !Number.isNaN(lastModified) && lastModified <= since;
+}
+
+/**
+ * Answer 304 Not Modified when the client already has the response
+ * Call after setCacheHeaders; the request headers are left as they are.
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the response was ended with 304
+ */
+function sendNotModified(res) {
+  if (!isNotModified(res.req, res)) {
+    return false;
+  }
+
+  // A 304 has no body, so no metadata of one (RFC 9110, section 15.4.5)
+  res.removeHeader('Content-Type');
+  res.status(304).end();
+  return true;
+}
+
+/**
+ * Forget the Last-Modified dates sent so far
+ */
+function clearLastModified() {
+  lastModifiedSent.clear();
+}
+
+module.exports = {
+  getCacheControl,
+  computeETag,
+  setCacheHeaders,
+  isNotModified,
+  sendNotModified,
+  clearLastModified
+};
@@ -0,0 +1,175 @@
+/**
+ * Lens file traversal
+ *
+ * Walks a folder for lens JSON files and enhance scripts (.js, and .ts apart
+ * from .d.ts type declarations), leaving out:
+ * - `.git` and `node_modules`, always
+ * - paths matched by a `.lensignore` file (gitignore syntax; a .lensignore in
+ *   a sub-folder applies below it)
+ * - paths matched by the configured exclude globs, and JSON files not matched
+ *   by the include globs when there are any
+ * - symlinks leaving the folder, and symlinked folders already walked, so
+ *   symlink loops end
+ * Files above the size limit are listed separately instead of being read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+const { isTypeScriptFile } = require('./tsCompiler');
+
+// Folders that never hold lenses
+const ALWAYS_IGNORED = ['.git', 'node_modules'];
+
+// Name of the ignore file lens authors put in their repository
+const IGNORE_FILE = '.lensignore';
+
+// Default size limit of lens JSON and enhance script files (2 MB)
+const DEFAULT_MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Check whether a path lies inside a folder
+ * @param {string} parent - Folder
+ * @param {string} child - Path to check
+ * @returns {boolean}
+ */
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Read the .lensignore file of a folder
+ * @param {string} dir - Folder
+ * @returns {Object|null} ignore matcher, or null when the folder has none
+ */
+function readIgnoreFile(dir) {
+  const file = path.join(dir, IGNORE_FILE);
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return null;
+  }
+  return ignore().add(content);
+}
+
+/**
+ * Walk a folder for lens JSON files and enhance scripts
+ * @param {string} root - Folder to walk
+ * @param {Object} options - Traversal options (optional)
+ * @param {Array<string>} options.include - Globs a lens JSON file must match (all JSON files when empty)
+ * @param {Array<string>} options.exclude - Globs of files and folders to leave out
+ * @param {number} options.maxFileSize - Size limit in bytes (defaults to 2 MB)
+ * @param {string} options.baseDir - Folder globs and .lensignore patterns are relative to, such as
+ *   the repository root (defaults to root); .lensignore files between it and root apply as well
+ * @param {Object} options.logger - Console-like logger for skipped folders and symlinks (defaults to console)
+ * @returns {Object} { json, scripts, tooLarge: [{ path, size }] } with absolute paths, in folder order
+ */
+function walkLensFiles(root, options = {}) {
+  const maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+  const exclude = ignore().add(options.exclude || []);
+  const include = options.include && options.include.length > 0 ? ignore().add(options.include) : null;
+  const files = { json: [], scripts: [], tooLarge: [] };
+  const logger = options.logger || console;
+
+  const rootReal = fs.realpathSync(root);
+  const visited = new Set();
+
+  // Relative paths use forward slashes, as globs and .lensignore patterns do
+  const isIgnored = (relativePath, isDirectory, matchers) => {
+    const candidate = isDirectory ? `${relativePath}/` : relativePath;
+    if (exclude.ignores(candidate)) {
+      return true;
+    }
+    return matchers.some(({ base, matcher }) => {
+      const fromBase = base ? relativePath.slice(base.length + 1) : relativePath;
+      return matcher.ignores(isDirectory ? `${fromBase}/` : fromBase);
+    });
+  };
+
+  function traverse(dir, relativeDir, matchers) {
+    const realDir = fs.realpathSync(dir);
+    if (visited.has(realDir)) {
+      logger.debug(`Skipping ${dir}: folder already walked through another path (symlink)`);
+      return;
+    }
+    visited.add(realDir);
+
+    const ownIgnore = readIgnoreFile(dir);
+    const dirMatchers = ownIgnore ? [...matchers, { base: relativeDir, matcher: ownIgnore }] : matchers;
+
+    // Real files and folders first, so a folder reached by a symlink as well is listed under its own path
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    const ordered = [...entries.filter((entry) => !entry.isSymbolicLink()), ...entries.filter((entry) => entry.isSymbolicLink())];
+
+    for (const entry of ordered) {
+      if (ALWAYS_IGNORED.includes(entry.name)) {
+        continue;
+      }
+      const filePath = path.join(dir, entry.name);
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      let stat;
+      try {
+        stat = fs.statSync(filePath);
+      } catch (error) {
+        // Dangling symlink or removed while walking
+        continue;
+      }
+      if (entry.isSymbolicLink() && !isInside(rootReal, fs.realpathSync(filePath))) {
+        logger.debug(`Skipping ${filePath}: symlink points outside ${root}`);
+        continue;
+      }
+
+      if (stat.isDirectory()) {
+        if (!isIgnored(relativePath, true, dirMatchers)) {
+          traverse(filePath, relativePath, dirMatchers);
+        }
+        continue;
+      }
+
+      const extension = path.extname(entry.name);
+      if (!stat.isFile() || (extension !== '.json' && extension !== '.js' && !isTypeScriptFile(entry.name))) {
+        continue;
+      }
+      if (isIgnored(relativePath, false, dirMatchers)) {
+        continue;
+      }
+      if (extension === '.json' && include && !include.ignores(relativePath)) {
+        continue;
+      }
+
+      if (stat.size > maxFileSize) {
+        files.tooLarge.push({ path: filePath, size: stat.size });
+      } else if (extension === '.json') {
+        files.json.push(filePath);
+      } else {
+        files.scripts.push(filePath);
+      }
+    }
+  }
+
+  // .lensignore files of the folders above root, down from baseDir
+  const baseDir = options.baseDir && isInside(options.baseDir, root) ? options.baseDir : root;
+  const rootRelative = path.relative(baseDir, root).split(path.sep).join('/');
+  const matchers = [];
+  if (rootRelative) {
+    const folders = rootRelative.split('/');
+    for (let depth = 0; depth < folders.length; depth++) {
+      const relativeDir = folders.slice(0, depth).join('/');
+      const matcher = readIgnoreFile(path.join(baseDir, relativeDir));
+      if (matcher) {
+        matchers.push({ base: relativeDir, matcher });
+      }
+    }
+  }
+
+  traverse(root, rootRelative, matchers);
+  return files;
+}
+
+module.exports = {
+  walkLensFiles,
+  DEFAULT_MAX_FILE_SIZE
+};
@@ -0,0 +1,278 @@
+/**
+ * Lens list queries
+ *
+ * Filtering, sorting, pagination and summaries for GET /lenses, applied to
+ * the lens entries of the catalogue ({ name, url, version, status, lens, ... }).
+ */
+
+// Query parameters that select lenses or shape the list
+const FILTER_PARAMETERS = ['status', 'version', 'publisher', 'jurisdiction', 'q'];
+const LIST_PARAMETERS = [...FILTER_PARAMETERS, 'detail', 'sort', 'limit', 'offset'];
+
+// Fields lenses can be sorted on
+const SORT_FIELDS = ['name', 'title', 'version', 'status', 'date', 'publisher'];
+
+const DETAIL_MODES = ['names', 'summary'];
+
+/**
+ * Create a 400 error for an invalid query
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function queryError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Lower-case a string and strip accents, for case and accent insensitive matching
+ * @param {*} value
+ * @returns {string}
+ */
+function fold(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Read a single-valued query parameter
+ * @param {Object} query - Express query object
+ * @param {string} name - Parameter name
+ * @returns {string|undefined}
+ */
+function single(query, name) {
+  const value = query[name];
+  if (value === undefined) {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    throw queryError(`Query parameter '${name}' must be given once`);
+  }
+  return value;
+}
+
+/**
+ * Read a comma separated list parameter
+ * @param {Object} query - Express query object
+ * @param {string} name - Parameter name
+ * @returns {Array<string>|undefined}
+ */
+function list(query, name) {
+  const value = single(query, name);
+  if (value === undefined) {
+    return undefined;
+  }
+  const values = value.split(',').map((v) => v.trim()).filter(Boolean);
+  if (values.length === 0) {
+    throw queryError(`Query parameter '${name}' needs a value`);
+  }
+  return values;
+}
+
+/**
+ * Read a non-negative integer parameter
+ * @param {Object} query - Express query object
+ * @param {string} name - Parameter name
+ * @returns {number|undefined}
+ */
+function integer(query, name) {
+  const value = single(query, name);
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw queryError(`Query parameter '${name}' must be a non-negative integer`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Check whether a query asks for more than the plain list of names
+ * @param {Object} query - Express query object
+ * @returns {boolean}
+ */
+function isListQuery(query) {
+  return LIST_PARAMETERS.some((name) => query[name] !== undefined);
+}
+
+/**
+ * Parse the query parameters of GET /lenses
+ * @param {Object} query - Express query object
+ * @returns {Object} { filters: { status?, version?, publisher?, jurisdiction?, q? }, sort: [{ field, descending }], detail, offset, limit? }
+ * @throws {Error} 400 error when a parameter is invalid
+ */
+function parseLensQuery(query) {
+  const detail = single(query, 'detail') || 'names';
+  if (!DETAIL_MODES.includes(detail)) {
+    throw queryError(`Query parameter 'detail' must be one of: ${DETAIL_MODES.join(', ')}`);
+  }
+
+  const sort = (list(query, 'sort') || []).map((key) => {
+    const descending = key.startsWith('-');
+    const field = descending ? key.slice(1) : key;
+    if (!SORT_FIELDS.includes(field)) {
+      throw queryError(`Cannot sort on '${field}'; use one of: ${SORT_FIELDS.join(', ')}`);
+    }
+    return { field, descending };
+  });
+
+  const q = single(query, 'q');
+  const publisher = single(query, 'publisher');
+
+  return {
+    filters: {
+      status: list(query, 'status'),
+      version: list(query, 'version'),
+      publisher: publisher ? fold(publisher) : undefined,
+      jurisdiction: list(query, 'jurisdiction'),
+      q: q ? fold(q).split(/\s+/).filter(Boolean) : undefined
+    },
+    sort,
+    detail,
+    offset: integer(query, 'offset') || 0,
+    limit: integer(query, 'limit')
+  };
+}
+
+/**
+ * Check whether a lens has one of the given jurisdictions
+ * Values are a code (`ES`), `system|code`, or the jurisdiction text.
+ * @param {Object} resource - Library resource
+ * @param {Array<string>} values - Jurisdictions searched for
+ * @returns {boolean}
+ */
+function hasJurisdiction(resource, values) {
+  const jurisdictions = Array.isArray(resource.jurisdiction) ? resource.jurisdiction : [];
+
+  return values.some((value) => {
+    const [system, code] = value.includes('|') ? value.split('|') : [null, value];
+    return jurisdictions.some((concept) => {
+      if (!system && concept && typeof concept.text === 'string' && fold(concept.text) === fold(code)) {
+        return true;
+      }
+      return (concept && Array.isArray(concept.coding) ? concept.coding : []).some((coding) =>
+        coding && typeof coding.code === 'string' &&
+        fold(coding.code) === fold(code) &&
+        (!system || coding.system === system));
+    });
+  });
+}
+
+/**
+ * Check whether a lens matches all filters
+ * @param {Object} lens - Lens entry from the catalogue
+ * @param {Object} filters - Filters from parseLensQuery
+ * @returns {boolean}
+ */
+function matchesFilters(lens, filters) {
+  const resource = lens.lens || {};
+
+  if (filters.status && !filters.status.includes(resource.status)) {
+    return false;
+  }
+  if (filters.version && !filters.version.includes(resource.version)) {
+    return false;
+  }
+  if (filters.publisher && !(typeof resource.publisher === 'string' && fold(resource.publisher).includes(filters.publisher))) {
+    return false;
+  }
+  if (filters.jurisdiction && !hasJurisdiction(resource, filters.jurisdiction)) {
+    return false;
+  }
+  if (filters.q) {
+    // Every word must appear in the title, description or purpose
+    const text = fold([resource.title, resource.description, resource.purpose].filter((t) => typeof t === 'string').join(' '));
+    if (!filters.q.every((word) => text.includes(word))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Compare two lenses on the sort keys
+ * Versions and other values compare with numbers in natural order (1.10 after 1.9);
+ * lenses without a value come last.
+ * @param {Array} sort - Sort keys from parseLensQuery
+ * @returns {Function} Comparator
+ */
+function compareLenses(sort) {
+  const valueOf = (lens, field) => (field === 'name' ? lens.name : (lens.lens || {})[field]);
+
+  return (a, b) => {
+    for (const { field, descending } of sort) {
+      const valueA = valueOf(a, field);
+      const valueB = valueOf(b, field);
+      if (valueA === valueB) {
+        continue;
+      }
+      if (valueA === undefined || valueA === null) {
+        return 1;
+      }
+      if (valueB === undefined || valueB === null) {
+        return -1;
+      }
+      const order = String(valueA).localeCompare(String(valueB), undefined, { numeric: true, sensitivity: 'base' });
+      if (order !== 0) {
+        return descending ? -order : order;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Summarize a lens: its metadata without the content payload
+ * @param {Object} lens - Lens entry from the catalogue
+ * @returns {Object} { name, title, url, version, status, publisher, description, enhanceSource, contentHash, source }
+ */
+function summarizeLens(lens) {
+  const resource = lens.lens || {};
+  const content = Array.isArray(resource.content) ? resource.content[0] : undefined;
+
+  return {
+    name: lens.name,
+    title: resource.title,
+    url: lens.url,
+    version: lens.version,
+    status: lens.status,
+    publisher: resource.publisher,
+    description: resource.description,
+    enhanceSource: lens.enhanceSource,
+    contentHash: content && content.hash,
+    source: lens.source && lens.source.id
+  };
+}
+
+/**
+ * Filter, sort and paginate lenses
+ * @param {Array} lenses - Lens entries from the catalogue
+ * @param {Object} query - Parsed query from parseLensQuery
+ * @returns {Object} { lenses: names or summaries, total, offset, limit? }
+ */
+function applyLensQuery(lenses, query) {
+  const matching = lenses.filter((lens) => matchesFilters(lens, query.filters));
+  if (query.sort.length > 0) {
+    matching.sort(compareLenses(query.sort));
+  }
+
+  const end = query.limit === undefined ? undefined : query.offset + query.limit;
+  const page = matching.slice(query.offset, end);
+
+  const result = {
+    lenses: query.detail === 'summary' ? page.map(summarizeLens) : page.map((lens) => lens.name),
+    total: matching.length,
+    offset: query.offset
+  };
+  if (query.limit !== undefined) {
+    result.limit = query.limit;
+  }
+  return result;
+}
+
+module.exports = {
+  isListQuery,
+  parseLensQuery,
+  applyLensQuery,
+  summarizeLens
+};
@@ -0,0 +1,112 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { analyzeEnhanceScript } = require('./scriptAnalyzer');
+
+const WORKER_PATH = path.join(__dirname, 'sandboxWorker.js');
+
+// Sandbox limits, configurable from the environment
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.PREVIEW_TIMEOUT_MS || '5000', 10);
+const DEFAULT_MEMORY_MB = parseInt(process.env.PREVIEW_MEMORY_MB || '64', 10);
+
+/**
+ * Run a lens enhance function in a sandbox
+ * The code runs in a worker thread with a heap limit, inside a vm context
+ * without access to require, process or eval. The worker is terminated when
+ * it exceeds the time limit (synchronous loops and pending promises alike).
+ * @param {string} code - Lens JavaScript source
+ * @param {Object} inputs - { epi, ips, pv, html } passed to the lens
+ * @param {Object} options - { timeoutMs, memoryMb } (optional, default from env)
+ * @returns {Promise<Object>} { result, logs: [{ level, message }], errors: [{ name, message }], durationMs }
+ */
+async function runEnhance(code, inputs, options = {}) {
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const memoryMb = options.memoryMb || DEFAULT_MEMORY_MB;
+  const startedAt = Date.now();
+
+  let analysis;
+  try {
+    analysis = analyzeEnhanceScript(code);
+  } catch (syntaxError) {
+    return {
+      logs: [],
+      errors: [{ name: 'SyntaxError', message: syntaxError.message }],
+      durationMs: Date.now() - startedAt
+    };
+  }
+
+  if (analysis.sourceType === 'module') {
+    return {
+      logs: [],
+      errors: [{ name: 'UnsupportedError', message: 'ES module lens scripts cannot be run by the focusing engine; expose enhance with a top-level return or declaration' }],
+      durationMs: Date.now() - startedAt
+    };
+  }
+
+  const worker = new Worker(WORKER_PATH, {
+    workerData: {
+      code,
+      style: analysis.exportStyle === 'return' ? 'return' : 'script',
+      inputs: JSON.stringify(inputs),
+      timeoutMs
+    },
+    resourceLimits: {
+      maxOldGenerationSizeMb: memoryMb,
+      maxYoungGenerationSizeMb: Math.max(4, Math.floor(memoryMb / 8)),
+      codeRangeSizeMb: 16
+    },
+    env: {},
+    stdout: true,
+    stderr: true
+  });
+
+  const outcome = await new Promise((resolve) => {
+    let settled = false;
+    const finish = (value) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        resolve(value);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      worker.terminate();
+      finish({ logs: [], errors: [{ name: 'TimeoutError', message: `Lens did not finish within ${timeoutMs} ms` }] });
+    }, timeoutMs);
+
+    worker.once('message', (message) => {
+      finish({
+        result: message.result === undefined ? undefined : JSON.parse(message.result),
+        logs: message.logs,
+        errors: message.errors
+      });
+    });
+
+    worker.once('error', (error) => {
+      const outOfMemory = error.code === 'ERR_WORKER_OUT_OF_MEMORY';
+      finish({
+        logs: [],
+        errors: [{
+          name: outOfMemory ? 'MemoryLimitError' : (error.name || 'Error'),
+          message: outOfMemory ? `Lens exceeded the memory limit of ${memoryMb} MB` : error.message
+        }]
+      });
+    });
+
+    worker.once('exit', (exitCode) => {
+      // Exit without a message: the lens left a promise that can never settle
+      const message = exitCode === 0
+        ? 'Lens enhance returned a promise that never settled'
+        : `Sandbox exited unexpectedly (code ${exitCode})`;
+      finish({ logs: [], errors: [{ name: 'Error', message }] });
+    });
+  });
+
+  await worker.terminate();
+
+  return { ...outcome, durationMs: Date.now() - startedAt };
+}
+
+module.exports = {
+  runEnhance
+};
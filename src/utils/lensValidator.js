@@ -1,166 +1,312 @@
 const fs = require('fs');
 const path = require('path');
+const Ajv = require('ajv');
+const { analyzeEnhanceScript, parseScript } = require('./scriptAnalyzer');
+const { walkLensFiles, DEFAULT_MAX_FILE_SIZE } = require('./lensFiles');
+const { bundleEnhanceScript } = require('./scriptBundler');
+const { isTypeScriptFile, compileTypeScript, exportsToScript } = require('./tsCompiler');
+const { completeAttachment, checkAttachment } = require('./attachment');
+const { MANIFEST_FILE, isManifestFile, readManifest, findMappedScript, getApplicableManifests, getManifestScripts } = require('./scriptMapping');
 
 /**
- * FHIR Lens JSON Schema (simplified validation)
- * Based on: https://build.fhir.org/ig/hl7-eu/gravitate-health/StructureDefinition-lens.html
+ * FHIR Lens JSON Schema
+ * Local rendering of the Gravitate Health Lens StructureDefinition:
+ * https://build.fhir.org/ig/hl7-eu/gravitate-health/StructureDefinition-lens.html
  */
-const FHIR_LENS_SCHEMA = {
-  type: 'object',
-  properties: {
-    resourceType: { type: 'string', enum: ['Library'] },
-    id: { type: 'string' },
-    url: { type: 'string' },
-    name: { type: 'string' },
-    status: { type: 'string' },
-    content: {
-      type: 'array',
-      items: {
-        type: 'object',
-        properties: {
-          data: { type: 'string' } // base64 encoded
-        }
-      }
-    }
-  },
-  required: ['resourceType', 'url', 'name', 'status', 'content']
+const FHIR_LENS_SCHEMA = require('../schemas/lens.schema.json');
+
+// base64Binary as defined by FHIR: base64 alphabet, padded, whitespace allowed
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addFormat('base64Binary', (value) => BASE64_PATTERN.test(value.replace(/\s/g, '')));
+const validateLensSchema = ajv.compile(FHIR_LENS_SCHEMA);
+
+// Map Ajv keywords to FHIR OperationOutcome issue types
+const ISSUE_CODES = {
+  required: 'required',
+  minItems: 'required',
+  type: 'structure',
+  additionalProperties: 'structure',
+  const: 'value',
+  enum: 'value',
+  pattern: 'value',
+  format: 'value',
+  minimum: 'value',
+  contains: 'value'
 };
 
 /**
- * Validates if a JSON object conforms to FHIR Lens profile
- * @param {Object} lens - The lens object to validate
- * @returns {Object} { isValid: boolean, errors: string[] }
+ * Convert an Ajv instance path to a FHIRPath expression
+ * e.g. /content/0/data -> Library.content[0].data
+ * @param {string} instancePath - JSON pointer of the failing element
+ * @returns {string} FHIRPath expression
  */
-function validateFHIRLens(lens) {
-  const errors = [];
-
-  if (!lens || typeof lens !== 'object') {
-    return { isValid: false, errors: ['Lens must be a JSON object'] };
+function toFHIRPath(instancePath) {
+  let expression = 'Library';
+  for (const segment of instancePath.split('/').slice(1)) {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    expression += /^\d+$/.test(key) ? `[${key}]` : `.${key}`;
   }
+  return expression;
+}
 
-  if (lens.resourceType !== 'Library') {
-    errors.push('resourceType must be "Library"');
+/**
+ * Convert an Ajv error into a FHIR OperationOutcome issue
+ * @param {Object} error - Ajv error object
+ * @returns {Object} OperationOutcome.issue entry
+ */
+function toIssue(error) {
+  let expression = toFHIRPath(error.instancePath);
+  let diagnostics;
+
+  switch (error.keyword) {
+    case 'required':
+      expression += `.${error.params.missingProperty}`;
+      diagnostics = `${expression} is required`;
+      break;
+    case 'additionalProperties':
+      expression += `.${error.params.additionalProperty}`;
+      diagnostics = `${expression} is not an element of the Lens profile`;
+      break;
+    case 'const':
+      diagnostics = `${expression} must be ${JSON.stringify(error.params.allowedValue)}`;
+      break;
+    case 'enum':
+      diagnostics = `${expression} must be one of ${error.params.allowedValues.map((v) => JSON.stringify(v)).join(', ')}`;
+      break;
+    case 'format':
+      diagnostics = `${expression} must be valid ${error.params.format}`;
+      break;
+    default:
+      diagnostics = `${expression} ${error.message}`;
   }
 
-  if (!lens.url || typeof lens.url !== 'string') {
-    errors.push('url is required and must be a string');
-  }
+  return {
+    severity: 'error',
+    code: ISSUE_CODES[error.keyword] || 'invalid',
+    diagnostics,
+    expression: [expression]
+  };
+}
 
-  if (!lens.name || typeof lens.name !== 'string') {
-    errors.push('name is required and must be a string');
-  }
+/**
+ * Check FHIR invariant ext-1 on all extensions of the lens:
+ * an extension must have either nested extensions or a value[x], not both
+ * @param {Object} lens - The lens object
+ * @returns {Array} OperationOutcome.issue entries
+ */
+function checkExtensionInvariant(lens) {
+  const issues = [];
 
-  if (!lens.status || typeof lens.status !== 'string') {
-    errors.push('status is required and must be a string');
+  function visit(extensions, basePath) {
+    if (!Array.isArray(extensions)) {
+      return;
+    }
+    extensions.forEach((extension, index) => {
+      if (!extension || typeof extension !== 'object') {
+        return;
+      }
+      const expression = `${basePath}[${index}]`;
+      const hasValue = Object.keys(extension).some((key) => /^value[A-Z]/.test(key));
+      const hasExtensions = Array.isArray(extension.extension) && extension.extension.length > 0;
+      if (hasValue === hasExtensions) {
+        issues.push({
+          severity: 'error',
+          code: 'invariant',
+          diagnostics: `${expression} must have either extensions or value[x], not both (ext-1)`,
+          expression: [expression]
+        });
+      }
+      visit(extension.extension, `${expression}.extension`);
+    });
   }
 
-  if (!Array.isArray(lens.content)) {
-    errors.push('content must be an array');
+  visit(lens.extension, 'Library.extension');
+  visit(lens.modifierExtension, 'Library.modifierExtension');
+  return issues;
+}
+
+/**
+ * Build a FHIR OperationOutcome from a list of issues
+ * @param {Array} issues - OperationOutcome.issue entries
+ * @returns {Object} OperationOutcome resource
+ */
+function toOperationOutcome(issues) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: issues.length > 0 ? issues : [{
+      severity: 'information',
+      code: 'informational',
+      diagnostics: 'Lens conforms to the Gravitate Health Lens profile'
+    }]
+  };
+}
+
+/**
+ * Validates if a JSON object conforms to FHIR Lens profile
+ * @param {Object} lens - The lens object to validate
+ * @returns {Object} { isValid: boolean, errors: string[], outcome: OperationOutcome }
+ */
+function validateFHIRLens(lens) {
+  let issues;
+
+  if (!lens || typeof lens !== 'object' || Array.isArray(lens)) {
+    issues = [{
+      severity: 'error',
+      code: 'structure',
+      diagnostics: 'Lens must be a JSON object',
+      expression: ['Library']
+    }];
   } else {
-    let hasBase64Content = false;
-    for (const item of lens.content) {
-      if (item.data && typeof item.data === 'string') {
-        hasBase64Content = true;
-        break;
-      }
-    }
-    if (!hasBase64Content) {
-      errors.push('content must include at least one item with base64 encoded data');
-    }
+    issues = validateLensSchema(lens) ? [] : validateLensSchema.errors.map(toIssue);
+    issues.push(...checkExtensionInvariant(lens));
   }
 
   return {
-    isValid: errors.length === 0,
-    errors
+    isValid: issues.length === 0,
+    errors: issues.map((issue) => issue.diagnostics),
+    outcome: toOperationOutcome(issues)
   };
 }
 
+/**
+ * Check whether all validation issues concern the lens content
+ * Such lenses can still be completed with an enhance JS file.
+ * @param {Object} validation - Result of validateFHIRLens
+ * @returns {boolean} True when the only problems are under Library.content
+ */
+function hasOnlyContentIssues(validation) {
+  const issues = validation.outcome.issue.filter((issue) => issue.severity === 'error');
+  return issues.length > 0 && issues.every((issue) =>
+    (issue.expression || []).every((expression) => /^Library\.content(\[|\.|$)/.test(expression))
+  );
+}
+
 /**
  * Recursively find all JSON files in a directory
+ * Ignored, excluded and oversized files are left out (see walkLensFiles).
  * @param {string} dir - Directory to search
+ * @param {Object} options - Traversal options (optional, see walkLensFiles)
  * @returns {string[]} Array of file paths
  */
-function findJsonFiles(dir) {
-  const jsonFiles = [];
+function findJsonFiles(dir, options = {}) {
+  return walkLensFiles(dir, options).json;
+}
 
-  function traverse(currentDir) {
-    const files = fs.readdirSync(currentDir);
+/**
+ * Describe a file above the size limit
+ * @param {Object} file - { path, size } entry of walkLensFiles
+ * @param {Object} options - Traversal options
+ * @returns {string}
+ */
+function tooLargeMessage(file, options) {
+  const limit = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+  return `File is ${file.size} bytes, above the limit of ${limit} bytes`;
+}
 
-    for (const file of files) {
-      const filePath = path.join(currentDir, file);
-      const stat = fs.statSync(filePath);
+/**
+ * Check whether a file is an enhance script (JavaScript or TypeScript source)
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+function isScriptFile(filePath) {
+  return path.extname(filePath) === '.js' || isTypeScriptFile(filePath);
+}
 
-      if (stat.isDirectory()) {
-        traverse(filePath);
-      } else if (path.extname(file) === '.json') {
-        jsonFiles.push(filePath);
-      }
-    }
+/**
+ * Parse an enhance script as the focusing engine will get it
+ * TypeScript is compiled first, and the exports of ES modules are turned into
+ * declarations (see exportsToScript), as the bundler does.
+ * @param {string} filePath - Script path
+ * @param {Object} options - { scriptTarget } (optional)
+ * @returns {Object} Analysis from analyzeEnhanceScript
+ * @throws {Error} Read error (with a `code`), syntax error or compile error
+ */
+function analyzeScriptFile(filePath, options = {}) {
+  let content = fs.readFileSync(filePath, 'utf8');
+  if (isTypeScriptFile(filePath)) {
+    content = compileTypeScript(content, { file: path.basename(filePath), target: options.scriptTarget, script: true });
+  } else if (parseScript(content).sourceType === 'module') {
+    content = exportsToScript(content);
   }
+  return analyzeEnhanceScript(content);
+}
 
-  traverse(dir);
-  return jsonFiles;
+/**
+ * Keep what lens entries report of a script analysis
+ * @param {Object} analysis - Analysis from analyzeEnhanceScript
+ * @returns {Object} { exportStyle, params, async }
+ */
+function summarizeScript(analysis) {
+  return {
+    exportStyle: analysis.exportStyle,
+    params: analysis.params,
+    async: analysis.async
+  };
 }
 
 /**
- * Find JavaScript files with an enhance function
+ * Find JavaScript and TypeScript files with an enhance function
+ * Files are parsed (TypeScript after transpiling), so only scripts that
+ * actually expose `enhance` (ES module export, CommonJS export, top-level
+ * `return { enhance }` or top-level declaration) count. Files that do not
+ * parse or compile, or are above the size limit, are recorded under `errors`.
+ * A TypeScript source wins over a JavaScript file of the same name.
  * @param {string} dir - Directory to search
- * @returns {Object} Object with exact matches and fallback files per directory
+ * @param {Object} options - Traversal options (optional, see walkLensFiles)
+ * @param {string} options.scriptTarget - JavaScript target of TypeScript sources (optional)
+ * @param {Object} options.files - Result of an earlier walkLensFiles of dir, to avoid walking twice
+ * @param {Object} options.logger - Console-like logger for scripts that do not parse (optional, defaults to console)
+ * @returns {Object} Object with exact matches, fallback files per directory,
+ *   script analyses and syntax errors
  */
-function findEnhanceFiles(dir) {
+function findEnhanceFiles(dir, options = {}) {
   const enhanceFiles = {
-    exact: {},      // Map of JSON file path to matching JS file path
-    fallback: {}    // Map of directory to array of JS file paths with enhance functions
+    exact: {},      // Map of JSON file path to matching script path
+    fallback: {},   // Map of directory to array of script paths with enhance functions
+    scripts: {},    // Map of script path to its analysis ({ exportStyle, params, async })
+    errors: {}      // Map of script path to its syntax or compile error message
   };
 
-  function traverse(currentDir) {
-    const files = fs.readdirSync(currentDir);
-    const jsFilesInDir = [];
-
-    for (const file of files) {
-      const filePath = path.join(currentDir, file);
-      const stat = fs.statSync(filePath);
-
-      if (stat.isDirectory()) {
-        traverse(filePath);
-      } else if (path.extname(file) === '.js') {
-        try {
-          const content = fs.readFileSync(filePath, 'utf8');
-          // Check if the file contains an enhance function using regex
-          const enhancePatterns = [
-            /function\s+enhance\s*\(/,
-            /const\s+enhance\s*=/,
-            /let\s+enhance\s*=/,
-            /var\s+enhance\s*=/,
-            /enhance\s*:\s*function/,
-            /enhance\s*:\s*async\s+function/,
-            /enhance:\s*enhance/
-          ];
-          
-          const hasEnhance = enhancePatterns.some(pattern => pattern.test(content));
-          
-          if (hasEnhance) {
-            // Store mapping from potential JSON file name to JS file path
-            const baseName = path.basename(file, '.js');
-            const jsonFilePath = path.join(currentDir, baseName + '.json');
-            enhanceFiles.exact[jsonFilePath] = filePath;
-            
-            // Also track all JS files with enhance in this directory for fallback
-            jsFilesInDir.push(filePath);
-          }
-        } catch (e) {
-          // Skip files that can't be read
-        }
+  const files = options.files || walkLensFiles(dir, options);
+  const logger = options.logger || console;
+
+  for (const file of files.tooLarge) {
+    if (isScriptFile(file.path)) {
+      enhanceFiles.errors[file.path] = tooLargeMessage(file, options);
+    }
+  }
+
+  for (const filePath of files.scripts) {
+    let analysis;
+    try {
+      analysis = analyzeScriptFile(filePath, options);
+    } catch (scriptError) {
+      if (scriptError.code) {
+        // Skip files that can't be read
+        continue;
       }
+      logger.debug(`Cannot parse JS file ${filePath}: ${scriptError.message}`);
+      enhanceFiles.errors[filePath] = scriptError.message;
+      continue;
     }
 
-    // Store fallback options for this directory
-    if (jsFilesInDir.length > 0) {
-      enhanceFiles.fallback[currentDir] = jsFilesInDir;
+    if (analysis.hasEnhance) {
+      // Store mapping from potential JSON file name to JS file path
+      const currentDir = path.dirname(filePath);
+      const jsonFilePath = path.join(currentDir, path.basename(filePath, path.extname(filePath)) + '.json');
+      if (!enhanceFiles.exact[jsonFilePath] || isTypeScriptFile(filePath)) {
+        enhanceFiles.exact[jsonFilePath] = filePath;
+      }
+      enhanceFiles.scripts[filePath] = summarizeScript(analysis);
+
+      // Also track all JS files with enhance in this directory for fallback
+      enhanceFiles.fallback[currentDir] = enhanceFiles.fallback[currentDir] || [];
+      enhanceFiles.fallback[currentDir].push(filePath);
     }
   }
 
-  traverse(dir);
   return enhanceFiles;
 }
 
@@ -211,22 +357,166 @@ function isLensMissingBase64Content(jsonData) {
 }
 
 
+/**
+ * Describe why a script cannot enhance a lens
+ * @param {string} script - Script path
+ * @param {string} message - Syntax, compile or size error
+ * @returns {Object} { reason, errors } of a rejected report entry
+ */
+function scriptRejection(script, message) {
+  return {
+    reason: isTypeScriptFile(script) ? 'compile-error' : 'script-error',
+    errors: [`${path.basename(script)}: ${message}`]
+  };
+}
+
+/**
+ * Choose the enhance script of a lens missing its content
+ * In order: the script named by the lens enhance-script extension or by a
+ * lens-manifest.json, the script of the same name, then a script of the same
+ * folder that no other lens claims. Several such scripts are an ambiguous
+ * fallback: the first is used with a warning, or the lens is refused under
+ * `strict`. Without any script the default enhance function is used only
+ * when `defaultEnhance` is set.
+ * @param {string} filePath - Lens JSON path
+ * @param {Object} lens - Lens Library JSON
+ * @param {Object} context - { enhanceFiles, manifests, claimed, root, options }
+ * @returns {Object} { file, source, warnings } (file null for the default function),
+ *   or { rejection } with the reason and errors of a rejected report entry
+ */
+function selectEnhanceScript(filePath, lens, context) {
+  const { enhanceFiles, manifests, claimed, root, options } = context;
+
+  const mapped = findMappedScript(filePath, lens, manifests);
+  if (mapped) {
+    const named = mapped.source === 'extension' ? 'the enhance-script extension' : MANIFEST_FILE;
+    const relative = path.relative(root, mapped.script);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return { rejection: { reason: 'missing-script', errors: [`Script ${mapped.script} named by ${named} is outside the lens folder`] } };
+    }
+    if (enhanceFiles.errors[mapped.script]) {
+      return { file: mapped.script, source: mapped.source, rejection: scriptRejection(mapped.script, enhanceFiles.errors[mapped.script]) };
+    }
+    if (!enhanceFiles.scripts[mapped.script]) {
+      // Mapped scripts are used even when the walk left them out (e.g. listed in .lensignore)
+      let analysis;
+      try {
+        analysis = analyzeScriptFile(mapped.script, options);
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+          return { rejection: { reason: 'missing-script', errors: [`Script ${relative} named by ${named} does not exist`] } };
+        }
+        return { file: mapped.script, source: mapped.source, rejection: scriptRejection(mapped.script, error.message) };
+      }
+      if (!analysis.hasEnhance) {
+        return { file: mapped.script, source: mapped.source, rejection: scriptRejection(mapped.script, 'no enhance function found') };
+      }
+      enhanceFiles.scripts[mapped.script] = summarizeScript(analysis);
+    }
+    return { file: mapped.script, source: mapped.source, warnings: [] };
+  }
+
+  // A same-named script that does not parse or compile (or is too large) must not be
+  // replaced by another one; a TypeScript source wins over a JS file of the same name
+  const exact = enhanceFiles.exact[filePath];
+  const brokenScript = ['.ts', '.js']
+    .map((extension) => filePath.replace(/\.json$/, extension))
+    .find((script) => enhanceFiles.errors[script]);
+  if (brokenScript && (!exact || (isTypeScriptFile(brokenScript) && !isTypeScriptFile(exact)))) {
+    return { file: brokenScript, rejection: scriptRejection(brokenScript, enhanceFiles.errors[brokenScript]) };
+  }
+  if (exact) {
+    return { file: exact, source: 'exact-match', warnings: [] };
+  }
+
+  // Otherwise a script of the same folder, leaving out those of other lenses
+  const candidates = (enhanceFiles.fallback[path.dirname(filePath)] || []).filter((script) => !claimed.has(script));
+  const warnings = [];
+  if (candidates.length > 1) {
+    const message = `Several scripts could enhance this lens (${candidates.map((script) => path.basename(script)).join(', ')}); ` +
+      `name one in ${MANIFEST_FILE} or with the enhance-script extension`;
+    if (options.strict) {
+      return { rejection: { reason: 'ambiguous-script', errors: [message] } };
+    }
+    warnings.push(`${message}. Using ${path.basename(candidates[0])}`);
+  }
+  if (candidates.length > 0) {
+    return { file: candidates[0], source: 'fallback', warnings };
+  }
+
+  if (options.defaultEnhance) {
+    return { file: null, source: 'default', warnings };
+  }
+  return {
+    rejection: {
+      reason: 'missing-script',
+      errors: [`No enhance script found: add ${path.basename(filePath, '.json')}.js next to the lens, ` +
+        `name one in ${MANIFEST_FILE} or with the enhance-script extension, or enable the default enhance function`]
+    }
+  };
+}
+
 /**
  * Discover and validate lenses from a folder
  * @param {string} lensFilePath - path to folder with lenses
+ * @param {Object} options - Discovery options (optional)
+ * @param {Array<string>} options.include - Globs a lens JSON file must match (optional)
+ * @param {Array<string>} options.exclude - Globs of files and folders to leave out (optional)
+ * @param {number} options.maxFileSize - Size limit of lens and script files in bytes (optional)
+ * @param {string} options.scriptTarget - JavaScript target of TypeScript enhance scripts (optional, defaults to es2017)
+ * @param {boolean} options.minify - Minify TypeScript enhance scripts once compiled (optional)
+ * @param {boolean} options.strict - Refuse lenses whose fallback script is ambiguous (optional)
+ * @param {boolean} options.defaultEnhance - Use the default enhance function for lenses without a script (optional)
+ * @param {string} options.baseDir - Repository root: globs and .lensignore files are relative to it and
+ *   enhance scripts can import files anywhere below it (optional, defaults to lensFilePath)
+ * @param {Object} options.logger - Console-like { log, debug, warn, error } the discovery log goes to (optional, defaults to console)
+ * @param {Function} options.onFile - Called with a report entry for every JSON file scanned:
+ *   { path, status: 'accepted'|'enhanced'|'rejected', name?, enhanceSource?, enhancedWithJs?, enhanceImports?, reason?, errors?, outcome? }
  * @returns {Promise<Array>} Array of valid lenses with metadata
  */
-async function discoverLenses(lensFilePath) {
+async function discoverLenses(lensFilePath, options = {}) {
+  const report = options.onFile || (() => {});
+  const logger = options.logger || console;
 
   try {
-    let lensFiles = [];
-    let enhanceFiles = {};
-
-    lensFiles = findJsonFiles(lensFilePath);
-    enhanceFiles = findEnhanceFiles(lensFilePath);
+    const files = walkLensFiles(lensFilePath, options);
+    const enhanceFiles = findEnhanceFiles(lensFilePath, { ...options, files });
+    const root = options.baseDir || lensFilePath;
 
     const validLenses = [];
 
+    // Script manifests are read first; they are not lenses themselves
+    const lensFiles = [];
+    const manifests = [];
+    for (const filePath of files.json) {
+      if (!isManifestFile(filePath)) {
+        lensFiles.push(filePath);
+        continue;
+      }
+      try {
+        manifests.push(readManifest(filePath));
+      } catch (error) {
+        logger.debug(`Invalid script manifest ${filePath}: ${error.message}`);
+        report({ path: filePath, status: 'rejected', reason: 'invalid-manifest', errors: [error.message] });
+      }
+    }
+
+    // Scripts of the same name as a lens, or mapped by a manifest, are never another lens's fallback
+    const claimed = getManifestScripts(manifests);
+    for (const filePath of lensFiles) {
+      if (enhanceFiles.exact[filePath]) {
+        claimed.add(enhanceFiles.exact[filePath]);
+      }
+    }
+
+    for (const file of files.tooLarge) {
+      if (path.extname(file.path) === '.json') {
+        const message = `${tooLargeMessage(file, options)}; list it in .lensignore if it is not a lens`;
+        logger.debug(`Skipping lens file ${file.path}: ${message}`);
+        report({ path: file.path, status: 'rejected', reason: 'too-large', errors: [message] });
+      }
+    }
+
     for (const filePath of lensFiles) {
       try {
         const content = fs.readFileSync(filePath, 'utf8');
@@ -235,7 +525,23 @@ async function discoverLenses(lensFilePath) {
         const validation = validateFHIRLens(jsonData);
 
         if (validation.isValid) {
-          console.log(`Valid lens found: ${jsonData.name} in file ${filePath}`);
+          // A precomputed size or hash that does not match the data means the script was changed after it was computed
+          const hashIssues = jsonData.content.flatMap((attachment, index) => checkAttachment(attachment, `Library.content[${index}]`));
+          if (hashIssues.length > 0) {
+            logger.debug(`Lens content in file ${filePath} does not match its hash: ${hashIssues.map((issue) => issue.diagnostics).join('; ')}`);
+            report({
+              path: filePath,
+              status: 'rejected',
+              name: jsonData.name,
+              reason: 'hash-mismatch',
+              errors: hashIssues.map((issue) => issue.diagnostics),
+              outcome: toOperationOutcome(hashIssues)
+            });
+            continue;
+          }
+          jsonData.content.forEach(completeAttachment);
+
+          logger.log(`Valid lens found: ${jsonData.name} in file ${filePath}`);
           // Lens is valid
           validLenses.push({
             name: jsonData.name,
@@ -246,41 +552,66 @@ async function discoverLenses(lensFilePath) {
             hasBase64: true,
             lens: jsonData
           });
-        } else if ((validation.errors.length===1 && validation.errors[0].includes("content")) && isLensMissingBase64Content(jsonData)) {
-
-          // Prioritize JS file with the same name as the JSON file
-          let enhanceFile = enhanceFiles.exact[filePath];
-          let enhanceSource = 'exact-match';
-
-          console.debug(`Lens ${jsonData.name} is missing base64 content. Looking for enhance JS with matching name: ${filePath}`);
-
-          // If no exact match, look for any JS file in the same directory
-          if (!enhanceFile) {
-            const fileDir = path.dirname(filePath);
-            const fallbackFiles = enhanceFiles.fallback[fileDir];
-            if (fallbackFiles && fallbackFiles.length > 0) {
-              enhanceFile = fallbackFiles[0]; // Use the first available JS file
-              enhanceSource = 'fallback';
-              console.debug(`No exact match found, using fallback enhance JS: ${enhanceFile}`);
-            }
+          report({ path: filePath, status: 'accepted', name: jsonData.name });
+        } else if (hasOnlyContentIssues(validation) && isLensMissingBase64Content(jsonData)) {
+
+          logger.debug(`Lens ${jsonData.name} is missing base64 content. Looking for its enhance script`);
+
+          const selection = selectEnhanceScript(filePath, jsonData, { enhanceFiles, manifests, claimed, root, options });
+          if (selection.rejection) {
+            logger.debug(`No usable enhance script for lens ${jsonData.name}: ${selection.rejection.errors.join('; ')}`);
+            report({
+              path: filePath,
+              status: 'rejected',
+              name: jsonData.name,
+              ...selection.rejection,
+              enhanceSource: selection.source,
+              enhancedWithJs: selection.file || undefined
+            });
+            continue;
           }
 
+          let enhanceFile = selection.file;
+          let enhanceSource = selection.source;
+          const enhanceWarnings = selection.warnings;
           let base64Content;
-          
+          let enhanceImports = [];
+
           if (enhanceFile) {
-            console.log(`Enhancing lens ${jsonData.name} with JS file ${enhanceFile} (${enhanceSource})`);
+            logger.log(`Enhancing lens ${jsonData.name} with JS file ${enhanceFile} (${enhanceSource})`);
             try {
-              base64Content = jsToBase64(enhanceFile);
+              // Local files the script imports are bundled into it
+              const bundle = bundleEnhanceScript(enhanceFile, {
+                root,
+                maxFileSize: options.maxFileSize || DEFAULT_MAX_FILE_SIZE,
+                target: options.scriptTarget,
+                minify: options.minify
+              });
+              base64Content = Buffer.from(bundle.code).toString('base64');
+              enhanceImports = bundle.files;
             } catch (jsError) {
-              console.debug(`Failed to enhance lens with JS: ${jsError.message}, using default enhance`);
+              if (jsError.reason === 'import-error' || jsError.reason === 'compile-error' || !options.defaultEnhance) {
+                logger.debug(`Cannot bundle enhance script ${enhanceFile} for lens ${jsonData.name}: ${jsError.message}`);
+                report({
+                  path: filePath,
+                  status: 'rejected',
+                  name: jsonData.name,
+                  reason: jsError.reason || 'script-error',
+                  enhanceSource,
+                  enhancedWithJs: enhanceFile,
+                  errors: [jsError.message]
+                });
+                continue;
+              }
+              logger.debug(`Failed to enhance lens with JS: ${jsError.message}, using default enhance`);
+              enhanceWarnings.push(`Could not read enhance JS ${enhanceFile}: ${jsError.message}`);
               base64Content = getDefaultEnhanceBase64();
               enhanceFile = null;
               enhanceSource = 'default';
             }
           } else {
-            console.log(`No enhance JS found for lens ${jsonData.name}, using default enhance function`);
+            logger.log(`No enhance JS found for lens ${jsonData.name}, using default enhance function`);
             base64Content = getDefaultEnhanceBase64();
-            enhanceSource = 'default';
           }
 
           try {
@@ -289,6 +620,7 @@ async function discoverLenses(lensFilePath) {
               jsonData.content.push({});
             }
             jsonData.content[0].data = base64Content;
+            completeAttachment(jsonData.content[0]);
 
             const revalidation = validateFHIRLens(jsonData);
             if (revalidation.isValid) {
@@ -308,29 +640,86 @@ async function discoverLenses(lensFilePath) {
               if (enhanceSource) {
                 lensEntry.enhanceSource = enhanceSource;
               }
-              
+              if (enhanceFile && enhanceFiles.scripts[enhanceFile]) {
+                lensEntry.enhanceScript = enhanceFiles.scripts[enhanceFile];
+              }
+              if (enhanceImports.length > 0) {
+                lensEntry.enhanceImports = enhanceImports;
+              }
+              // Manifests that mapped the script, or could have: an extension in the lens JSON wins over them
+              const enhanceManifests = selection.source === 'extension'
+                ? []
+                : getApplicableManifests(filePath, manifests).map((manifest) => manifest.path);
+              if (enhanceManifests.length > 0) {
+                lensEntry.enhanceManifests = enhanceManifests;
+              }
+
               validLenses.push(lensEntry);
+              report({
+                path: filePath,
+                status: 'enhanced',
+                name: jsonData.name,
+                enhanceSource,
+                enhancedWithJs: enhanceFile || undefined,
+                enhanceScript: lensEntry.enhanceScript,
+                enhanceImports: lensEntry.enhanceImports,
+                warnings: enhanceWarnings.length > 0 ? enhanceWarnings : undefined
+              });
+            } else {
+              logger.debug(`Invalid lens in file ${filePath} after enhancement: ${revalidation.errors.join('; ')}`);
+              report({
+                path: filePath,
+                status: 'rejected',
+                name: jsonData.name,
+                reason: 'invalid-after-enhance',
+                enhanceSource,
+                enhancedWithJs: enhanceFile || undefined,
+                errors: revalidation.errors,
+                outcome: revalidation.outcome
+              });
             }
           } catch (enhanceError) {
-            console.debug(`Failed to enhance lens ${jsonData.name}: ${enhanceError.message}`);
+            logger.debug(`Failed to enhance lens ${jsonData.name}: ${enhanceError.message}`);
+            report({
+              path: filePath,
+              status: 'rejected',
+              name: jsonData.name,
+              reason: 'enhance-failed',
+              errors: [enhanceError.message]
+            });
           }
         } else {
-          console.debug(`Invalid lens in file ${filePath}: ${validation.errors.join('; ')}`);
+          logger.debug(`Invalid lens in file ${filePath}: ${validation.errors.join('; ')}`);
+          report({
+            path: filePath,
+            status: 'rejected',
+            name: jsonData && typeof jsonData.name === 'string' ? jsonData.name : undefined,
+            reason: 'invalid',
+            errors: validation.errors,
+            outcome: validation.outcome
+          });
         }
       } catch (error) {
-        console.debug(`Error processing file ${filePath}: ${error.message}`);
+        logger.debug(`Error processing file ${filePath}: ${error.message}`);
+        report({
+          path: filePath,
+          status: 'rejected',
+          reason: error instanceof SyntaxError ? 'parse-error' : 'read-error',
+          errors: [error.message]
+        });
       }
     }
 
     return validLenses;
   } catch (error) {
-    console.error(`Error discovering lenses:`, error.message);
+    logger.error(`Error discovering lenses:`, error.message);
     throw error;
   }
 }
 
 module.exports = {
   validateFHIRLens,
+  toOperationOutcome,
   discoverLenses,
   findJsonFiles,
   findEnhanceFiles,
@@ -0,0 +1,191 @@
+/**
+ * Local folder lens sources
+ *
+ * A source whose url is a file:// URL is read straight from disk instead of
+ * being cloned. The folder is watched so edits show up without a git push.
+ * Watching uses one non-recursive fs.watch per directory, as recursive
+ * watching is not available on Linux before Node 20.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Directories that never hold lenses and are not watched
+const IGNORED_DIRECTORIES = ['.git', 'node_modules'];
+
+// Files whose changes trigger a new discovery: lenses and scripts by
+// extension, and the ignore file, which changes which lenses are scanned
+const WATCHED_EXTENSIONS = ['.json', '.js', '.ts', '.cjs', '.mjs'];
+const WATCHED_NAMES = ['.lensignore'];
+
+/**
+ * Check whether changes to a file trigger a new discovery
+ * @param {string} filePath - File path or name
+ * @returns {boolean}
+ */
+function isWatchedFile(filePath) {
+  return WATCHED_EXTENSIONS.includes(path.extname(filePath)) || WATCHED_NAMES.includes(path.basename(filePath));
+}
+
+/**
+ * List a folder and its sub-folders, leaving out ignored directories
+ * @param {string} root - Folder to walk
+ * @returns {Array<string>} Absolute directory paths, root first
+ */
+function listDirectories(root) {
+  const directories = [root];
+  for (let i = 0; i < directories.length; i++) {
+    let entries;
+    try {
+      entries = fs.readdirSync(directories[i], { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !IGNORED_DIRECTORIES.includes(entry.name)) {
+        directories.push(path.join(directories[i], entry.name));
+      }
+    }
+  }
+  return directories;
+}
+
+/**
+ * Get when the lens files of a folder last changed
+ * Local folders have no commits, so this stands in for the commit date.
+ * Directory times are included, so deleting a file counts as a change.
+ * @param {string} root - Folder to check
+ * @returns {string|null} ISO date of the newest change, or null when nothing can be read
+ */
+function getFolderModifiedAt(root) {
+  let newest = 0;
+  for (const directory of listDirectories(root)) {
+    const names = [''];
+    try {
+      names.push(...fs.readdirSync(directory).filter(isWatchedFile));
+    } catch (error) {
+      continue;
+    }
+    for (const name of names) {
+      try {
+        newest = Math.max(newest, fs.statSync(path.join(directory, name)).mtimeMs);
+      } catch (error) {
+        // Removed while walking
+      }
+    }
+  }
+  return newest > 0 ? new Date(newest).toISOString() : null;
+}
+
+/**
+ * Watch a folder for changes to lens, script and .lensignore files
+ * Changes are collected for `debounceMs` and reported together, so saving
+ * several files at once gives one callback. New sub-folders are watched as
+ * they appear; watchers of removed ones are closed.
+ * @param {string} root - Folder to watch
+ * @param {Function} onChange - Called with the changed paths (relative to root)
+ * @param {Object} options - { debounceMs } (optional, default 300)
+ * @returns {Object} { close() }
+ */
+function watchFolder(root, onChange, options = {}) {
+  const debounceMs = options.debounceMs === undefined ? 300 : options.debounceMs;
+  const watchers = new Map();
+  const changed = new Set();
+  let timer = null;
+  let closed = false;
+
+  const flush = () => {
+    timer = null;
+    const files = Array.from(changed);
+    changed.clear();
+    if (!closed && files.length > 0) {
+      onChange(files);
+    }
+  };
+
+  const schedule = (filePath) => {
+    changed.add(path.relative(root, filePath) || '.');
+    if (timer) {
+      clearTimeout(timer);
+    }
+    timer = setTimeout(flush, debounceMs);
+    timer.unref();
+  };
+
+  const unwatch = (directory) => {
+    for (const [watched, watcher] of watchers) {
+      if (watched === directory || watched.startsWith(directory + path.sep)) {
+        watcher.close();
+        watchers.delete(watched);
+      }
+    }
+  };
+
+  const watch = (directory) => {
+    for (const dir of listDirectories(directory)) {
+      if (watchers.has(dir)) {
+        continue;
+      }
+      let watcher;
+      try {
+        watcher = fs.watch(dir, (eventType, filename) => onEvent(dir, filename));
+      } catch (error) {
+        console.warn(`Cannot watch ${dir}: ${error.message}`);
+        continue;
+      }
+      watcher.on('error', () => unwatch(dir));
+      watcher.unref();
+      watchers.set(dir, watcher);
+    }
+  };
+
+  const onEvent = (directory, filename) => {
+    if (closed) {
+      return;
+    }
+    if (!filename) {
+      // Some platforms do not say which file changed
+      schedule(directory);
+      return;
+    }
+    const filePath = path.join(directory, filename.toString());
+    if (IGNORED_DIRECTORIES.includes(path.basename(filePath))) {
+      return;
+    }
+
+    let stat = null;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      // Removed or renamed away
+    }
+
+    if (stat && stat.isDirectory()) {
+      watch(filePath);
+      schedule(filePath);
+    } else if (!stat && watchers.has(filePath)) {
+      unwatch(filePath);
+      schedule(filePath);
+    } else if (isWatchedFile(filePath)) {
+      schedule(filePath);
+    }
+  };
+
+  watch(root);
+
+  return {
+    close() {
+      closed = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      unwatch(root);
+    }
+  };
+}
+
+module.exports = {
+  getFolderModifiedAt,
+  watchFolder
+};
@@ -1,55 +1,539 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const simpleGit = require('simple-git');
+const { getGitAuthEnv } = require('./gitAuth');
+const { redact, redactError } = require('./redact');
+
+// Pending git operations per local repository, so that fetch/checkout/worktree
+// commands on the same clone never run at the same time
+const repoLocks = new Map();
+
+// Worktrees created for refs, per local repository, most recently used last
+const refWorktrees = new Map();
+
+// Number of callers still reading each ref worktree (see ensureRefWorktree)
+const worktreeUsers = new Map();
+
+// Maximum number of ref worktrees kept per repository
+const MAX_REF_WORKTREES = parseInt(process.env.REF_WORKTREE_LIMIT || '10', 10);
+
+// Separators used to parse `git log` output: one record per commit, one unit per field
+const LOG_RECORD = '\x1e';
+const LOG_FIELD = '\x1f';
+
+/**
+ * Redact the errors simple-git raises
+ * Mirrors simple-git's own error detection (a non-zero exit with output on
+ * stderr fails the task) and removes secrets from the message.
+ * @param {Error|Buffer|undefined} error - Error detected so far
+ * @param {Object} result - { stdOut, stdErr, exitCode } of the git process
+ * @returns {Error|Buffer|undefined}
+ */
+function redactGitError(error, result) {
+  if (error) {
+    return redactError(error);
+  }
+  if (result.exitCode && result.stdErr.length) {
+    return Buffer.from(redact(Buffer.concat([...result.stdOut, ...result.stdErr]).toString('utf8')));
+  }
+  return undefined;
+}
+
+/**
+ * Create a simple-git instance whose errors never contain secrets
+ * With a repository URL, git is given the credentials configured for it and
+ * never prompts for missing ones.
+ * @param {string} baseDir - Working directory (optional, defaults to the current directory)
+ * @param {string} repoUrl - Repository the command talks to (optional)
+ * @param {Object} auth - Auth definition of the source (optional, see gitAuth)
+ * @returns {Object} simple-git instance
+ */
+function createGit(baseDir, repoUrl, auth) {
+  const git = simpleGit({ baseDir: baseDir || process.cwd(), errors: redactGitError });
+  if (repoUrl) {
+    // Without a terminal, a credential prompt would only hang the sync
+    git.env({ ...process.env, GIT_TERMINAL_PROMPT: '0', ...getGitAuthEnv(repoUrl, auth) });
+  }
+  return git;
+}
+
+/**
+ * Run a function while holding the lock of a local repository
+ * Calls for the same path run one after the other; other paths are not blocked.
+ * @param {string} localPath - Local path of the clone
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+function withRepoLock(localPath, fn) {
+  const previous = repoLocks.get(localPath) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  const tail = current.catch(() => {});
+  repoLocks.set(localPath, tail);
+  tail.then(() => {
+    if (repoLocks.get(localPath) === tail) {
+      repoLocks.delete(localPath);
+    }
+  });
+  return current;
+}
 
 /**
  * Clone or update a git repository
  * @param {string} repoUrl - Git repository URL
  * @param {string} branch - Branch or tag name (optional, defaults to main/master)
  * @param {string} localPath - Local path to clone to
+ * @param {Object} options - Checkout options (optional)
+ * @param {Object} options.auth - Auth definition of the source (defaults to the GIT_* variables)
+ * @param {number} options.depth - Clone depth (full history when unset)
+ * @param {Array<string>} options.sparse - Folders to check out (the whole tree when unset)
+ * @param {boolean} options.submodules - Initialise git submodules
+ * @param {Function} whileLocked - Async function run once the clone is up to date, before
+ *   the lock is released, so no other update moves the clone while it reads it (optional)
+ * @returns {Promise<*>} Result of whileLocked
+ */
+async function ensureRepo(repoUrl, branch, localPath, options = {}, whileLocked) {
+  return withRepoLock(localPath, async () => {
+    await updateRepo(repoUrl, branch, localPath, options);
+    return whileLocked ? whileLocked() : undefined;
+  });
+}
+
+/**
+ * Apply the sparse checkout setting to a clone
+ * A clone made sparse is widened again when the setting is removed.
+ * @param {Object} repoGit - simple-git instance of the clone
+ * @param {Array<string>} sparse - Folders to check out (optional)
  * @returns {Promise<void>}
  */
-async function ensureRepo(repoUrl, branch, localPath) {
-  const git = simpleGit();
+async function applySparseCheckout(repoGit, sparse) {
+  if (sparse && sparse.length > 0) {
+    await repoGit.raw(['sparse-checkout', 'set', '--cone', ...sparse]);
+    return;
+  }
+  const enabled = await repoGit.raw(['config', '--get', 'core.sparseCheckout']).catch(() => '');
+  if (enabled.trim() === 'true') {
+    await repoGit.raw(['sparse-checkout', 'disable']);
+  }
+}
+
+/**
+ * Apply the submodule setting to a checkout
+ * Submodules are initialised and updated when enabled, and removed from the
+ * working tree when the setting is turned off.
+ * @param {Object} repoGit - simple-git instance of the checkout
+ * @param {string} checkoutPath - Path of the checkout
+ * @param {Object} options - { submodules, depth }
+ * @returns {Promise<void>}
+ */
+async function applySubmodules(repoGit, checkoutPath, options) {
+  if (!fs.existsSync(path.join(checkoutPath, '.gitmodules'))) {
+    return;
+  }
+  if (options.submodules) {
+    await repoGit.raw(['submodule', 'sync', '--recursive']);
+    await repoGit.raw(['submodule', 'update', '--init', '--recursive', ...(options.depth ? [`--depth=${options.depth}`] : [])]);
+  } else {
+    await repoGit.raw(['submodule', 'deinit', '--all', '--force']);
+  }
+}
+
+/**
+ * Clone or update a git repository (caller holds the repository lock)
+ * An existing clone is brought in line with the checkout options: it is
+ * deepened or made shallow, its sparse folders are changed, and submodules
+ * are initialised or removed, without cloning again.
+ * @param {string} repoUrl - Git repository URL
+ * @param {string} branch - Branch or tag name (optional)
+ * @param {string} localPath - Local path to clone to
+ * @param {Object} options - { auth, depth, sparse, submodules } (optional, see ensureRepo)
+ * @returns {Promise<void>}
+ */
+async function updateRepo(repoUrl, branch, localPath, options = {}) {
+  const { auth, depth, sparse } = options;
 
   try {
     if (fs.existsSync(localPath)) {
       // Update existing repo
-      const repoGit = simpleGit(localPath);
-      await repoGit.fetch('origin');
+      const repoGit = createGit(localPath, repoUrl, auth);
+      await applySparseCheckout(repoGit, sparse);
+
+      const shallow = (await repoGit.revparse(['--is-shallow-repository'])).trim() === 'true';
+      if (depth) {
+        await repoGit.fetch(['origin', `--depth=${depth}`]);
+      } else if (shallow) {
+        await repoGit.fetch(['origin', '--unshallow']);
+      } else {
+        await repoGit.fetch('origin');
+      }
+
       if (branch) {
         await repoGit.checkout(branch);
       } else {
         await repoGit.checkout(['main']).catch(() => repoGit.checkout('master'));
       }
-      await repoGit.pull('origin');
+
+      if (depth) {
+        // A shallow fetch may not contain the old tip, so move to the new one instead of merging
+        const upstream = await repoGit.revparse(['--abbrev-ref', '--symbolic-full-name', '@{u}']).catch(() => null);
+        if (upstream) {
+          await repoGit.reset(['--hard', upstream.trim()]);
+        }
+      } else {
+        await repoGit.pull('origin');
+      }
+
+      await applySubmodules(repoGit, localPath, options);
     } else {
       // Clone new repo
-      if (branch) {
-        await git.clone(repoUrl, localPath, ['--branch', branch, '--single-branch']);
-      } else {
-        await git.clone(repoUrl, localPath);
+      const git = createGit(undefined, repoUrl, auth);
+      const cloneOptions = branch ? ['--branch', branch, '--single-branch'] : [];
+      if (depth) {
+        cloneOptions.push(`--depth=${depth}`);
+      }
+      if (sparse && sparse.length > 0) {
+        cloneOptions.push('--sparse');
       }
+      await git.clone(repoUrl, localPath, cloneOptions);
+
+      const repoGit = createGit(localPath, repoUrl, auth);
+      await applySparseCheckout(repoGit, sparse);
+      await applySubmodules(repoGit, localPath, options);
+    }
+  } catch (error) {
+    console.error(`Error managing repository ${redact(repoUrl)}:`, redactError(error).message);
+    throw error;
+  }
+}
+
+/**
+ * Check that a ref is safe to hand to git
+ * Accepts branch names, tags and (abbreviated) commit SHAs; rejects anything
+ * git could read as an option or a revision expression.
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {boolean}
+ */
+function isValidRef(ref) {
+  return typeof ref === 'string' &&
+    /^[A-Za-z0-9][A-Za-z0-9._/-]*$/.test(ref) &&
+    !ref.includes('..') &&
+    !ref.includes('//') &&
+    !ref.endsWith('/') &&
+    !ref.endsWith('.lock') &&
+    ref.length <= 255;
+}
+
+/**
+ * Resolve a ref to a commit SHA, fetching it from origin
+ * Branches and tags are always fetched so that they resolve to their latest
+ * commit; commit SHAs already present locally are used without fetching.
+ * @param {Object} repoGit - simple-git instance of the clone
+ * @param {string} ref - Branch, tag or commit SHA
+ * @param {number} depth - Clone depth, kept when fetching (optional)
+ * @returns {Promise<string>} Full commit SHA
+ */
+async function resolveRef(repoGit, ref, depth) {
+  const verify = async (rev) => {
+    try {
+      return (await repoGit.revparse(['--verify', '--quiet', `${rev}^{commit}`])).trim();
+    } catch (e) {
+      return null;
+    }
+  };
+
+  if (/^[0-9a-f]{7,40}$/i.test(ref)) {
+    const local = await verify(ref);
+    if (local) {
+      return local;
+    }
+  }
+
+  try {
+    await repoGit.fetch(['origin', ref, '--no-tags', ...(depth ? [`--depth=${depth}`] : [])]);
+    const fetched = await verify('FETCH_HEAD');
+    if (fetched) {
+      return fetched;
     }
   } catch (error) {
-    console.error(`Error managing repository ${repoUrl}:`, error.message);
+    // Fall through: the ref may exist locally (e.g. a SHA the server will not serve)
+  }
+
+  const local = await verify(ref);
+  if (local) {
+    return local;
+  }
+
+  const error = new Error(`Ref '${ref}' not found`);
+  error.statusCode = 404;
+  error.ref = ref;
+  throw error;
+}
+
+/**
+ * Check out a ref into its own worktree
+ * The deployed branch's working tree is left untouched; each commit gets a
+ * detached worktree next to the clone, shared by all refs pointing at it.
+ * Least recently used worktrees beyond REF_WORKTREE_LIMIT are removed, but
+ * never while a caller still reads them: each call holds the worktree until
+ * it calls `release`, so the limit can be exceeded for as long as that takes.
+ * @param {string} repoUrl - Git repository URL
+ * @param {string} branch - Deployed branch, used if the clone does not exist yet (optional)
+ * @param {string} localPath - Local path of the clone
+ * @param {string} ref - Branch, tag or commit SHA
+ * @param {Object} options - Checkout options of the source (optional, see ensureRepo)
+ * @param {Function} options.onEvict - Called with the path of each worktree about to be removed (optional)
+ * @returns {Promise<Object>} { path, commit, release } of the worktree
+ */
+async function ensureRefWorktree(repoUrl, branch, localPath, ref, options = {}) {
+  if (!isValidRef(ref)) {
+    const error = new Error(`Invalid ref '${ref}'`);
+    error.statusCode = 400;
+    error.ref = ref;
     throw error;
   }
+
+  return withRepoLock(localPath, async () => {
+    if (!fs.existsSync(localPath)) {
+      await updateRepo(repoUrl, branch, localPath, options);
+    }
+
+    const repoGit = createGit(localPath, repoUrl, options.auth);
+    const commit = await resolveRef(repoGit, ref, options.depth);
+    const worktreePath = path.join(`${localPath}.worktrees`, commit);
+
+    if (!fs.existsSync(worktreePath)) {
+      await repoGit.raw(['worktree', 'prune']);
+      await repoGit.raw(['worktree', 'add', '--detach', worktreePath, commit]);
+      await applySubmodules(createGit(worktreePath, repoUrl, options.auth), worktreePath, options);
+    }
+
+    // Hold the worktree for this caller, then evict the least recently used ones nobody holds
+    worktreeUsers.set(worktreePath, (worktreeUsers.get(worktreePath) || 0) + 1);
+    let released = false;
+    const release = () => {
+      if (!released) {
+        released = true;
+        const users = worktreeUsers.get(worktreePath) - 1;
+        if (users > 0) {
+          worktreeUsers.set(worktreePath, users);
+        } else {
+          worktreeUsers.delete(worktreePath);
+        }
+      }
+    };
+
+    const used = (refWorktrees.get(localPath) || []).filter((p) => p !== worktreePath);
+    used.push(worktreePath);
+    for (const candidate of used.slice()) {
+      if (used.length <= MAX_REF_WORKTREES) {
+        break;
+      }
+      if (worktreeUsers.has(candidate)) {
+        continue;
+      }
+      used.splice(used.indexOf(candidate), 1);
+      if (options.onEvict) {
+        options.onEvict(candidate);
+      }
+      await repoGit.raw(['worktree', 'remove', '--force', candidate]).catch((e) => {
+        console.warn(`Could not remove worktree ${candidate}: ${e.message}`);
+      });
+    }
+    refWorktrees.set(localPath, used);
+
+    return { path: worktreePath, commit, release };
+  });
+}
+
+/**
+ * Get the commit currently checked out in a local repository
+ * @param {string} localPath - Local path of the clone
+ * @returns {Promise<string>} Full SHA of HEAD
+ */
+async function getHeadCommit(localPath) {
+  const sha = await createGit(localPath).revparse(['HEAD']);
+  return sha.trim();
+}
+
+/**
+ * Get the committer date of a commit
+ * @param {string} localPath - Local path of the clone or worktree
+ * @param {string} commit - Commit SHA
+ * @returns {Promise<string>} ISO 8601 date
+ */
+async function getCommitDate(localPath, commit) {
+  const date = await createGit(localPath).raw(['show', '-s', '--format=%cI', commit]);
+  return date.trim();
+}
+
+/**
+ * Run `git log` with --name-only and parse its output
+ * @param {Object} repoGit - simple-git instance
+ * @param {Array<string>} args - Extra arguments (options and pathspec)
+ * @returns {Promise<Array>} [{ sha, author: { name, email }, date, message, paths }]
+ */
+async function readLog(repoGit, args) {
+  const output = await repoGit.raw([
+    'log',
+    '--name-only',
+    `--format=${LOG_RECORD}%H${LOG_FIELD}%an${LOG_FIELD}%ae${LOG_FIELD}%aI${LOG_FIELD}%B${LOG_FIELD}`,
+    ...args
+  ]);
+
+  return output.split(LOG_RECORD).slice(1).map((record) => {
+    const [sha, name, email, date, message, names] = record.split(LOG_FIELD);
+    return {
+      sha,
+      author: { name, email },
+      date,
+      message: message.trim(),
+      paths: names.split('\n').map((line) => line.trim()).filter(Boolean)
+    };
+  });
+}
+
+/**
+ * Get the commits that touched one or more files, newest first
+ * Follows renames: each commit lists the paths the files had in that commit,
+ * along with the current path they correspond to.
+ * @param {string} localPath - Local path of the clone (or worktree)
+ * @param {Array<string>} filePaths - File paths relative to the repository root
+ * @returns {Promise<Array>} [{ sha, author: { name, email }, date, message, files: [{ path, file }] }]
+ */
+async function getFileHistory(localPath, filePaths) {
+  const repoGit = createGit(localPath);
+
+  // --follow only takes one path, so collect the former names of each file first
+  const currentPathOf = new Map();
+  for (const filePath of filePaths) {
+    for (const entry of await readLog(repoGit, ['--follow', '--', `:(literal)${filePath}`])) {
+      for (const formerPath of entry.paths) {
+        if (!currentPathOf.has(formerPath)) {
+          currentPathOf.set(formerPath, filePath);
+        }
+      }
+    }
+  }
+
+  if (currentPathOf.size === 0) {
+    return [];
+  }
+
+  // Then read them in one log, so that git orders the commits
+  const entries = await readLog(repoGit, ['--', ...Array.from(currentPathOf.keys(), (p) => `:(literal)${p}`)]);
+  return entries.map(({ paths, ...entry }) => ({
+    ...entry,
+    files: paths.filter((p) => currentPathOf.has(p)).map((p) => ({ path: p, file: currentPathOf.get(p) }))
+  }));
+}
+
+/**
+ * Get the commit that last changed each of some files
+ * @param {string} localPath - Local path of the clone (or worktree)
+ * @param {Array<string>} filePaths - File paths relative to the repository root
+ * @returns {Promise<Array>} [{ file, sha }], with sha null for files never committed
+ * @throws {Error} For shallow clones, where older changes are hidden behind the boundary commit
+ */
+async function getLastCommits(localPath, filePaths) {
+  const repoGit = createGit(localPath);
+  if ((await repoGit.revparse(['--is-shallow-repository'])).trim() === 'true') {
+    throw new Error(`${localPath} is a shallow clone: the commit that last changed a file is only known with the full history`);
+  }
+  const commits = [];
+  for (const file of filePaths) {
+    const sha = (await repoGit.raw(['log', '-1', '--format=%H', '--', `:(literal)${file}`])).trim();
+    commits.push({ file, sha: sha || null });
+  }
+  return commits;
+}
+
+/**
+ * Read the signature header of a commit object
+ * @param {string} commitObject - Output of `git cat-file commit`
+ * @returns {string|null} The ASCII armored signature, or null for unsigned commits
+ */
+function parseCommitSignature(commitObject) {
+  const header = commitObject.split('\n\n')[0].split('\n');
+  const start = header.findIndex((line) => line.startsWith('gpgsig '));
+  if (start === -1) {
+    return null;
+  }
+  const lines = [header[start].slice('gpgsig '.length)];
+  for (const line of header.slice(start + 1)) {
+    if (!line.startsWith(' ')) {
+      break;
+    }
+    lines.push(line.slice(1));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Check the signatures of commits against a set of trusted keys
+ * GPG signatures are checked with the keys of `gnupgHome` only, SSH
+ * signatures with the allowed signers file only; the keys of the user the
+ * service runs as are never used.
+ * @param {string} localPath - Local path of the clone (or worktree)
+ * @param {Array<string>} commits - Commit SHAs
+ * @param {Object} trust - { gnupgHome, allowedSignersFile } (both required)
+ * @returns {Promise<Array>} [{ sha, date, status, signer, key, fingerprint, signature }], where status
+ *   is git's %G? code (G for a good signature by a trusted key) and signature the armored signature
+ */
+async function getCommitSignatures(localPath, commits, trust) {
+  if (commits.length === 0) {
+    return [];
+  }
+  const repoGit = createGit(localPath);
+  repoGit.env({
+    ...process.env,
+    GNUPGHOME: trust.gnupgHome,
+    GIT_CONFIG_COUNT: '1',
+    GIT_CONFIG_KEY_0: 'gpg.ssh.allowedSignersFile',
+    GIT_CONFIG_VALUE_0: trust.allowedSignersFile
+  });
+
+  const output = await repoGit.raw([
+    'log',
+    '--no-walk=unsorted',
+    `--format=${LOG_RECORD}%H${LOG_FIELD}%cI${LOG_FIELD}%G?${LOG_FIELD}%GS${LOG_FIELD}%GK${LOG_FIELD}%GF`,
+    ...commits
+  ]);
+
+  const signatures = [];
+  for (const record of output.split(LOG_RECORD).slice(1)) {
+    const [sha, date, status, signer, key, fingerprint] = record.trim().split(LOG_FIELD);
+    const signature = status === 'N' ? null : parseCommitSignature(await repoGit.raw(['cat-file', 'commit', sha]));
+    signatures.push({ sha, date, status, signer, key, fingerprint, signature });
+  }
+  return signatures;
 }
 
 /**
  * Get the local repository path for a given repo URL
+ * The folder name keeps the last URL segment for readability and adds a short
+ * hash of the full URL (and branch) so that different repositories ending in
+ * the same name, or the same repository on different branches, never share a clone.
  * @param {string} repoUrl - Git repository URL
  * @param {string} tempDir - Temporary directory (optional, defaults to env or /tmp/lens-repos)
+ * @param {string} branch - Branch or tag name (optional)
  * @returns {string} Local path for the repository
  */
-function getRepoLocalPath(repoUrl, tempDir) {
+function getRepoLocalPath(repoUrl, tempDir, branch) {
   const baseDir = tempDir || process.env.LENS_REPOS_TEMP_DIR || '/tmp/lens-repos';
-  const repoName = repoUrl.split('/').pop().replace('.git', '');
-  return path.join(baseDir, repoName);
+  const repoName = repoUrl.replace(/\/+$/, '').split('/').pop().replace(/\.git$/, '');
+  const hash = crypto.createHash('sha1').update(`${repoUrl}#${branch || ''}`).digest('hex').slice(0, 10);
+  return path.join(baseDir, `${repoName}-${hash}`);
 }
 
 module.exports = {
   ensureRepo,
+  ensureRefWorktree,
+  isValidRef,
+  withRepoLock,
+  getHeadCommit,
+  getCommitDate,
+  getFileHistory,
+  getLastCommits,
+  getCommitSignatures,
   getRepoLocalPath
 };
\ No newline at end of file
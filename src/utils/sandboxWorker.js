@@ -0,0 +1,102 @@
+const vm = require('vm');
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * Sandbox worker: runs one lens enhance function and posts the result back.
+ * Runs inside a worker thread with resource limits; the lens code itself runs
+ * in a fresh vm context without require/process and without eval.
+ *
+ * workerData: { code, style, inputs: JSON string of { epi, ips, pv, html }, timeoutMs }
+ * Posted message: { result: JSON string | undefined, logs: [], errors: [] }
+ */
+
+const logs = [];
+const MAX_LOG_ENTRIES = 500;
+
+function log(level, message) {
+  if (logs.length < MAX_LOG_ENTRIES) {
+    logs.push({ level, message: String(message) });
+  } else if (logs.length === MAX_LOG_ENTRIES) {
+    logs.push({ level: 'warn', message: 'Console output truncated' });
+  }
+}
+
+// A null-prototype global keeps worker-realm constructors out of reach of `this`
+const context = vm.createContext(Object.create(null), {
+  name: 'lens-sandbox',
+  codeGeneration: { strings: false, wasm: false }
+});
+context.__log = log;
+
+// Build console and the inputs inside the context realm so that lens code
+// never gets hold of objects (and thus constructors) from the worker realm
+vm.runInContext(`
+  (() => {
+    const log = __log;
+    const format = (args) => args.map((arg) => {
+      if (typeof arg === 'string') return arg;
+      try { return JSON.stringify(arg); } catch (e) { return String(arg); }
+    }).join(' ');
+    globalThis.console = {};
+    for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+      globalThis.console[level] = (...args) => log(level, format(args));
+    }
+    delete globalThis.__log;
+  })();
+`, context);
+
+/**
+ * Build the script that loads the lens and calls enhance
+ * @param {string} code - Lens JavaScript
+ * @param {string} style - Export style from the script analyzer
+ * @returns {string} Script evaluating to a promise of the JSON-serialized result
+ */
+function buildRunner(code, style) {
+  const load = style === 'return'
+    // Lens written as a function body: (epi, ips, pv, html) => { ...; return { enhance } }
+    ? `const lens = (function (epi, ips, pv, html) {\n${code}\n})(inputs.epi, inputs.ips, inputs.pv, inputs.html);
+       const enhanceFn = lens && lens.enhance;
+       const args = [];`
+    // Script or CommonJS module exposing enhance(epi, ips, pv, html)
+    : `const module = { exports: {} };
+       const exports = module.exports;
+       (function (module, exports, epi, ips, pv, html) {\n${code}\n;
+         if (typeof enhance === 'function' && typeof module.exports.enhance !== 'function') {
+           module.exports.enhance = enhance;
+         }
+       })(module, exports, inputs.epi, inputs.ips, inputs.pv, inputs.html);
+       const enhanceFn = module.exports.enhance;
+       const args = [inputs.epi, inputs.ips, inputs.pv, inputs.html];`;
+
+  return `(async () => {
+    const inputs = JSON.parse(__inputs);
+    ${load}
+    if (typeof enhanceFn !== 'function') {
+      throw new TypeError('Lens script does not provide an enhance function');
+    }
+    const result = await enhanceFn(...args);
+    return result === undefined ? undefined : JSON.stringify(result);
+  })()`;
+}
+
+async function run() {
+  const { code, style, inputs, timeoutMs } = workerData;
+  const errors = [];
+  let result;
+
+  try {
+    context.__inputs = inputs;
+    const script = new vm.Script(buildRunner(code, style), { filename: 'lens.js' });
+    result = await script.runInContext(context, { timeout: timeoutMs });
+  } catch (error) {
+    errors.push({
+      name: (error && error.name) || 'Error',
+      message: (error && error.message) || String(error),
+      stack: error && error.stack ? String(error.stack).split('\n').slice(0, 6).join('\n') : undefined
+    });
+  }
+
+  parentPort.postMessage({ result, logs, errors });
+}
+
+run();
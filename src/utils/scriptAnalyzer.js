@@ -0,0 +1,296 @@
+const acorn = require('acorn');
+
+/**
+ * Parse options shared by all lens scripts.
+ * Lens scripts are often function bodies evaluated by the focusing engine and
+ * end with a top-level `return { enhance, ... }`, so top-level returns are allowed.
+ */
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  allowReturnOutsideFunction: true,
+  allowHashBang: true
+};
+
+/**
+ * Parse a script, falling back to ES module syntax when it uses import/export
+ * @param {string} source - JavaScript source
+ * @returns {Object} { ast, sourceType }
+ * @throws {SyntaxError} When the source is neither a valid script nor a valid module
+ */
+function parseScript(source) {
+  try {
+    return { ast: acorn.parse(source, { ...PARSE_OPTIONS, sourceType: 'script' }), sourceType: 'script' };
+  } catch (scriptError) {
+    try {
+      return { ast: acorn.parse(source, { ...PARSE_OPTIONS, sourceType: 'module' }), sourceType: 'module' };
+    } catch (moduleError) {
+      // Report the error of the dialect the file most likely uses
+      const error = /\b(import|export)\b/.test(source) ? moduleError : scriptError;
+      throw new SyntaxError(`${error.message.replace(/ \(\d+:\d+\)$/, '')} at line ${error.loc.line}, column ${error.loc.column + 1}`);
+    }
+  }
+}
+
+/**
+ * Check whether a node is a function expression or arrow function
+ * @param {Object} node - AST node
+ * @returns {boolean}
+ */
+function isFunctionNode(node) {
+  return !!node && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression' || node.type === 'FunctionDeclaration');
+}
+
+/**
+ * Get the name of a property key (identifier or string literal)
+ * @param {Object} property - Property AST node
+ * @returns {string|null}
+ */
+function propertyName(property) {
+  if (property.computed) {
+    return null;
+  }
+  if (property.key.type === 'Identifier') {
+    return property.key.name;
+  }
+  if (property.key.type === 'Literal') {
+    return String(property.key.value);
+  }
+  return null;
+}
+
+/**
+ * Check whether a member expression is `module.exports` or `exports`
+ * @param {Object} node - AST node
+ * @returns {boolean}
+ */
+function isExportsObject(node) {
+  if (node.type === 'Identifier') {
+    return node.name === 'exports';
+  }
+  return node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.object.type === 'Identifier' && node.object.name === 'module' &&
+    node.property.type === 'Identifier' && node.property.name === 'exports';
+}
+
+/**
+ * Describe a function parameter
+ * @param {Object} param - Parameter AST node
+ * @param {string} source - Full script source (for destructured parameters)
+ * @returns {string} Parameter name, `...name` for rest parameters, or its source text
+ */
+function describeParam(param, source) {
+  switch (param.type) {
+    case 'Identifier':
+      return param.name;
+    case 'AssignmentPattern':
+      return describeParam(param.left, source);
+    case 'RestElement':
+      return `...${describeParam(param.argument, source)}`;
+    default:
+      return source.slice(param.start, param.end);
+  }
+}
+
+/**
+ * Collect top-level function bindings of a program
+ * @param {Object} ast - Program AST
+ * @returns {Map<string, Object>} Map of binding name to initializer node
+ */
+function collectTopLevelBindings(ast) {
+  const bindings = new Map();
+
+  const addDeclaration = (node) => {
+    if (!node) {
+      return;
+    }
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      bindings.set(node.id.name, node);
+    } else if (node.type === 'VariableDeclaration') {
+      for (const declarator of node.declarations) {
+        if (declarator.id.type === 'Identifier') {
+          bindings.set(declarator.id.name, declarator.init);
+        }
+      }
+    }
+  };
+
+  for (const statement of ast.body) {
+    if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+      addDeclaration(statement.declaration);
+    } else {
+      addDeclaration(statement);
+    }
+  }
+
+  // Later plain assignments (`enhance = async () => ...`) also bind the name
+  for (const statement of ast.body) {
+    if (statement.type === 'ExpressionStatement' &&
+        statement.expression.type === 'AssignmentExpression' &&
+        statement.expression.left.type === 'Identifier' &&
+        isFunctionNode(statement.expression.right)) {
+      bindings.set(statement.expression.left.name, statement.expression.right);
+    }
+  }
+
+  return bindings;
+}
+
+/**
+ * Find how a script exposes its `enhance` function
+ * @param {Object} ast - Program AST
+ * @returns {Object|null} { exportStyle, node } where node is the exported value, or null
+ */
+function findEnhanceExport(ast) {
+  const fromObject = (objectNode, exportStyle) => {
+    if (!objectNode || objectNode.type !== 'ObjectExpression') {
+      return null;
+    }
+    for (const property of objectNode.properties) {
+      // Covers `enhance: fn`, shorthand `{ enhance }` and methods `enhance() {}`
+      if (property.type === 'Property' && propertyName(property) === 'enhance') {
+        return { exportStyle, node: property.value };
+      }
+    }
+    return null;
+  };
+
+  for (const statement of ast.body) {
+    switch (statement.type) {
+      case 'ExportNamedDeclaration': {
+        const declaration = statement.declaration;
+        if (declaration && declaration.type === 'FunctionDeclaration' && declaration.id.name === 'enhance') {
+          return { exportStyle: 'esm', node: declaration };
+        }
+        if (declaration && declaration.type === 'VariableDeclaration') {
+          const declarator = declaration.declarations.find((d) => d.id.type === 'Identifier' && d.id.name === 'enhance');
+          if (declarator) {
+            return { exportStyle: 'esm', node: declarator.init };
+          }
+        }
+        for (const specifier of statement.specifiers || []) {
+          const exported = specifier.exported.type === 'Identifier' ? specifier.exported.name : specifier.exported.value;
+          if (exported === 'enhance' && !statement.source) {
+            return { exportStyle: 'esm', node: specifier.local };
+          }
+        }
+        break;
+      }
+      case 'ExportDefaultDeclaration': {
+        const declaration = statement.declaration;
+        if (declaration.type === 'FunctionDeclaration' && declaration.id && declaration.id.name === 'enhance') {
+          return { exportStyle: 'esm-default', node: declaration };
+        }
+        const found = fromObject(declaration, 'esm-default');
+        if (found) {
+          return found;
+        }
+        break;
+      }
+      case 'ReturnStatement': {
+        const found = fromObject(statement.argument, 'return');
+        if (found) {
+          return found;
+        }
+        break;
+      }
+      case 'ExpressionStatement': {
+        const expression = statement.expression;
+        if (expression.type !== 'AssignmentExpression' || expression.operator !== '=') {
+          break;
+        }
+        const { left, right } = expression;
+        // module.exports = { enhance } / exports = { enhance }
+        if (isExportsObject(left)) {
+          const found = fromObject(right, 'commonjs');
+          if (found) {
+            return found;
+          }
+          // module.exports = function enhance() {}
+          if (isFunctionNode(right) && right.id && right.id.name === 'enhance') {
+            return { exportStyle: 'commonjs', node: right };
+          }
+        }
+        // module.exports.enhance = ... / exports.enhance = ...
+        if (left.type === 'MemberExpression' && isExportsObject(left.object) &&
+            ((!left.computed && left.property.type === 'Identifier' && left.property.name === 'enhance') ||
+             (left.computed && left.property.type === 'Literal' && left.property.value === 'enhance'))) {
+          return { exportStyle: 'commonjs', node: right };
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a top-level `enhance` declaration (global-style lens scripts)
+ * An alias of another top-level function (`var enhance = run`) counts as well.
+ * @param {Map<string, Object>} bindings - Top-level function bindings
+ * @returns {Object|null} { exportStyle, node }, or null
+ */
+function findGlobalEnhance(bindings) {
+  let node = bindings.get('enhance');
+  if (node && node.type === 'Identifier') {
+    node = bindings.get(node.name);
+  }
+  if (isFunctionNode(node)) {
+    return { exportStyle: 'global', node };
+  }
+  return null;
+}
+
+/**
+ * Analyze a lens script
+ * Determines whether the script exposes an `enhance` function and which
+ * parameters it takes. Only exports count: commented-out code or `enhance`
+ * keys of unrelated nested objects are ignored.
+ * @param {string} source - JavaScript source
+ * @returns {Object} {
+ *   hasEnhance: boolean,
+ *   sourceType: 'script'|'module',
+ *   exportStyle?: 'esm'|'esm-default'|'commonjs'|'return'|'global',
+ *   params?: string[]|null (null when enhance is a reference that cannot be resolved),
+ *   async?: boolean
+ * }
+ * @throws {SyntaxError} When the script cannot be parsed
+ */
+function analyzeEnhanceScript(source) {
+  const { ast, sourceType } = parseScript(source);
+  const bindings = collectTopLevelBindings(ast);
+  const found = findEnhanceExport(ast) || findGlobalEnhance(bindings);
+
+  if (!found) {
+    return { hasEnhance: false, sourceType };
+  }
+
+  let node = found.node;
+  if (node && node.type === 'Identifier') {
+    node = bindings.has(node.name) ? bindings.get(node.name) : null;
+    if (!node) {
+      // Exported by reference to something we cannot see (e.g. an import)
+      return { hasEnhance: true, sourceType, exportStyle: found.exportStyle, params: null, async: false };
+    }
+  }
+
+  if (!isFunctionNode(node)) {
+    return { hasEnhance: false, sourceType };
+  }
+
+  return {
+    hasEnhance: true,
+    sourceType,
+    exportStyle: found.exportStyle,
+    params: node.params.map((param) => describeParam(param, source)),
+    async: !!node.async
+  };
+}
+
+module.exports = {
+  analyzeEnhanceScript,
+  parseScript
+};
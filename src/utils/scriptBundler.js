@@ -0,0 +1,416 @@
+/**
+ * Enhance script bundling
+ *
+ * Lens authors can split an enhance script into several files with `require`
+ * or `import`. The focusing engine only receives `content[0].data`, so the
+ * local files an enhance script imports are bundled into it: each imported
+ * file becomes a function in a small module registry placed before the enhance
+ * script, and its imports are rewritten to look the file up there. The
+ * enhance script itself keeps its shape (top-level return or declaration) and
+ * its directive prologue ('use strict') stays at the top, so it is run exactly
+ * as before; an enhance script written as an ES module has
+ * its exports turned into declarations first, as TypeScript ones do.
+ *
+ * TypeScript files (the enhance script or imported ones) are transpiled first,
+ * and the bundle of a TypeScript enhance script can be minified.
+ *
+ * Only files inside the lens folder can be imported. Packages, missing files
+ * and circular imports are errors with `reason` 'import-error', TypeScript
+ * that does not compile with `reason` 'compile-error'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseScript } = require('./scriptAnalyzer');
+const { isTypeScriptFile, compileTypeScript, exportsToScript, minifyScript } = require('./tsCompiler');
+
+// Extensions tried, in order, for an import without one
+const RESOLVE_EXTENSIONS = ['.js', '.cjs', '.mjs', '.ts', '.json'];
+
+// Runtime placed before the enhance script of a bundle
+const RUNTIME = `var __lensCache = {};
+function __lensRequire(id) {
+  if (!__lensCache[id]) {
+    var module = __lensCache[id] = { exports: {} };
+    __lensModules[id](module, module.exports);
+  }
+  return __lensCache[id].exports;
+}
+function __lensDefault(exported) {
+  return exported && exported.__esModule ? exported.default : exported;
+}`;
+
+/**
+ * Create an import error
+ * @param {string} message - Error message
+ * @returns {Error} Error with reason 'import-error'
+ */
+function importError(message) {
+  const error = new Error(message);
+  error.reason = 'import-error';
+  return error;
+}
+
+/**
+ * Check whether a path lies inside a folder
+ * @param {string} parent - Folder
+ * @param {string} child - Path to check
+ * @returns {boolean}
+ */
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Visit every node of an AST
+ * @param {Object} node - AST node
+ * @param {Function} visit - Called with each node
+ */
+function walk(node, visit) {
+  visit(node);
+  for (const key of Object.keys(node)) {
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (child && typeof child.type === 'string') {
+          walk(child, visit);
+        }
+      }
+    } else if (value && typeof value.type === 'string' && key !== 'loc') {
+      walk(value, visit);
+    }
+  }
+}
+
+/**
+ * Get the names bound by a declaration pattern
+ * @param {Object} pattern - Identifier or destructuring pattern
+ * @returns {Array<string>}
+ */
+function boundNames(pattern) {
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap((property) => boundNames(property.type === 'RestElement' ? property.argument : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.filter(Boolean).flatMap(boundNames);
+    case 'AssignmentPattern':
+      return boundNames(pattern.left);
+    case 'RestElement':
+      return boundNames(pattern.argument);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Get the name of an import or export specifier part
+ * @param {Object} node - Identifier or string literal
+ * @returns {string}
+ */
+function specifierName(node) {
+  return node.type === 'Identifier' ? node.name : String(node.value);
+}
+
+/**
+ * Resolve an import to a file inside the lens folder
+ * @param {string} specifier - Imported path, e.g. './helpers/html'
+ * @param {string} fromFile - Importing file
+ * @param {string} root - Lens folder
+ * @returns {string} Absolute path of the imported file
+ * @throws {Error} Import error for packages, files outside the folder and missing files
+ */
+function resolveImport(specifier, fromFile, root) {
+  const from = path.relative(root, fromFile);
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    throw importError(`${from}: cannot import '${specifier}', only files of the lens repository can be imported (./ or ../)`);
+  }
+
+  const target = path.resolve(path.dirname(fromFile), specifier);
+  if (!isInside(root, target)) {
+    throw importError(`${from}: import '${specifier}' points outside the lens folder`);
+  }
+
+  // TypeScript sources import each other by their .js output name
+  const candidates = [
+    target,
+    ...RESOLVE_EXTENSIONS.map((extension) => target + extension),
+    ...(/\.js$/.test(target) ? [target.replace(/\.js$/, '.ts')] : []),
+    path.join(target, 'index.js'),
+    path.join(target, 'index.ts')
+  ];
+  for (const candidate of candidates) {
+    let stat;
+    try {
+      stat = fs.statSync(candidate);
+    } catch (error) {
+      continue;
+    }
+    if (stat.isFile()) {
+      if (!isInside(fs.realpathSync(root), fs.realpathSync(candidate))) {
+        throw importError(`${from}: import '${specifier}' points outside the lens folder`);
+      }
+      return candidate;
+    }
+  }
+  throw importError(`${from}: cannot find import '${specifier}'`);
+}
+
+/**
+ * Get where the directive prologue of a script ends ('use strict' and other
+ * leading string statements), which must stay first to take effect
+ * @param {Object} ast - Script AST
+ * @returns {number} Offset after the last directive, 0 without directives
+ */
+function prologueEnd(ast) {
+  let end = 0;
+  for (const statement of ast.body) {
+    if (statement.type !== 'ExpressionStatement' || typeof statement.directive !== 'string') {
+      break;
+    }
+    end = statement.end;
+  }
+  return end;
+}
+
+/**
+ * Rewrite the imports (and, for imported files, the exports) of a module
+ * require('./x') becomes __lensRequire("x.js"), import declarations become
+ * variable declarations, and exports of imported files are assigned to
+ * `exports`, so the result runs as a plain script.
+ * @param {string} source - Module source
+ * @param {Object} ast - Module AST
+ * @param {Function} idOf - Returns the bundle id of an import specifier
+ * @param {string} id - Bundle id of the module, for error messages
+ * @param {boolean} isEntry - True for the enhance script, whose exports are kept
+ * @returns {string} Rewritten source
+ */
+function rewriteModule(source, ast, idOf, id, isEntry) {
+  const edits = [];
+  const exported = [];
+  let counter = 0;
+  let esModule = false;
+
+  const load = (node) => `__lensRequire(${JSON.stringify(idOf(node.value))})`;
+  const replace = (node, text) => edits.push({ start: node.start, end: node.end, text });
+
+  walk(ast, (node) => {
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+        node.arguments.length === 1 && node.arguments[0].type === 'Literal' && typeof node.arguments[0].value === 'string') {
+      replace(node, load(node.arguments[0]));
+    } else if (node.type === 'ImportExpression' && node.source.type === 'Literal' && typeof node.source.value === 'string') {
+      replace(node, `Promise.resolve(${load(node.source)})`);
+    }
+  });
+
+  for (const statement of ast.body) {
+    switch (statement.type) {
+      case 'ImportDeclaration': {
+        if (statement.specifiers.length === 0) {
+          replace(statement, `${load(statement.source)};`);
+          break;
+        }
+        const module = `__lensImport${counter++}`;
+        const lines = [`const ${module} = ${load(statement.source)};`];
+        for (const specifier of statement.specifiers) {
+          if (specifier.type === 'ImportDefaultSpecifier') {
+            lines.push(`const ${specifier.local.name} = __lensDefault(${module});`);
+          } else if (specifier.type === 'ImportNamespaceSpecifier') {
+            lines.push(`const ${specifier.local.name} = ${module};`);
+          } else {
+            lines.push(`const ${specifier.local.name} = ${module}[${JSON.stringify(specifierName(specifier.imported))}];`);
+          }
+        }
+        replace(statement, lines.join(' '));
+        break;
+      }
+      case 'ExportNamedDeclaration': {
+        esModule = true;
+        if (statement.source) {
+          const module = `__lensImport${counter++}`;
+          const lines = [`const ${module} = ${load(statement.source)};`];
+          for (const specifier of statement.specifiers) {
+            const local = `${module}[${JSON.stringify(specifierName(specifier.local))}]`;
+            if (isEntry) {
+              const alias = `__lensReexport${counter++}`;
+              lines.push(`const ${alias} = ${local}; export { ${alias} as ${specifierName(specifier.exported)} };`);
+            } else {
+              exported.push({ name: specifierName(specifier.exported), value: local });
+            }
+          }
+          replace(statement, lines.join(' '));
+        } else if (!isEntry && statement.declaration) {
+          const declaration = statement.declaration;
+          edits.push({ start: statement.start, end: declaration.start, text: '' });
+          const names = declaration.type === 'VariableDeclaration'
+            ? declaration.declarations.flatMap((declarator) => boundNames(declarator.id))
+            : [declaration.id.name];
+          exported.push(...names.map((name) => ({ name, value: name })));
+        } else if (!isEntry) {
+          replace(statement, '');
+          exported.push(...statement.specifiers.map((specifier) => ({
+            name: specifierName(specifier.exported),
+            value: specifierName(specifier.local)
+          })));
+        }
+        break;
+      }
+      case 'ExportAllDeclaration': {
+        esModule = true;
+        if (isEntry) {
+          throw importError(`${id}: 'export * from' is not supported in an enhance script, export the names one by one`);
+        }
+        replace(statement, statement.exported
+          ? `exports[${JSON.stringify(specifierName(statement.exported))}] = ${load(statement.source)};`
+          : `Object.assign(exports, ${load(statement.source)});`);
+        break;
+      }
+      case 'ExportDefaultDeclaration': {
+        esModule = true;
+        if (isEntry) {
+          break;
+        }
+        const declaration = statement.declaration;
+        if ((declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') && declaration.id) {
+          edits.push({ start: statement.start, end: declaration.start, text: '' });
+          exported.push({ name: 'default', value: declaration.id.name });
+        } else {
+          edits.push({ start: statement.start, end: declaration.start, text: 'exports.default = ' });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  let code = source;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    code = code.slice(0, edit.start) + edit.text + code.slice(edit.end);
+  }
+
+  if (!isEntry && esModule) {
+    // Edits never touch the directive prologue, so its offset still holds
+    const end = prologueEnd(ast);
+    const assignments = exported.map(({ name, value }) => `exports[${JSON.stringify(name)}] = ${value};`);
+    code = `${code.slice(0, end)}\nObject.defineProperty(exports, '__esModule', { value: true });\n${code.slice(end)}\n${assignments.join('\n')}`;
+  }
+  return code;
+}
+
+/**
+ * Bundle an enhance script with the local files it imports
+ * A script without imports is returned unchanged.
+ * @param {string} entryPath - Enhance script path
+ * @param {Object} options - Bundle options (optional)
+ * @param {string} options.root - Folder imports must stay in (defaults to the script's folder)
+ * @param {number} options.maxFileSize - Size limit of imported files in bytes (optional)
+ * @param {string} options.target - JavaScript target of TypeScript files (optional, see tsCompiler)
+ * @param {boolean} options.minify - Minify the result when the enhance script is TypeScript
+ * @returns {Object} { code, files } with the bundled source and the imported file paths, in load order
+ * @throws {Error} Import error (reason 'import-error') for missing, outside, oversized,
+ *   unparseable or circular imports; compile error (reason 'compile-error') for TypeScript
+ *   that does not compile; file system errors when the script cannot be read
+ */
+function bundleEnhanceScript(entryPath, options = {}) {
+  const root = path.resolve(options.root || path.dirname(entryPath));
+  const entry = path.resolve(entryPath);
+  const modules = new Map(); // path -> rewritten code, in load order
+  let entrySource;
+  let entryPrologueEnd = 0;
+  const idOfPath = (file) => path.relative(root, file).split(path.sep).join('/');
+
+  const visit = (file, chain) => {
+    if (chain.includes(file)) {
+      const cycle = [...chain.slice(chain.indexOf(file)), file].map(idOfPath).join(' -> ');
+      throw importError(`Circular import: ${cycle}`);
+    }
+    if (modules.has(file)) {
+      return;
+    }
+
+    const isEntry = file === entry;
+    if (!isEntry && options.maxFileSize && fs.statSync(file).size > options.maxFileSize) {
+      throw importError(`${idOfPath(file)}: file is above the limit of ${options.maxFileSize} bytes`);
+    }
+    let source = fs.readFileSync(file, 'utf8');
+    if (isTypeScriptFile(file)) {
+      try {
+        source = compileTypeScript(source, { file: idOfPath(file), target: options.target, script: isEntry });
+      } catch (error) {
+        error.message = `${idOfPath(file)}: ${error.message}`;
+        throw error;
+      }
+    } else if (isEntry && parseScript(source).sourceType === 'module') {
+      // The focusing engine runs scripts: exports become declarations, as for TypeScript
+      source = exportsToScript(source);
+    }
+    if (isEntry) {
+      entrySource = source;
+    }
+
+    if (path.extname(file) === '.json') {
+      try {
+        JSON.parse(source);
+      } catch (error) {
+        throw importError(`${idOfPath(file)}: ${error.message}`);
+      }
+      modules.set(file, `module.exports = ${source.trim()};`);
+      return;
+    }
+
+    let ast;
+    try {
+      ({ ast } = parseScript(source));
+    } catch (syntaxError) {
+      if (isEntry) {
+        throw syntaxError;
+      }
+      throw importError(`${idOfPath(file)}: ${syntaxError.message}`);
+    }
+
+    const imports = new Map();
+    const idOf = (specifier) => {
+      if (!imports.has(specifier)) {
+        imports.set(specifier, resolveImport(specifier, file, root));
+      }
+      return idOfPath(imports.get(specifier));
+    };
+    const code = rewriteModule(source, ast, idOf, idOfPath(file), isEntry);
+    if (isEntry) {
+      entryPrologueEnd = prologueEnd(ast);
+    }
+
+    for (const imported of imports.values()) {
+      visit(imported, [...chain, file]);
+    }
+    modules.set(file, code);
+  };
+
+  visit(entry, []);
+
+  const entryCode = modules.get(entry);
+  modules.delete(entry);
+  const minify = (code) => (options.minify && isTypeScriptFile(entry) ? minifyScript(code, { target: options.target }) : code);
+  if (modules.size === 0) {
+    return { code: minify(entrySource), files: [] };
+  }
+
+  const registry = Array.from(modules.entries())
+    .map(([file, code]) => `${JSON.stringify(idOfPath(file))}: function (module, exports) {\n${code}\n}`)
+    .join(',\n');
+
+  // The directive prologue of the enhance script ('use strict') stays first
+  const prologue = entryCode.slice(0, entryPrologueEnd);
+  return {
+    code: minify(`// ${idOfPath(entry)} bundled with ${modules.size} imported file(s) by lens-selector\n` +
+      `${prologue ? `${prologue}\n` : ''}var __lensModules = {\n${registry}\n};\n${RUNTIME}\n${entryCode.slice(entryPrologueEnd)}\n`),
+    files: Array.from(modules.keys())
+  };
+}
+
+module.exports = {
+  bundleEnhanceScript
+};
@@ -0,0 +1,120 @@
+/**
+ * Explicit lens-to-script mapping
+ *
+ * A lens names its enhance script with an extension on the Library:
+ *
+ *   "extension": [{ "url": "https://fosps.gravitatehealth.eu/lens-selector/StructureDefinition/enhance-script",
+ *                   "valueString": "scripts/pregnancy.ts" }]
+ *
+ * or a `lens-manifest.json` file maps lens files (or lens names) to scripts:
+ *
+ *   { "scripts": { "pregnancy-lens.json": "scripts/pregnancy.ts", "allergy-lens": "scripts/allergy.js" } }
+ *
+ * Paths are relative to the lens file (extension) or the manifest. The
+ * extension wins over a manifest, and the manifest closest to the lens wins
+ * over manifests further up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Extension on the lens Library naming its enhance script
+const ENHANCE_SCRIPT_EXTENSION = 'https://fosps.gravitatehealth.eu/lens-selector/StructureDefinition/enhance-script';
+
+// File name of script manifests
+const MANIFEST_FILE = 'lens-manifest.json';
+
+/**
+ * Check whether a file is a script manifest
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+function isManifestFile(filePath) {
+  return path.basename(filePath) === MANIFEST_FILE;
+}
+
+/**
+ * Read a script manifest
+ * @param {string} filePath - Manifest path
+ * @returns {Object} { path, dir, scripts } with the script path given for each lens file or name
+ * @throws {Error} When the manifest is not valid JSON or not shaped as { scripts: { lens: script } }
+ */
+function readManifest(filePath) {
+  const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const scripts = manifest && manifest.scripts;
+  if (!scripts || typeof scripts !== 'object' || Array.isArray(scripts) ||
+      Object.values(scripts).some((script) => typeof script !== 'string' || !script)) {
+    throw new Error(`${MANIFEST_FILE} must have a "scripts" object mapping lens files or names to script paths`);
+  }
+  return { path: filePath, dir: path.dirname(filePath), scripts };
+}
+
+/**
+ * Get the script named by the enhance-script extension of a lens
+ * @param {Object} lens - Lens Library JSON
+ * @returns {string|undefined} Script path relative to the lens file
+ */
+function getExtensionScript(lens) {
+  const extension = (Array.isArray(lens.extension) ? lens.extension : [])
+    .find((entry) => entry && entry.url === ENHANCE_SCRIPT_EXTENSION);
+  if (!extension) {
+    return undefined;
+  }
+  return extension.valueString || extension.valueUri || extension.valueUrl || undefined;
+}
+
+/**
+ * Get the manifests that can map a script to a lens: those of its folder and
+ * the folders above it, closest first
+ * @param {string} lensPath - Lens JSON path
+ * @param {Array<Object>} manifests - Manifests from readManifest
+ * @returns {Array<Object>} Applicable manifests
+ */
+function getApplicableManifests(lensPath, manifests) {
+  return manifests
+    .filter((manifest) => !path.relative(manifest.dir, lensPath).startsWith('..'))
+    .sort((a, b) => b.dir.length - a.dir.length);
+}
+
+/**
+ * Find the script explicitly mapped to a lens
+ * @param {string} lensPath - Lens JSON path
+ * @param {Object} lens - Lens Library JSON
+ * @param {Array<Object>} manifests - Manifests from readManifest
+ * @returns {Object|null} { script, source: 'extension'|'manifest' } with an absolute script path, or null
+ */
+function findMappedScript(lensPath, lens, manifests) {
+  const fromExtension = getExtensionScript(lens);
+  if (fromExtension) {
+    return { script: path.resolve(path.dirname(lensPath), fromExtension), source: 'extension' };
+  }
+
+  for (const manifest of getApplicableManifests(lensPath, manifests)) {
+    const key = path.relative(manifest.dir, lensPath).split(path.sep).join('/');
+    const script = manifest.scripts[key] || manifest.scripts[`./${key}`] || manifest.scripts[lens.name];
+    if (script) {
+      return { script: path.resolve(manifest.dir, script), source: 'manifest' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get every script a manifest maps to a lens
+ * @param {Array<Object>} manifests - Manifests from readManifest
+ * @returns {Set<string>} Absolute script paths
+ */
+function getManifestScripts(manifests) {
+  return new Set(manifests.flatMap((manifest) =>
+    Object.values(manifest.scripts).map((script) => path.resolve(manifest.dir, script))));
+}
+
+module.exports = {
+  ENHANCE_SCRIPT_EXTENSION,
+  MANIFEST_FILE,
+  isManifestFile,
+  readManifest,
+  getApplicableManifests,
+  findMappedScript,
+  getManifestScripts
+};
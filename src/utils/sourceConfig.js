@@ -0,0 +1,409 @@
+/**
+ * Lens source configuration
+ *
+ * A lens source is a git repository (plus optional branch and path inside it)
+ * from which lenses are discovered, or a local folder given as a file:// URL.
+ * Several sources can be configured at once through LENS_SOURCES; LENS_SOURCE
+ * or the legacy GIT_REPO_URL/GIT_BRANCH/LENS_FILE_PATH variables describe a
+ * single source.
+ */
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { splitUrlCredentials } = require('./gitAuth');
+
+/**
+ * Derive a readable source id from a repository URL
+ * @param {string} repoUrl - Git repository URL
+ * @returns {string} Source id (last URL segment without .git)
+ */
+function deriveSourceId(repoUrl) {
+  return repoUrl.replace(/\/+$/, '').split('/').pop().replace(/\.git$/, '');
+}
+
+/**
+ * Check whether a source URL points to a local folder
+ * @param {string} url - Source URL
+ * @returns {boolean}
+ */
+function isLocalUrl(url) {
+  return /^file:/i.test(url);
+}
+
+/**
+ * Check and clean the sparse checkout folders of a source
+ * @param {boolean|Array<string>|string} sparse - true, a folder list or a comma-separated string
+ * @param {string} label - Where the setting comes from, for error messages
+ * @returns {boolean|Array<string>} true, or folders relative to the repository root
+ * @throws {Error} For absolute paths, paths leaving the repository or option-like names
+ */
+function normalizeSparse(sparse, label) {
+  if (sparse === true) {
+    return true;
+  }
+  const list = typeof sparse === 'string' ? sparse.split(',') : sparse;
+  if (!Array.isArray(list) || list.some((folder) => typeof folder !== 'string')) {
+    throw new Error(`${label} "sparse" must be true or a list of folders`);
+  }
+
+  const folders = list.map((folder) => folder.trim().replace(/^\.\/+/, '').replace(/\/+$/, '')).filter(Boolean);
+  for (const folder of folders) {
+    if (folder.startsWith('/') || folder.startsWith('-') || folder.split('/').includes('..')) {
+      throw new Error(`${label} sparse folder '${folder}' must be a path inside the repository`);
+    }
+  }
+  return folders;
+}
+
+/**
+ * Check the clone depth of a source
+ * @param {number|string} depth - Depth (a positive integer)
+ * @param {string} label - Where the setting comes from, for error messages
+ * @returns {number}
+ * @throws {Error} When the depth is not a positive integer
+ */
+function normalizeDepth(depth, label) {
+  const value = Number(depth);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${label} "depth" must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Check and clean the include or exclude globs of a source
+ * @param {Array<string>|string} globs - Glob list or a comma-separated string (gitignore syntax)
+ * @param {string} label - Where the setting comes from, for error messages
+ * @param {string} name - Setting name (include or exclude)
+ * @returns {Array<string>}
+ * @throws {Error} When the globs are not strings
+ */
+function normalizeGlobs(globs, label, name) {
+  const list = typeof globs === 'string' ? globs.split(',') : globs;
+  if (!Array.isArray(list) || list.some((glob) => typeof glob !== 'string')) {
+    throw new Error(`${label} "${name}" must be a list of globs`);
+  }
+  return list.map((glob) => glob.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize a raw source definition
+ * Local folders (file:// URLs) get `localPath`, the absolute folder path.
+ * Credentials in an http(s) URL are moved to `auth`, so the URL can be shown;
+ * an `auth` object given with the source wins over them (see gitAuth).
+ * Checkout options (depth, sparse, submodules), discovery globs (include,
+ * exclude), script mapping switches (strict, defaultEnhance) and
+ * requireSignedCommits are kept only when set.
+ * @param {Object} raw - Raw source ({ id?, url, branch?, path?, auth?, depth?, sparse?, submodules?, include?, exclude?, strict?, defaultEnhance?, requireSignedCommits?, ref? })
+ * @param {number} index - Position of the source in the configured list
+ * @returns {Object} Normalized source { id, url, branch, path, priority, auth?, depth?, sparse?, submodules?, include?, exclude?, strict?, defaultEnhance?, requireSignedCommits?, localPath?, ref? }
+ */
+function normalizeSource(raw, index) {
+  if (!raw || typeof raw !== 'object' || !raw.url || typeof raw.url !== 'string') {
+    throw new Error(`Lens source #${index + 1} must be an object with a "url" string`);
+  }
+  if (raw.auth !== undefined && (!raw.auth || typeof raw.auth !== 'object' || Array.isArray(raw.auth))) {
+    throw new Error(`Lens source #${index + 1} has an invalid "auth", it must be an object`);
+  }
+
+  const { url, auth } = splitUrlCredentials(raw.url);
+  const source = {
+    id: raw.id || raw.name || deriveSourceId(url),
+    url,
+    branch: raw.branch || undefined,
+    path: raw.path || undefined,
+    priority: index
+  };
+
+  if (auth || raw.auth) {
+    source.auth = { ...auth, ...raw.auth };
+  }
+
+  const label = `Lens source #${index + 1}`;
+  if (raw.depth !== undefined) {
+    source.depth = normalizeDepth(raw.depth, label);
+  }
+  if (raw.sparse !== undefined && raw.sparse !== false) {
+    source.sparse = normalizeSparse(raw.sparse, label);
+  }
+  for (const name of ['submodules', 'strict', 'defaultEnhance', 'requireSignedCommits']) {
+    if (raw[name] !== undefined) {
+      if (typeof raw[name] !== 'boolean') {
+        throw new Error(`${label} "${name}" must be true or false`);
+      }
+      source[name] = raw[name];
+    }
+  }
+  for (const name of ['include', 'exclude']) {
+    if (raw[name] !== undefined) {
+      source[name] = normalizeGlobs(raw[name], label, name);
+    }
+  }
+
+  if (isLocalUrl(raw.url)) {
+    try {
+      source.localPath = fileURLToPath(raw.url);
+    } catch (error) {
+      throw new Error(`Lens source #${index + 1} must use a file:// URL with an absolute path: ${error.message}`);
+    }
+  }
+
+  // A ref (branch, tag or commit) requested by a client, served from its own worktree
+  if (raw.ref) {
+    source.ref = raw.ref;
+  }
+
+  return source;
+}
+
+/**
+ * Build the list of lens sources
+ * Accepts either an array of source definitions or the legacy
+ * (repoUrl, branch, lensFilePath) triple.
+ * @param {Array|string} sourcesOrRepoUrl - Source definitions or a single repository URL
+ * @param {string} branch - Branch/tag (legacy form only, optional)
+ * @param {string} lensFilePath - Path to lens file or folder (legacy form only, optional)
+ * @returns {Array} Normalized sources, in priority order
+ */
+function normalizeSources(sourcesOrRepoUrl, branch, lensFilePath) {
+  let rawSources;
+
+  if (Array.isArray(sourcesOrRepoUrl)) {
+    rawSources = sourcesOrRepoUrl;
+  } else if (sourcesOrRepoUrl) {
+    rawSources = [{ url: sourcesOrRepoUrl, branch, path: lensFilePath }];
+  } else {
+    rawSources = [];
+  }
+
+  if (rawSources.length === 0) {
+    throw new Error('GIT_REPO_URL, LENS_SOURCE or LENS_SOURCES environment variable is required');
+  }
+
+  const sources = rawSources.map(normalizeSource);
+
+  const seen = new Set();
+  for (const source of sources) {
+    if (seen.has(source.id)) {
+      throw new Error(`Duplicate lens source id '${source.id}', set a distinct "id" for each source`);
+    }
+    seen.add(source.id);
+  }
+
+  return sources;
+}
+
+/**
+ * Read lens source definitions from the environment
+ * LENS_SOURCES takes precedence and must be a JSON array such as
+ * [{"id":"pregnancy","url":"https://...git","branch":"main","path":"lenses","auth":{"tokenFile":"/run/secrets/token"}}].
+ * LENS_SOURCE names a single source, such as file:///work/lenses, before the
+ * legacy GIT_REPO_URL; LENS_FILE_PATH and GIT_BRANCH apply to either.
+ * The definitions are returned as configured; normalizeSources() validates them.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Array} Raw source definitions (empty when nothing is configured)
+ */
+function getSources(env = process.env) {
+  if (env.LENS_SOURCES) {
+    let parsed;
+    try {
+      parsed = JSON.parse(env.LENS_SOURCES);
+    } catch (error) {
+      throw new Error(`LENS_SOURCES is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed)) {
+      throw new Error('LENS_SOURCES must be a JSON array');
+    }
+    return parsed;
+  }
+
+  const url = env.LENS_SOURCE || env.GIT_REPO_URL;
+  if (!url) {
+    return [];
+  }
+
+  return [{
+    url,
+    branch: env.GIT_BRANCH,
+    path: env.LENS_FILE_PATH
+  }];
+}
+
+/**
+ * Get how the repository of a source is checked out
+ * Settings of the source win over GIT_CLONE_DEPTH, GIT_SPARSE_CHECKOUT and
+ * GIT_SUBMODULES. A sparse checkout set to `true` is limited to the folder of
+ * the source's path; without a path the whole tree is checked out.
+ * @param {Object} source - Normalized source
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { auth, depth, sparse, submodules } for ensureRepo
+ * @throws {Error} When an environment setting is invalid
+ */
+function getCheckoutOptions(source, env = process.env) {
+  const depth = source.depth !== undefined
+    ? source.depth
+    : (env.GIT_CLONE_DEPTH ? normalizeDepth(env.GIT_CLONE_DEPTH, 'GIT_CLONE_DEPTH') : undefined);
+
+  let sparse = source.sparse;
+  if (sparse === undefined && env.GIT_SPARSE_CHECKOUT && env.GIT_SPARSE_CHECKOUT !== 'false') {
+    sparse = normalizeSparse(env.GIT_SPARSE_CHECKOUT === 'true' ? true : env.GIT_SPARSE_CHECKOUT, 'GIT_SPARSE_CHECKOUT');
+  }
+  if (sparse === true) {
+    // The lens folder: the path itself, or the folder of a lens file
+    const folder = source.path && (/\.json$/i.test(source.path) ? path.posix.dirname(source.path) : source.path);
+    sparse = folder ? normalizeSparse([folder], `Lens source ${source.id}`) : undefined;
+  }
+
+  const submodules = source.submodules !== undefined ? source.submodules : env.GIT_SUBMODULES === 'true';
+
+  return {
+    auth: source.auth,
+    depth,
+    sparse: sparse && sparse.length > 0 ? sparse : undefined,
+    submodules
+  };
+}
+
+/**
+ * Get which files lens discovery considers for a source
+ * The include and exclude globs of the source win over LENS_INCLUDE and
+ * LENS_EXCLUDE; LENS_MAX_FILE_SIZE_KB sets the size limit of lens and script
+ * files. A .lensignore file in the repository applies on top of these.
+ * LENS_SCRIPT_TARGET and LENS_MINIFY set how TypeScript enhance scripts are compiled.
+ * LENS_STRICT_MAPPING and LENS_DEFAULT_ENHANCE (or strict and defaultEnhance
+ * on the source) refuse ambiguous script fallbacks and allow the default
+ * enhance function.
+ * @param {Object} source - Normalized source
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { include, exclude, maxFileSize, scriptTarget, minify, strict, defaultEnhance } for discoverLenses
+ * @throws {Error} When an environment setting is invalid
+ */
+function getDiscoveryOptions(source, env = process.env) {
+  const include = source.include || (env.LENS_INCLUDE ? normalizeGlobs(env.LENS_INCLUDE, 'LENS_INCLUDE', 'include') : undefined);
+  const exclude = source.exclude || (env.LENS_EXCLUDE ? normalizeGlobs(env.LENS_EXCLUDE, 'LENS_EXCLUDE', 'exclude') : undefined);
+
+  let maxFileSize;
+  if (env.LENS_MAX_FILE_SIZE_KB) {
+    const kilobytes = Number(env.LENS_MAX_FILE_SIZE_KB);
+    if (!Number.isFinite(kilobytes) || kilobytes <= 0) {
+      throw new Error('LENS_MAX_FILE_SIZE_KB must be a positive number');
+    }
+    maxFileSize = Math.round(kilobytes * 1024);
+  }
+
+  return {
+    include,
+    exclude,
+    maxFileSize,
+    scriptTarget: env.LENS_SCRIPT_TARGET || undefined,
+    minify: env.LENS_MINIFY === 'true',
+    strict: source.strict !== undefined ? source.strict : env.LENS_STRICT_MAPPING === 'true',
+    defaultEnhance: source.defaultEnhance !== undefined ? source.defaultEnhance : env.LENS_DEFAULT_ENHANCE === 'true'
+  };
+}
+
+/**
+ * Check whether the commits of a source's lenses must be signed
+ * requireSignedCommits on the source wins over LENS_REQUIRE_SIGNED_COMMITS.
+ * @param {Object} source - Source definition
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {boolean}
+ */
+function requiresSignedCommits(source, env = process.env) {
+  return source.requireSignedCommits !== undefined
+    ? source.requireSignedCommits === true
+    : env.LENS_REQUIRE_SIGNED_COMMITS === 'true';
+}
+
+/**
+ * Get whether and how the commits of a source's lenses must be signed
+ * LENS_REQUIRE_SIGNED_COMMITS (or requireSignedCommits on the source) turns
+ * the check on; GIT_TRUSTED_GPG_KEYS_FILE and GIT_ALLOWED_SIGNERS_FILE give
+ * the trusted keys, at least one of them is needed. The last commit of a file
+ * is only known with the full history, so a shallow clone (depth) is refused.
+ * @param {Object} source - Normalized source
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object|null} { gpgKeysFile, allowedSignersFile }, or null when commits need no signature
+ * @throws {Error} When signatures are required without trusted keys, or with a clone depth
+ */
+function getSignatureOptions(source, env = process.env) {
+  if (!requiresSignedCommits(source, env)) {
+    return null;
+  }
+
+  const options = {
+    gpgKeysFile: env.GIT_TRUSTED_GPG_KEYS_FILE || undefined,
+    allowedSignersFile: env.GIT_ALLOWED_SIGNERS_FILE || undefined
+  };
+  if (!options.gpgKeysFile && !options.allowedSignersFile) {
+    throw new Error(`Source ${source.id} requires signed commits: set GIT_TRUSTED_GPG_KEYS_FILE or GIT_ALLOWED_SIGNERS_FILE`);
+  }
+  if (getCheckoutOptions(source, env).depth) {
+    throw new Error(`Source ${source.id} requires signed commits, which needs the full history: remove its "depth" or GIT_CLONE_DEPTH`);
+  }
+  return options;
+}
+
+/**
+ * Build the error for a ref that cannot be applied to the configured sources
+ * @param {string} ref - Requested ref
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400 and the ref
+ */
+function refError(ref, message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.ref = ref;
+  return error;
+}
+
+/**
+ * Point one git source at a git ref. The ref goes to the source named by
+ * `sourceId`, or to the only git source; the other sources keep their branch,
+ * since a branch or tag rarely exists in every repository and local folders
+ * have no refs.
+ * @param {Array} sources - Source definitions, raw or normalized
+ * @param {string} ref - Branch, tag or commit SHA (optional; sources are returned unchanged without it)
+ * @param {string} sourceId - Id of the source the ref applies to (optional with a single git source)
+ * @returns {Array} Source definitions, one of them carrying the ref
+ * @throws {Error} With statusCode 400 and `ref` when no single git source can be chosen
+ */
+function withRef(sources, ref, sourceId) {
+  if (!ref || sources.length === 0) {
+    return sources;
+  }
+  const idOf = (source) => source.id || source.name || deriveSourceId(source.url || '');
+  const isLocal = (source) => Boolean(source.localPath) || isLocalUrl(source.url);
+  let target;
+  if (sourceId) {
+    target = sources.find((source) => idOf(source) === sourceId);
+    if (!target) {
+      throw refError(ref, `Unknown lens source '${sourceId}'`);
+    }
+    if (isLocal(target)) {
+      throw refError(ref, `Lens source '${sourceId}' is a local folder and has no refs`);
+    }
+  } else {
+    const gitSources = sources.filter((source) => !isLocal(source));
+    if (gitSources.length === 0) {
+      throw refError(ref, 'No git lens source is configured, refs are not available for local folders');
+    }
+    if (gitSources.length > 1) {
+      throw refError(ref, `Several git lens sources are configured, name the one to apply the ref to with ?source= (${gitSources.map(idOf).join(', ')})`);
+    }
+    target = gitSources[0];
+  }
+  return sources.map((source) => (source === target ? { ...source, ref } : source));
+}
+
+module.exports = {
+  getSources,
+  getCheckoutOptions,
+  getDiscoveryOptions,
+  getSignatureOptions,
+  requiresSignedCommits,
+  withRef,
+  normalizeSources,
+  isLocalUrl,
+  deriveSourceId
+};
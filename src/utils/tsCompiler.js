@@ -0,0 +1,146 @@
+/**
+ * TypeScript lens sources
+ *
+ * Enhance scripts can be written in TypeScript (`.ts` next to the lens JSON).
+ * Discovery strips the types and lowers the syntax to the JavaScript target
+ * the focusing engine runs, optionally minified. Types are not checked: only
+ * code that cannot be transpiled is a compile error.
+ *
+ * TypeScript has no top-level `return`, so enhance scripts export instead,
+ * and their exports are turned into what the focusing engine runs:
+ * `export function enhance` becomes a top-level declaration and
+ * `export default { enhance }` a top-level `return { enhance }`.
+ */
+
+const esbuild = require('esbuild');
+const { parseScript } = require('./scriptAnalyzer');
+
+// JavaScript the focusing engine runs (async/await, no newer syntax)
+const DEFAULT_TARGET = 'es2017';
+
+/**
+ * Check whether a file is a TypeScript lens source
+ * Type declaration files (.d.ts) only describe types and are not lens sources.
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+function isTypeScriptFile(filePath) {
+  return /\.ts$/i.test(filePath) && !/\.d\.ts$/i.test(filePath);
+}
+
+/**
+ * Turn esbuild messages into one compile error
+ * Positions are given as in syntax errors of the script analyzer.
+ * @param {Error} error - esbuild failure
+ * @returns {Error} Error with reason 'compile-error'
+ */
+function compileError(error) {
+  const messages = (error.errors || []).map((message) => (message.location
+    ? `${message.text} at line ${message.location.line}, column ${message.location.column + 1}`
+    : message.text));
+  const compiled = new Error(messages.length > 0 ? messages.join('; ') : error.message);
+  compiled.reason = 'compile-error';
+  return compiled;
+}
+
+/**
+ * Turn the exports of a compiled enhance script into script declarations
+ * Also used for JavaScript enhance scripts written as ES modules, which the
+ * focusing engine cannot run either. Imports are kept (re-exports become
+ * imports) for the bundler to resolve.
+ * @param {string} code - Compiled JavaScript
+ * @returns {string} JavaScript without exports
+ * @throws {Error} Compile error (reason 'compile-error') for `export *`
+ */
+function exportsToScript(code) {
+  const { ast } = parseScript(code);
+  const edits = [];
+
+  for (const statement of ast.body) {
+    if (statement.type === 'ExportNamedDeclaration') {
+      if (statement.declaration) {
+        edits.push({ start: statement.start, end: statement.declaration.start, text: '' });
+      } else if (statement.source) {
+        edits.push({ start: statement.start, end: statement.start + 'export'.length, text: 'import' });
+      } else {
+        const aliases = statement.specifiers
+          .filter((specifier) => specifier.exported.type === 'Identifier' && specifier.exported.name !== specifier.local.name)
+          .map((specifier) => `var ${specifier.exported.name} = ${specifier.local.name};`);
+        edits.push({ start: statement.start, end: statement.end, text: aliases.join(' ') });
+      }
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      const declaration = statement.declaration;
+      const named = (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') && declaration.id;
+      edits.push({ start: statement.start, end: declaration.start, text: named ? '' : 'return ' });
+    } else if (statement.type === 'ExportAllDeclaration') {
+      const error = new Error(`'export * from' cannot be used in an enhance script at line ${code.slice(0, statement.start).split('\n').length}`);
+      error.reason = 'compile-error';
+      throw error;
+    }
+  }
+
+  let result = code;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+/**
+ * Transpile a TypeScript lens source to JavaScript
+ * Imports and exports are kept, so that imported files can be bundled like any
+ * other; the enhance script itself is compiled with `script: true`.
+ * @param {string} source - TypeScript source
+ * @param {Object} options - Compile options (optional)
+ * @param {string} options.file - File name given to the compiler
+ * @param {string} options.target - JavaScript target, e.g. es2017 (defaults to es2017)
+ * @param {boolean} options.script - Turn exports into declarations, for the enhance script itself
+ * @returns {string} JavaScript source
+ * @throws {Error} Compile error (reason 'compile-error') with the line and column of each problem
+ */
+function compileTypeScript(source, options = {}) {
+  const label = options.file || 'lens.ts';
+  let code;
+  try {
+    code = esbuild.transformSync(source, {
+      loader: 'ts',
+      target: options.target || DEFAULT_TARGET,
+      sourcefile: label,
+      logLevel: 'silent'
+    }).code;
+  } catch (error) {
+    throw compileError(error);
+  }
+  return options.script ? exportsToScript(code) : code;
+}
+
+/**
+ * Minify a JavaScript enhance script (such as a bundle of a TypeScript source)
+ * Top-level names, and thus `enhance`, are kept.
+ * @param {string} code - JavaScript source
+ * @param {Object} options - { file, target } (optional, as for compileTypeScript)
+ * @returns {string} Minified source
+ * @throws {Error} Compile error (reason 'compile-error')
+ */
+function minifyScript(code, options = {}) {
+  const label = options.file || 'lens.js';
+  try {
+    return esbuild.transformSync(code, {
+      loader: 'js',
+      target: options.target || DEFAULT_TARGET,
+      minify: true,
+      sourcefile: label,
+      logLevel: 'silent'
+    }).code;
+  } catch (error) {
+    throw compileError(error);
+  }
+}
+
+module.exports = {
+  isTypeScriptFile,
+  compileTypeScript,
+  exportsToScript,
+  minifyScript,
+  DEFAULT_TARGET
+};